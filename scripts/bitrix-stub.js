@@ -0,0 +1,204 @@
+/**
+ * scripts/bitrix-stub.js — local stand-in for the Bitrix24 REST and OAuth APIs
+ * ------------------------------------------------
+ * For trying the wallboard's REST client (server.js) without a real portal:
+ *
+ *   node scripts/bitrix-stub.js
+ *   BITRIX_OAUTH_URL=http://localhost:4100/oauth/token/ BITRIX_CLIENT_ID=stub BITRIX_CLIENT_SECRET=stub \
+ *     ADMIN_TOKEN=dev node server.js
+ *
+ * then install the stub portal with the curl command printed on startup (a first install of a portal
+ * that is not on https needs ADMIN_TOKEN).
+ *
+ * Answers app.info, user.get, department.get, timeman.status, crm.duplicate.findbycomm,
+ * crm.contact.get / crm.company.get / crm.lead.get, voximplant.statistic.get and batch.
+ * Tokens expire after STUB_TOKEN_TTL_SECONDS (expired_token, then the client refreshes);
+ * STUB_LIMIT_EVERY=N answers every Nth REST call with QUERY_LIMIT_EXCEEDED to exercise backoff, and
+ * POST /stub/limit {"count":N} does it for the next N calls. GET /stub/stats shows what was called.
+ * test/bitrix-rest.test.js (npm test) drives the wallboard's REST client through it.
+ */
+
+"use strict";
+
+const express = require("express");
+
+const PORT = parseInt(process.env.STUB_PORT || "4100", 10);
+const TOKEN_TTL_SECONDS = parseInt(process.env.STUB_TOKEN_TTL_SECONDS || "3600", 10);
+const LIMIT_EVERY = parseInt(process.env.STUB_LIMIT_EVERY || "0", 10);
+const WALLBOARD_URL = (process.env.WALLBOARD_URL || "http://localhost:3000").trim();
+const ADMIN_TOKEN = (process.env.ADMIN_TOKEN || "dev").trim(); // the wallboard's, for the install command
+const DOMAIN = `localhost:${PORT}`;
+const CLIENT_ENDPOINT = `http://${DOMAIN}/rest/`;
+const MEMBER_ID = "stub-member";
+const APPLICATION_TOKEN = "stub-app-token";
+
+// -------------------- Portal data --------------------
+const USERS = {
+  1: { ID: "1", NAME: "Ava", LAST_NAME: "Kila", WORK_POSITION: "Team lead", UF_DEPARTMENT: [10], PERSONAL_PHOTO: "" },
+  2: { ID: "2", NAME: "Ben", LAST_NAME: "Tau", WORK_POSITION: "Agent", UF_DEPARTMENT: [10], PERSONAL_PHOTO: "" }
+};
+const DEPARTMENTS = { 10: { ID: "10", NAME: "Collections" } };
+const TIMEMAN = { 1: { STATUS: "OPENED" }, 2: { STATUS: "PAUSED" } };
+const CRM = {
+  CONTACT: { 501: { ID: "501", NAME: "Grace", LAST_NAME: "Moi", COMPANY_ID: "701", PHONE: [{ VALUE: "+67570000001" }] } },
+  COMPANY: { 701: { ID: "701", TITLE: "Moi Trading" } },
+  LEAD: { 901: { ID: "901", TITLE: "Website enquiry", NAME: "Peter", PHONE: [{ VALUE: "+67570000002" }] } }
+};
+
+// -------------------- Tokens --------------------
+let generation = 1;
+let access = { token: `stub-access-${generation}`, refresh: `stub-refresh-${generation}`, expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000 };
+
+function issueTokens() {
+  generation++;
+  access = { token: `stub-access-${generation}`, refresh: `stub-refresh-${generation}`, expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000 };
+}
+
+function oauthBody() {
+  return {
+    access_token: access.token,
+    refresh_token: access.refresh,
+    expires: Math.floor(access.expiresAt / 1000),
+    expires_in: TOKEN_TTL_SECONDS,
+    domain: DOMAIN,
+    member_id: MEMBER_ID,
+    client_endpoint: CLIENT_ENDPOINT,
+    server_endpoint: `http://${DOMAIN}/oauth/`
+  };
+}
+
+// What the wallboard's /bitrix/install receives from the portal
+function installBody() {
+  return { auth: { ...oauthBody(), application_token: APPLICATION_TOKEN } };
+}
+
+const stats = { rest: {}, refreshes: 0, limited: 0, rejected: 0 };
+let restCalls = 0;
+let limitNext = 0;
+
+// -------------------- REST methods --------------------
+// "FILTER[CALL_ID]=1&values[0]=x" -> { FILTER: { CALL_ID: "1" }, values: ["x"] }
+function parseBitrixQuery(qs) {
+  const out = {};
+  for (const [name, value] of new URLSearchParams(qs)) {
+    const path = name.replace(/\]/g, "").split("[");
+    let node = out;
+    path.forEach((k, i) => {
+      if (i === path.length - 1) node[k] = value;
+      else node = node[k] = node[k] || (/^\d+$/.test(path[i + 1]) ? [] : {});
+    });
+  }
+  return out;
+}
+
+function listOf(value) {
+  return (Array.isArray(value) ? value : [value]).filter((v) => v !== undefined && v !== "").map(String);
+}
+
+const METHODS = {
+  "app.info": () => ({ ID: "1", CODE: "stub.wallboard", VERSION: 1, STATUS: "L", INSTALLED: true }),
+  "user.get": (p) => (p.ID ? [USERS[p.ID]].filter(Boolean) : Object.values(USERS)),
+  "department.get": (p) => (p.ID ? [DEPARTMENTS[p.ID]].filter(Boolean) : Object.values(DEPARTMENTS)),
+  "timeman.status": (p) => TIMEMAN[p.USER_ID] || { STATUS: "CLOSED" },
+  "crm.duplicate.findbycomm": (p) => {
+    const wanted = listOf(p.values).map((v) => v.replace(/[^\d+]/g, ""));
+    const found = {};
+    for (const [type, records] of Object.entries(CRM)) {
+      const ids = Object.values(records)
+        .filter((r) => (r.PHONE || []).some((ph) => wanted.includes(ph.VALUE)))
+        .map((r) => Number(r.ID));
+      if (ids.length) found[type] = ids;
+    }
+    return Object.keys(found).length ? found : [];
+  },
+  "crm.contact.get": (p) => CRM.CONTACT[p.id] || null,
+  "crm.company.get": (p) => CRM.COMPANY[p.id] || null,
+  "crm.lead.get": (p) => CRM.LEAD[p.id] || null,
+  "voximplant.statistic.get": () => []
+};
+
+function runMethod(method, params) {
+  stats.rest[method] = (stats.rest[method] || 0) + 1;
+  if (method === "batch") {
+    const result = {};
+    const errors = {};
+    for (const [name, cmd] of Object.entries(params.cmd || {})) {
+      const [sub, qs = ""] = String(cmd).split("?");
+      const out = runMethod(sub, parseBitrixQuery(qs));
+      if (out.error) errors[name] = out;
+      else result[name] = out.result;
+    }
+    return { result: { result, result_error: errors, result_total: {}, result_next: {} } };
+  }
+  const fn = METHODS[method];
+  if (!fn) return { error: "ERROR_METHOD_NOT_FOUND", error_description: `Method ${method} not found` };
+  const result = fn(params);
+  if (result === null) return { error: "NOT_FOUND", error_description: "Not found" };
+  return { result, total: Array.isArray(result) ? result.length : undefined };
+}
+
+// -------------------- App --------------------
+const app = express();
+app.use(express.json({ limit: "1mb" }));
+app.use(express.urlencoded({ extended: false }));
+
+app.all("/oauth/token/", (req, res) => {
+  const q = { ...req.query, ...req.body };
+  if (q.grant_type !== "refresh_token" || q.refresh_token !== access.refresh) {
+    stats.rejected++;
+    return res.status(400).json({ error: "invalid_grant", error_description: "Unknown refresh token" });
+  }
+  issueTokens();
+  stats.refreshes++;
+  console.log(`🔑 Issued ${access.token}`);
+  res.json(oauthBody());
+});
+
+app.post("/rest/:method.json", (req, res) => {
+  const { method } = req.params;
+  const token = req.body.auth || req.query.auth;
+  if (token !== access.token) {
+    stats.rejected++;
+    return res.status(401).json({ error: "invalid_token", error_description: "The access token provided is invalid" });
+  }
+  if (Date.now() >= access.expiresAt) {
+    stats.rejected++;
+    return res.status(401).json({ error: "expired_token", error_description: "The access token provided has expired" });
+  }
+  if (limitNext > 0 || (LIMIT_EVERY > 0 && ++restCalls % LIMIT_EVERY === 0)) {
+    limitNext = Math.max(0, limitNext - 1);
+    stats.limited++;
+    return res.status(503).json({ error: "QUERY_LIMIT_EXCEEDED", error_description: "Too many requests" });
+  }
+
+  const { auth, ...params } = req.body;
+  const out = runMethod(method, params);
+  console.log(`📡 ${method}${out.error ? ` -> ${out.error}` : ""}`);
+  res.status(out.error ? 400 : 200).json({ ...out, time: { start: Date.now() / 1000 } });
+});
+
+// Expire the current access token now, to watch the client refresh it
+app.post("/stub/expire", (req, res) => {
+  access.expiresAt = Date.now();
+  res.json({ ok: true });
+});
+
+// Answer the next N REST calls with QUERY_LIMIT_EXCEEDED
+app.post("/stub/limit", (req, res) => {
+  limitNext = Math.max(0, parseInt(req.body.count, 10) || 0);
+  res.json({ ok: true, limitNext });
+});
+
+app.get("/stub/install", (req, res) => {
+  res.json(installBody());
+});
+
+app.get("/stub/stats", (req, res) => {
+  res.json({ ok: true, token: access.token, expiresAt: new Date(access.expiresAt).toISOString(), ...stats });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Bitrix24 stub on http://${DOMAIN} (member ${MEMBER_ID})`);
+  console.log("   Install it on the wallboard with:");
+  console.log(`   curl -X POST ${WALLBOARD_URL}/bitrix/install -H 'content-type: application/json' -H 'x-admin-token: ${ADMIN_TOKEN}' -d '${JSON.stringify(installBody())}'`);
+});
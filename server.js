@@ -3,103 +3,276 @@
  * ------------------------------------------------
  * Key features:
  * 1) Daily reset of metrics at midnight
- * 2) Working hours tracking (8 AM to 6 PM GMT+10)
- * 3) Date display in Papua New Guinea timezone
+ * 2) Working hours from a weekly schedule (split shifts, breaks, closed days)
+ * 3) Date display in the configured IANA timezone (Papua New Guinea by default)
  * 4) Previous day stats in separate tab
+ * 5) Public holiday / special closure calendar (iCalendar import + admin API)
+ * 6) After-hours calls recorded separately, with a "Since close" list for the morning
+ * 7) Callback worklist from missed inbound calls, closed automatically on contact
+ * 8) Repeat-caller detection and first-contact-resolution KPI
+ * 9) Live push to wallboards over WebSocket (snapshot on connect, diffs after)
+ * 10) Multi-portal: each Bitrix24 portal gets its own metrics, history and wallboard
+ * 11) Webhook verification (application token, shared secret, IP allowlist)
+ * 12) OAuth token lifecycle and a Bitrix24 REST client (batching, rate-limit backoff)
+ * 13) Agent names, photos, positions and departments from the Bitrix24 user directory
+ * 14) Caller identification from the Bitrix24 CRM (contacts, companies, leads)
+ * 15) Phone numbers normalised to E.164 (default country PNG) with national/international display
+ * 16) Per-line metrics (sales, collections...) with friendly line names and a line filter
+ * 17) Per-agent daily statistics, a sortable leaderboard and agent history API
+ * 18) Agent drill-down page: today's calls, busy/idle timeline and occupancy
+ * 19) Agent presence (available, ringing, on call, wrap-up, break, offline) from calls, timeman and a manual API
+ * 20) Stale live-call reaper: reconciles calls that never got an end event against Bitrix24 statistics
+ * 21) Crash-safe snapshot of the live state, restored on boot (or rolled into history on a new day)
+ * 22) Daily NDJSON journal of accepted webhooks, replayable to rebuild a day's stats
+ * 23) Per-call state machine: duplicate, late and out-of-order events are reconciled, never double counted
+ * 24) Day rollover across downtime: missed days get "no data" entries, calls open at midnight count on the day they started
+ * 25) Historical trends page: daily charts, weekday averages, best/worst days, week-over-week and month-over-month totals
  */
 
 "use strict";
 
 const fs = require("fs");
 const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+const os = require("os");
 const express = require("express");
+const multer = require("multer");
+const axios = require("axios");
+const { WebSocketServer, WebSocket } = require("ws");
 
 // -------------------- Config --------------------
 const PORT = parseInt(process.env.PORT || "3000", 10);
 const PUBLIC_URL = (process.env.PUBLIC_URL || "").trim();
 const DATA_DIR = (process.env.DATA_DIR || "/data").trim();
 const TOKENS_FILE = path.join(DATA_DIR, "portalTokens.json");
-const DAILY_STATS_FILE = path.join(DATA_DIR, "dailyStats.json");
+const PUBLIC_DIR = path.join(__dirname, "public");
 
-// Working hours: 8 AM to 6 PM in Papua New Guinea time (GMT+10)
-const WORK_START_HOUR = 8; // 8 AM in GMT+10
-const WORK_END_HOUR = 18;  // 6 PM in GMT+10
+// Each portal keeps dailyStats.json, calls/ and journal/ (one NDJSON file per local day), afterHoursCalls.json,
+// callbacks.json and liveState.json in its own directory under PORTALS_DIR. The default portal — served at
+// /wallboard and fed by events that carry no Bitrix auth — keeps them directly in DATA_DIR.
+const PORTALS_DIR = path.join(DATA_DIR, "portals");
+const DEFAULT_PORTAL = process.env.DEFAULT_PORTAL || ""; // domain shown at /wallboard — see resolveDefaultPortalKey()
+const DEFAULT_PORTAL_FILE = path.join(DATA_DIR, "defaultPortal.json"); // which portal owns the DATA_DIR files
+const MAX_PORTALS = parseInt(process.env.MAX_PORTALS || "20", 10); // installed portals; each has its own state and timers
 
-// Papua New Guinea timezone
-const TIMEZONE = 'Pacific/Port_Moresby'; // GMT+10
+const AFTER_HOURS_MAX_CALLS = 500; // per day / per "since close" list
+const AFTER_HOURS_PUSH_CALLS = 50; // most recent calls sent to wallboards; GET /api/after-hours has the full list
+const AFTER_HOURS_SAVE_DELAY_MS = 2000; // afterHoursCalls.json is rewritten at most this often
+const CALLBACK_RETENTION_DAYS = parseInt(process.env.CALLBACK_RETENTION_DAYS || "30", 10); // closed entries
+
+// A caller is a repeat caller if they called within this many hours of a previous inbound call
+const REPEAT_CALLER_WINDOW_HOURS = parseFloat(process.env.REPEAT_CALLER_WINDOW_HOURS || "24");
+
+// Call history query limits
+const CALLS_PAGE_SIZE_DEFAULT = 50;
+const CALLS_PAGE_SIZE_MAX = 500;
+const CALLS_MAX_RANGE_DAYS = 92;
+const AGENT_STATS_MAX_RANGE_DAYS = 366;
+const HISTORY_MAX_RANGE_DAYS = 366;
+const HISTORY_DEFAULT_DAYS = 30;
+
+// Live push: coalesce bursts of events into one broadcast, ping clients to drop dead sockets
+const WS_BROADCAST_DELAY_MS = 250;
+const WS_PING_INTERVAL_MS = 30000;
+
+// Contact centre timezone as an IANA zone name (Papua New Guinea by default)
+const DEFAULT_TIMEZONE = "Pacific/Port_Moresby";
+const TIMEZONE = resolveTimezone((process.env.TIMEZONE || DEFAULT_TIMEZONE).trim());
+const ZONED_PARTS_FORMAT = new Intl.DateTimeFormat("en-US", {
+  timeZone: TIMEZONE,
+  hourCycle: "h23",
+  weekday: "short",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit"
+});
+
+// Phone numbers without a country code are read as national numbers of DEFAULT_COUNTRY (ISO 3166 alpha-2)
+const DEFAULT_COUNTRY = (process.env.DEFAULT_COUNTRY || "PG").trim().toUpperCase();
+
+// Weekly working hours. Precedence: WORK_SCHEDULE env (JSON), then DATA_DIR/workSchedule.json,
+// then WORK_START/WORK_END on WORK_DAYS (default: every day 08:00-18:00)
+const WORK_SCHEDULE_FILE = path.join(DATA_DIR, "workSchedule.json");
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Holidays, one-off closures and extended-hours days (override the weekly schedule)
+const HOLIDAYS_FILE = path.join(DATA_DIR, "holidays.json");
+
+// Friendly names for the lines calls arrive on (LINE_NUMBER). Precedence: LINES env (JSON), then DATA_DIR/lines.json
+const LINES_FILE = path.join(DATA_DIR, "lines.json");
+const UNKNOWN_LINE = "unknown";
+
+// Admin APIs require this token (x-admin-token header or Bearer); without it they are disabled
+const ADMIN_TOKEN = (process.env.ADMIN_TOKEN || "").trim();
+
+// Webhook verification. Bitrix app events are checked against the application_token saved at install.
+// Plain outbound webhooks can pass WEBHOOK_SECRET as ?secret= (or an x-webhook-secret header).
+// WEBHOOK_ALLOWED_IPS is a comma-separated list of IPs / IPv4 CIDRs; set TRUST_PROXY behind a proxy.
+const WEBHOOK_SECRET = (process.env.WEBHOOK_SECRET || "").trim();
+const WEBHOOK_ALLOWED_IPS = String(process.env.WEBHOOK_ALLOWED_IPS || "")
+  .split(",")
+  .map((x) => x.trim())
+  .filter(Boolean);
+const TRUST_PROXY = (process.env.TRUST_PROXY || "").trim();
+const WEBHOOK_REJECT_LOG_SIZE = 50;
+
+// A first install must come from the portal: ADMIN_TOKEN, or an access token that app.info accepts at
+// https://<domain>/rest/. ALLOWED_PORTAL_DOMAINS (comma-separated, ".bitrix24.com" matches subdomains)
+// limits which domains can be installed without ADMIN_TOKEN.
+const ALLOWED_PORTAL_DOMAINS = String(process.env.ALLOWED_PORTAL_DOMAINS || "")
+  .split(",")
+  .map((x) => x.trim().toLowerCase())
+  .filter(Boolean);
+
+// Bitrix24 app credentials, needed to refresh OAuth tokens. BITRIX_OAUTH_URL can point at a local stub
+// (scripts/bitrix-stub.js). Without credentials tokens are not refreshed and REST calls stop once they expire.
+const BITRIX_CLIENT_ID = (process.env.BITRIX_CLIENT_ID || "").trim();
+const BITRIX_CLIENT_SECRET = (process.env.BITRIX_CLIENT_SECRET || "").trim();
+const BITRIX_OAUTH_URL = (process.env.BITRIX_OAUTH_URL || "https://oauth.bitrix.info/oauth/token/").trim();
+const TOKEN_REFRESH_MARGIN_SECONDS = 300; // refresh this long before the access token expires
+
+// REST client: Bitrix24 allows about 2 requests/second per portal and 50 commands per batch
+const REST_MIN_INTERVAL_MS = parseInt(process.env.BITRIX_REST_MIN_INTERVAL_MS || "500", 10);
+const REST_MAX_RETRIES = 4;
+const REST_BATCH_SIZE = 50;
+const REST_TIMEOUT_MS = 15000;
+const UNINSTALLED_DIR = path.join(DATA_DIR, "uninstalled"); // data of uninstalled portals is archived here
+
+// Agent profiles from user.get / department.get, cached per portal in userDirectory.json
+const USER_DIRECTORY_TTL_HOURS = parseFloat(process.env.USER_DIRECTORY_TTL_HOURS || "24");
+const USER_LOOKUP_DELAY_MS = 1000; // collect new agent ids into one batch
+const USER_LOOKUP_RETRY_MS = 5 * 60 * 1000; // wait after a failed lookup
+
+// Caller numbers are looked up in the CRM and cached per portal in crmCallers.json.
+// Numbers not in the CRM are re-checked sooner, so a contact created during the call shows up.
+const CRM_LOOKUP_TTL_HOURS = parseFloat(process.env.CRM_LOOKUP_TTL_HOURS || "12");
+const CRM_MISS_TTL_MINUTES = 30;
+const CRM_LOOKUP_DELAY_MS = 500;
+
+// After-call work: an agent is in wrap-up after a call until their next call or this many seconds
+const WRAPUP_SECONDS = parseInt(process.env.WRAPUP_SECONDS || "60", 10);
+
+// Agent presence. Breaks and shifts come from the Bitrix24 work day (timeman.status), polled this often
+// (0 disables), or from POST /api/agents/:id/presence. Without either, agents are available during work hours.
+const TIMEMAN_POLL_SECONDS = parseInt(process.env.TIMEMAN_POLL_SECONDS || "60", 10);
+const TIMEMAN_RETRY_MS = 30 * 60 * 1000; // back off when the portal has no timeman access
+
+// Live calls older than this with no end event are looked up in voximplant.statistic.get (with REST access)
+// and closed with the recorded outcome, or closed as expired. 0 disables the reaper.
+const STALE_CALL_MINUTES = parseFloat(process.env.STALE_CALL_MINUTES || "180");
+const STALE_CALL_CHECK_MS = 60000;
+const STALE_CALL_GRACE_MS = 10 * 60 * 1000; // wait this long for a statistics record before expiring
+const STALE_CALL_LOG_SIZE = 100;
+
+// Ended calls and delivered event keys are remembered this long, so a redelivered or late event
+// (e.g. a CALLSTART arriving after the CALLEND) is recognised and reconciled instead of counted again
+const RECENT_CALL_MEMORY_MINUTES = 60;
+const CALL_EVENT_LOG_SIZE = 200;
+
+// After downtime, every day between the last saved day and today gets a "no data" entry (at most this many)
+const MISSING_DAYS_MAX = 366;
+
+// Live state (today's counters, live calls, agents) is written to liveState.json this often when it
+// changed, and on shutdown, so a restart or redeploy carries on with today's numbers. 0 disables it.
+const SNAPSHOT_INTERVAL_SECONDS = parseInt(process.env.SNAPSHOT_INTERVAL_SECONDS || "15", 10);
+const LIVE_STATE_VERSION = 1;
+
+// Every accepted /bitrix/events payload goes to journal/<date>.ndjson in the portal's directory (auth
+// tokens masked), kept this many days; POST /api/admin/journal/replay rebuilds a day from it. 0 disables it.
+const JOURNAL_RETENTION_DAYS = parseInt(process.env.JOURNAL_RETENTION_DAYS || "30", 10);
+
+// Service level: % of inbound calls answered within SERVICE_LEVEL_SECONDS.
+// Callers hanging up within SHORT_ABANDON_SECONDS are short abandons and excluded from it.
+const SERVICE_LEVEL_SECONDS = parseInt(process.env.SERVICE_LEVEL_SECONDS || "20", 10);
+const SHORT_ABANDON_SECONDS = parseInt(process.env.SHORT_ABANDON_SECONDS || "5", 10);
 
 // In-memory state
 let portalTokens = {};
 const lastEvents = [];
+let workSchedule = loadWorkSchedule();
+let holidays = loadHolidays();
+let lineConfig = loadLines();
 
-// Daily metrics (reset daily)
-let dailyMetrics = {
-  date: getCurrentDate(),
-  isWithinWorkHours: checkIfWithinWorkHours(),
-  incoming: { inProgress: 0, answered: 0, missed: 0 },
-  outgoing: { inProgress: 0, answered: 0, cancelled: 0 },
-  missedDroppedAbandoned: 0,
-  startedAt: new Date().toISOString(),
-  lastReset: new Date().toISOString()
-};
+// Per-portal state (metrics, live calls, agents, callbacks...), keyed by portal slug — see createPortalState()
+const portals = new Map();
+let defaultPortalKey = "default";
 
-// Previous day stats (loaded from file)
-let previousDayStats = {
-  date: "",
-  incoming: { answered: 0, missed: 0 },
-  outgoing: { answered: 0, cancelled: 0 },
-  missedDroppedAbandoned: 0,
-  totalCalls: 0
+// Accepted / rejected webhook counters since boot (see GET /debug/webhooks)
+const webhookStats = {
+  since: new Date().toISOString(),
+  accepted: { application_token: 0, secret: 0, unverified: 0 },
+  rejected: {},
+  recentRejections: []
 };
 
-const liveCalls = new Map();
-const agents = new Map();
-
 // -------------------- Timezone Helper Functions --------------------
-function getPNGTime() {
-  // Convert UTC to Papua New Guinea time (GMT+10)
-  const now = new Date();
-  const pngOffset = 10 * 60; // GMT+10 in minutes
-  const pngTime = new Date(now.getTime() + pngOffset * 60000);
-  return pngTime;
+function resolveTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return tz;
+  } catch (e) {
+    console.error(`❌ Invalid TIMEZONE "${tz}", falling back to ${DEFAULT_TIMEZONE}`);
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+// Wall-clock parts of `date` in TIMEZONE (weekday: 0 = Sunday, minutes: minutes since local midnight)
+function getZonedParts(date = new Date()) {
+  const parts = {};
+  for (const { type, value } of ZONED_PARTS_FORMAT.formatToParts(date)) parts[type] = value;
+  const hour = parseInt(parts.hour, 10) % 24;
+  const minute = parseInt(parts.minute, 10);
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+    hour,
+    minute,
+    second: parseInt(parts.second, 10),
+    minutes: hour * 60 + minute
+  };
+}
+
+function getTimezoneLabel(date = new Date()) {
+  try {
+    const part = new Intl.DateTimeFormat("en-US", { timeZone: TIMEZONE, timeZoneName: "shortOffset" })
+      .formatToParts(date)
+      .find((p) => p.type === "timeZoneName");
+    return part ? part.value : TIMEZONE;
+  } catch (e) {
+    return TIMEZONE;
+  }
 }
 
 function getCurrentDate() {
-  const pngTime = getPNGTime();
-  return pngTime.toISOString().split('T')[0]; // YYYY-MM-DD format
+  return getZonedParts().date; // YYYY-MM-DD format
 }
 
 function getCurrentDateTime() {
-  return getPNGTime().toISOString();
+  const p = getZonedParts();
+  return `${p.date}T${formatClock(p.minutes)}:${String(p.second).padStart(2, '0')}`;
 }
 
-function checkIfWithinWorkHours() {
-  const pngTime = getPNGTime();
-  const hour = pngTime.getUTCHours(); // Using getUTCHours because we already added offset
-  const minute = pngTime.getUTCMinutes();
-  
-  // Check if current time is between 8:00 AM and 6:00 PM PNG time
-  const currentTimeInMinutes = hour * 60 + minute;
-  const workStartInMinutes = WORK_START_HOUR * 60; // 8:00 AM = 480 minutes
-  const workEndInMinutes = WORK_END_HOUR * 60;     // 6:00 PM = 1080 minutes
-  
-  return currentTimeInMinutes >= workStartInMinutes && currentTimeInMinutes < workEndInMinutes;
+function getDateForTimestamp(ms) {
+  // Local calendar date (YYYY-MM-DD) of an epoch-ms timestamp
+  return getZonedParts(new Date(ms)).date;
 }
 
-function formatTimePNG(date) {
-  const pngTime = getPNGTime();
-  return pngTime.toLocaleTimeString('en-AU', { 
-    timeZone: 'Australia/Sydney', // Closest to PNG timezone
+function formatLocalTime(date = new Date()) {
+  return date.toLocaleTimeString('en-AU', { 
+    timeZone: TIMEZONE,
     hour: '2-digit', 
     minute: '2-digit',
     hour12: true 
   });
 }
 
-function formatDatePNG(date) {
-  const pngTime = getPNGTime();
-  return pngTime.toLocaleDateString('en-AU', { 
-    timeZone: 'Australia/Sydney',
+function formatLocalDate(date = new Date()) {
+  return date.toLocaleDateString('en-AU', { 
+    timeZone: TIMEZONE,
     weekday: 'long', 
     year: 'numeric', 
     month: 'long', 
@@ -107,18 +280,11 @@ function formatDatePNG(date) {
   });
 }
 
-function formatDateTimePNG(date) {
-  const pngTime = getPNGTime();
+function formatLocalDateTime(date = new Date()) {
   return {
-    date: pngTime.toLocaleDateString('en-AU', { 
-      timeZone: 'Australia/Sydney',
-      weekday: 'long', 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
-    }),
-    time: pngTime.toLocaleTimeString('en-AU', { 
-      timeZone: 'Australia/Sydney',
+    date: formatLocalDate(date),
+    time: date.toLocaleTimeString('en-AU', { 
+      timeZone: TIMEZONE,
       hour: '2-digit', 
       minute: '2-digit',
       second: '2-digit',
@@ -127,48 +293,337 @@ function formatDateTimePNG(date) {
   };
 }
 
-function getWorkHoursStatus() {
-  const pngTime = getPNGTime();
-  const hour = pngTime.getUTCHours();
-  const minute = pngTime.getUTCMinutes();
-  const isWorkHours = checkIfWithinWorkHours();
-  
-  // Log for debugging
-  console.log(`🌐 PNG Time: ${hour}:${minute.toString().padStart(2, '0')} (GMT+10)`);
-  console.log(`🏢 Work hours check: ${isWorkHours ? 'OPEN' : 'CLOSED'}`);
-  
-  if (isWorkHours) {
-    const remainingMinutes = (WORK_END_HOUR * 60) - (hour * 60 + minute);
-    const remainingHours = Math.floor(remainingMinutes / 60);
-    const remainingMins = remainingMinutes % 60;
-    
-    // Format closing time
-    const closingTime = `${WORK_END_HOUR.toString().padStart(2, '0')}:00`;
-    
-    return `Open (Closes at ${closingTime} - ${remainingHours}h ${remainingMins}m remaining)`;
+// -------------------- Work Schedule --------------------
+function parseClock(value) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(value || "").trim());
+  if (!m) throw new Error(`Invalid time "${value}" (expected HH:MM)`);
+  const minutes = parseInt(m[1], 10) * 60 + parseInt(m[2], 10);
+  if (parseInt(m[2], 10) > 59 || minutes > 24 * 60) throw new Error(`Invalid time "${value}"`);
+  return minutes;
+}
+
+function formatClock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function parseInterval(item) {
+  let start;
+  let end;
+  if (Array.isArray(item)) [start, end] = item;
+  else if (item && typeof item === "object") ({ start, end } = item);
+  else [start, end] = String(item).split("-");
+
+  const interval = { start: parseClock(start), end: parseClock(end) };
+  if (interval.start >= interval.end) throw new Error(`Interval ${start}-${end} must end after it starts`);
+  return interval;
+}
+
+function subtractBreaks(intervals, breaks) {
+  let result = intervals;
+  for (const b of breaks) {
+    result = result.flatMap((iv) => {
+      if (b.end <= iv.start || b.start >= iv.end) return [iv];
+      const pieces = [];
+      if (b.start > iv.start) pieces.push({ start: iv.start, end: b.start });
+      if (b.end < iv.end) pieces.push({ start: b.end, end: iv.end });
+      return pieces;
+    });
+  }
+  return result;
+}
+
+// A day is "closed"/null/[], "08:00-18:00" (comma-separated for split shifts),
+// [["08:00","12:00"],["13:00","18:00"]], or { open, close, breaks: [["12:00","13:00"]] }
+function parseDaySchedule(spec) {
+  if (spec === null || spec === undefined || spec === false) return [];
+  if (typeof spec === "string") {
+    if (/^\s*(closed|off)?\s*$/i.test(spec)) return [];
+    spec = spec.split(",");
+  }
+
+  let intervals;
+  if (Array.isArray(spec)) {
+    intervals = spec.map(parseInterval);
+  } else if (typeof spec === "object") {
+    if (spec.closed) return [];
+    intervals = subtractBreaks([parseInterval([spec.open, spec.close])], (spec.breaks || []).map(parseInterval));
   } else {
-    if (hour < WORK_START_HOUR) {
-      const remainingMinutes = (WORK_START_HOUR * 60) - (hour * 60 + minute);
-      const remainingHours = Math.floor(remainingMinutes / 60);
-      const remainingMins = remainingMinutes % 60;
-      return `Closed (Opens at 08:00 - in ${remainingHours}h ${remainingMins}m)`;
-    } else {
-      // Calculate time until tomorrow 8 AM
-      const minutesUntilMidnight = (24 * 60) - (hour * 60 + minute);
-      const minutesFromMidnightTo8AM = WORK_START_HOUR * 60;
-      const remainingMinutes = minutesUntilMidnight + minutesFromMidnightTo8AM;
-      const remainingHours = Math.floor(remainingMinutes / 60);
-      const remainingMins = remainingMinutes % 60;
-      return `Closed (Opens at 08:00 - in ${remainingHours}h ${remainingMins}m)`;
+    throw new Error(`Invalid day schedule: ${JSON.stringify(spec)}`);
+  }
+
+  return intervals.sort((a, b) => a.start - b.start);
+}
+
+// Keys are weekday names (sun..sat, full names OK); "default" covers days not listed
+function parseWorkSchedule(raw) {
+  const byDay = {};
+  for (const [key, spec] of Object.entries(raw || {})) {
+    const k = key.trim().toLowerCase();
+    if (k === "default") continue;
+    const idx = WEEKDAYS.indexOf(k.slice(0, 3));
+    if (idx === -1) throw new Error(`Unknown weekday "${key}"`);
+    byDay[idx] = parseDaySchedule(spec);
+  }
+
+  const fallback = parseDaySchedule(raw && raw.default);
+  return WEEKDAYS.map((_, idx) => byDay[idx] || fallback);
+}
+
+function loadWorkSchedule() {
+  try {
+    if (process.env.WORK_SCHEDULE) {
+      return { days: parseWorkSchedule(JSON.parse(process.env.WORK_SCHEDULE)), source: "env:WORK_SCHEDULE", mtimeMs: 0 };
+    }
+
+    if (fs.existsSync(WORK_SCHEDULE_FILE)) {
+      const raw = fs.readFileSync(WORK_SCHEDULE_FILE, "utf8");
+      return {
+        days: parseWorkSchedule(raw ? JSON.parse(raw) : {}),
+        source: WORK_SCHEDULE_FILE,
+        mtimeMs: fs.statSync(WORK_SCHEDULE_FILE).mtimeMs
+      };
+    }
+  } catch (e) {
+    console.error("❌ Failed to load work schedule, using WORK_START/WORK_END:", e.message);
+  }
+
+  const hours = `${process.env.WORK_START || "08:00"}-${process.env.WORK_END || "18:00"}`;
+  const workDays = (process.env.WORK_DAYS || WEEKDAYS.join(",")).split(",").map((d) => d.trim().toLowerCase().slice(0, 3));
+  const raw = {};
+  for (const day of WEEKDAYS) raw[day] = workDays.includes(day) ? hours : "closed";
+  return { days: parseWorkSchedule(raw), source: "env:WORK_START/WORK_END", mtimeMs: 0 };
+}
+
+// Picks up edits to workSchedule.json without a restart (env-based schedules never change)
+function reloadWorkScheduleIfChanged() {
+  if (process.env.WORK_SCHEDULE) return false;
+  try {
+    const mtimeMs = fs.existsSync(WORK_SCHEDULE_FILE) ? fs.statSync(WORK_SCHEDULE_FILE).mtimeMs : 0;
+    if (mtimeMs === workSchedule.mtimeMs) return false;
+  } catch (e) {
+    return false;
+  }
+  workSchedule = loadWorkSchedule();
+  console.log(`🗓️ Work schedule reloaded from ${workSchedule.source}`);
+  return true;
+}
+
+function describeHours(intervals) {
+  if (!intervals || !intervals.length) return "Closed";
+  return intervals.map((iv) => `${formatClock(iv.start)} - ${formatClock(iv.end)}`).join(", ");
+}
+
+function describeTodayHours(now = new Date()) {
+  const p = getZonedParts(now);
+  const day = getDaySchedule(p.date, p.weekday);
+  return day.holiday ? `${describeHours(day.intervals)} (${day.holiday.name})` : describeHours(day.intervals);
+}
+
+function formatRemaining(minutes) {
+  const days = Math.floor(minutes / (24 * 60));
+  const hours = Math.floor((minutes % (24 * 60)) / 60);
+  const mins = minutes % 60;
+  return days ? `${days}d ${hours}h ${mins}m` : `${hours}h ${mins}m`;
+}
+
+function findNextOpening(p) {
+  for (let offset = 0; offset <= 7; offset++) {
+    const { intervals } = getDaySchedule(addDays(p.date, offset), (p.weekday + offset) % 7);
+    const next = intervals.find((iv) => offset > 0 || iv.start > p.minutes);
+    if (next) {
+      return { dayOffset: offset, weekday: (p.weekday + offset) % 7, start: next.start, minutesUntil: offset * 24 * 60 + next.start - p.minutes };
     }
   }
+  return null;
+}
+
+function checkIfWithinWorkHours(now = new Date()) {
+  const p = getZonedParts(now);
+  return getDaySchedule(p.date, p.weekday).intervals.some((iv) => p.minutes >= iv.start && p.minutes < iv.end);
+}
+
+function getWorkHoursStatus(now = new Date()) {
+  const p = getZonedParts(now);
+  const { intervals: today, holiday } = getDaySchedule(p.date, p.weekday);
+  const current = today.find((iv) => p.minutes >= iv.start && p.minutes < iv.end);
+  const reason = holiday ? ` – ${holiday.name}` : "";
+
+  if (current) {
+    return `Open${reason} (Closes at ${formatClock(current.end)} - ${formatRemaining(current.end - p.minutes)} remaining)`;
+  }
+
+  const next = findNextOpening(p);
+  if (!next) return `Closed${reason} (No working hours configured)`;
+
+  // Between two shifts of the same day (e.g. lunch) the centre reopens rather than opens
+  const onBreak = next.dayOffset === 0 && today.some((iv) => iv.end <= p.minutes);
+  const at = next.dayOffset <= 1
+    ? formatClock(next.start)
+    : `${WEEKDAYS[next.weekday][0].toUpperCase()}${WEEKDAYS[next.weekday].slice(1)} ${formatClock(next.start)}`;
+  return `Closed${reason} (${onBreak ? "Break - reopens" : "Opens"} at ${at} - in ${formatRemaining(next.minutesUntil)})`;
+}
+
+// -------------------- Holiday Calendar --------------------
+function addDays(date, n) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().split('T')[0];
+}
+
+function weekdayOfDate(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function loadHolidays() {
+  try {
+    ensureDir(DATA_DIR);
+    if (!fs.existsSync(HOLIDAYS_FILE)) return [];
+    const raw = fs.readFileSync(HOLIDAYS_FILE, "utf8");
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.error("❌ Failed to load holidays:", e);
+    return [];
+  }
 }
 
-function loadDailyStats() {
+function saveHolidays(list) {
   try {
     ensureDir(DATA_DIR);
-    if (!fs.existsSync(DAILY_STATS_FILE)) return {};
-    const raw = fs.readFileSync(DAILY_STATS_FILE, "utf8");
+    fs.writeFileSync(HOLIDAYS_FILE, JSON.stringify(list, null, 2), "utf8");
+  } catch (e) {
+    console.error("❌ Failed to save holidays:", e);
+  }
+}
+
+// Validates and normalises an entry: { date, endDate?, name, type: "closed" | "hours", hours? }
+function normalizeHoliday(input, source = "manual") {
+  const date = String(input.date || "").trim();
+  const endDate = String(input.endDate || date).trim();
+  const type = String(input.type || "closed").toLowerCase();
+
+  if (!isValidDateString(date) || !isValidDateString(endDate)) throw new Error("date/endDate must be YYYY-MM-DD");
+  if (endDate < date) throw new Error("endDate must not be before date");
+  if (type !== "closed" && type !== "hours") throw new Error('type must be "closed" or "hours"');
+
+  const entry = {
+    id: input.id || `${source}-${date}-${Math.random().toString(36).slice(2, 8)}`,
+    date,
+    endDate,
+    name: String(input.name || (type === "closed" ? "Closed" : "Special hours")).trim(),
+    type,
+    source,
+    createdAt: input.createdAt || new Date().toISOString()
+  };
+
+  if (type === "hours") {
+    const intervals = parseDaySchedule(input.hours);
+    if (!intervals.length) throw new Error('type "hours" needs hours, e.g. "08:00-20:00"');
+    entry.hours = intervals.map((iv) => `${formatClock(iv.start)}-${formatClock(iv.end)}`);
+  }
+  if (input.uid) entry.uid = String(input.uid);
+
+  return entry;
+}
+
+// Manual entries win over imported ones; among equals the most recently added wins
+function findHoliday(date) {
+  const matches = holidays.filter((h) => h.date <= date && date <= (h.endDate || h.date));
+  if (!matches.length) return null;
+  matches.sort((a, b) =>
+    (a.source === "manual" ? 1 : 0) - (b.source === "manual" ? 1 : 0) ||
+    String(a.createdAt || "").localeCompare(String(b.createdAt || ""))
+  );
+  return matches[matches.length - 1];
+}
+
+// Working intervals for a calendar date: the weekly schedule unless a holiday/closure overrides it
+function getDaySchedule(date, weekday = weekdayOfDate(date)) {
+  const holiday = findHoliday(date);
+  if (!holiday) return { intervals: workSchedule.days[weekday] || [], holiday: null };
+  if (holiday.type === "closed") return { intervals: [], holiday };
+  try {
+    return { intervals: parseDaySchedule(holiday.hours), holiday };
+  } catch (e) {
+    console.error(`⚠️ Bad hours on holiday ${holiday.id}, using weekly schedule:`, e.message);
+    return { intervals: workSchedule.days[weekday] || [], holiday: null };
+  }
+}
+
+// Undoes RFC 5545 line folding and text escaping
+function unfoldIcs(text) {
+  return String(text).replace(/\r\n/g, "\n").replace(/\n[ \t]/g, "");
+}
+
+function unescapeIcsText(v) {
+  return String(v).replace(/\\n/gi, " ").replace(/\\([,;\\])/g, "$1").trim();
+}
+
+function parseIcsDate(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value).trim());
+  if (!m) return null;
+  if (!m[4]) return { date: `${m[1]}-${m[2]}-${m[3]}`, allDay: true };
+  // Timed events: UTC ("Z") times are converted, floating/TZID times are taken as local
+  if (m[8]) {
+    return { date: getDateForTimestamp(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[5], +m[6], +m[7])), allDay: false };
+  }
+  return { date: `${m[1]}-${m[2]}-${m[3]}`, allDay: false };
+}
+
+// Each VEVENT becomes a full-day closure; all-day DTEND is exclusive
+function parseIcsHolidays(text) {
+  const entries = [];
+  let event = null;
+
+  for (const line of unfoldIcs(text).split("\n")) {
+    const trimmed = line.trim();
+    if (trimmed === "BEGIN:VEVENT") { event = {}; continue; }
+    if (trimmed === "END:VEVENT") {
+      if (event && event.start) {
+        let endDate = event.start.date;
+        if (event.end) endDate = event.end.allDay ? addDays(event.end.date, -1) : event.end.date;
+        entries.push(normalizeHoliday({
+          date: event.start.date,
+          endDate: endDate < event.start.date ? event.start.date : endDate,
+          name: event.summary || "Holiday",
+          type: "closed",
+          uid: event.uid
+        }, "ics"));
+      }
+      event = null;
+      continue;
+    }
+    if (!event) continue;
+
+    const idx = trimmed.indexOf(":");
+    if (idx === -1) continue;
+    const name = trimmed.slice(0, idx).split(";")[0].toUpperCase();
+    const value = trimmed.slice(idx + 1);
+
+    if (name === "DTSTART") event.start = parseIcsDate(value);
+    else if (name === "DTEND") event.end = parseIcsDate(value);
+    else if (name === "SUMMARY") event.summary = unescapeIcsText(value);
+    else if (name === "UID") event.uid = value.trim();
+  }
+
+  return entries;
+}
+
+// Re-importing the same calendar replaces events by UID (or date+name) instead of duplicating them
+function importIcsHolidays(text) {
+  const imported = parseIcsHolidays(text);
+  const keyOf = (h) => h.uid || `${h.date}|${h.name}`;
+  const incoming = new Set(imported.map(keyOf));
+  holidays = holidays.filter((h) => h.source !== "ics" || !incoming.has(keyOf(h))).concat(imported);
+  saveHolidays(holidays);
+  return imported;
+}
+
+function loadDailyStats(portal) {
+  try {
+    ensureDir(portal.dataDir);
+    if (!fs.existsSync(portal.dailyStatsFile)) return {};
+    const raw = fs.readFileSync(portal.dailyStatsFile, "utf8");
     return raw ? JSON.parse(raw) : {};
   } catch (e) {
     console.error("❌ Failed to load daily stats:", e);
@@ -176,63 +631,224 @@ function loadDailyStats() {
   }
 }
 
-function saveDailyStats(stats) {
+function saveDailyStats(portal, stats) {
   try {
-    ensureDir(DATA_DIR);
-    fs.writeFileSync(DAILY_STATS_FILE, JSON.stringify(stats, null, 2), "utf8");
+    ensureDir(portal.dataDir);
+    fs.writeFileSync(portal.dailyStatsFile, JSON.stringify(stats, null, 2), "utf8");
   } catch (e) {
     console.error("❌ Failed to save daily stats:", e);
   }
 }
 
-function checkAndResetDailyMetrics() {
-  const currentDate = getCurrentDate();
+// Counters kept for the whole day and again for each line
+function createCallCounters() {
+  return {
+    incoming: { inProgress: 0, answered: 0, missed: 0 },
+    outgoing: { inProgress: 0, answered: 0, cancelled: 0 },
+    missedDroppedAbandoned: 0,
+    // Breakdown of unanswered inbound calls (sums to incoming.missed)
+    unanswered: { shortAbandoned: 0, abandoned: 0, missedRinging: 0 },
+    answeredWithinServiceLevel: 0,
+    // Raw time totals (seconds); averages are derived in computeTimingKpis()
+    timing: {
+      answeredInbound: 0,
+      totalAnswerWaitSeconds: 0,
+      longestWaitSeconds: 0,
+      handledCalls: 0,
+      totalTalkSeconds: 0,
+      totalAfterCallSeconds: 0
+    }
+  };
+}
+
+function createDailyMetrics(date) {
+  return {
+    date,
+    isWithinWorkHours: checkIfWithinWorkHours(),
+    ...createCallCounters(),
+    // Calls that arrived while closed; kept out of every other counter
+    afterHours: { total: 0, answered: 0, missed: 0, calls: [] },
+    // Same counters per line, keyed by line — see lineMetrics()
+    lines: {},
+    // Live calls that never got an end event — see reapStaleCalls()
+    staleCalls: { flagged: 0, reconciled: 0, expired: 0 },
+    startedAt: new Date().toISOString(),
+    lastReset: new Date().toISOString()
+  };
+}
+
+function computeTimingKpis(timing = {}) {
+  const answered = timing.answeredInbound || 0;
+  const handled = timing.handledCalls || 0;
+  const talk = timing.totalTalkSeconds || 0;
+  const afterCall = timing.totalAfterCallSeconds || 0;
+  return {
+    asaSeconds: answered ? Math.round((timing.totalAnswerWaitSeconds || 0) / answered) : 0,
+    ahtSeconds: handled ? Math.round((talk + afterCall) / handled) : 0,
+    longestWaitSeconds: timing.longestWaitSeconds || 0,
+    totalTalkSeconds: talk,
+    totalAfterCallSeconds: afterCall
+  };
+}
+
+// Short abandons are left out of the denominator
+function computeServiceLevel(metrics) {
+  const unanswered = metrics.unanswered || {};
+  const offered = (metrics.incoming?.answered || 0) + (unanswered.abandoned || 0) + (unanswered.missedRinging || 0);
+  const answeredWithin = metrics.answeredWithinServiceLevel || 0;
+  return {
+    thresholdSeconds: SERVICE_LEVEL_SECONDS,
+    shortAbandonSeconds: SHORT_ABANDON_SECONDS,
+    answeredWithin,
+    offered,
+    percent: offered ? Math.round((answeredWithin / offered) * 1000) / 10 : null
+  };
+}
+
+function classifyUnanswered(lc) {
+  const waitSeconds = secondsBetween(lc.startedAt, lc.endedAt || Date.now());
+  if (waitSeconds < SHORT_ABANDON_SECONDS) return "shortAbandoned";
+  return lc.agentId ? "missedRinging" : "abandoned";
+}
+
+// Rollup flag for days the centre was never scheduled to open (weekends, holidays, closures)
+function describeWorkingDay(date) {
+  const { intervals, holiday } = getDaySchedule(date);
+  return {
+    nonWorkingDay: intervals.length === 0,
+    closureReason: intervals.length ? null : (holiday ? holiday.name : "Closed (weekly schedule)"),
+    specialHours: holiday && intervals.length ? holiday.name : null
+  };
+}
+
+// The dailyStats.json entry for a day. callsInProgress: calls started that day and still live,
+// counted as they stood (the entry is provisional until they finish — see updateClosingDay())
+function buildDayRollup(portal, metrics, agents, callsInProgress = 0) {
+  return {
+    date: metrics.date,
+    incoming: { 
+      answered: metrics.incoming.answered,
+      missed: metrics.incoming.missed
+    },
+    outgoing: { 
+      answered: metrics.outgoing.answered,
+      cancelled: metrics.outgoing.cancelled
+    },
+    missedDroppedAbandoned: metrics.missedDroppedAbandoned,
+    unanswered: { ...metrics.unanswered },
+    afterHours: {
+      total: metrics.afterHours.total,
+      answered: metrics.afterHours.answered,
+      missed: metrics.afterHours.missed,
+      numbers: Array.from(new Set(metrics.afterHours.calls.map((c) => c.from).filter(Boolean)))
+    },
+    serviceLevel: computeServiceLevel(metrics),
+    callbacks: summarizeCallbacks(portal, metrics.date),
+    repeatCallers: computeRepeatCallerStats(portal, metrics.date),
+    totalCalls: metrics.incoming.answered + metrics.incoming.missed + 
+                metrics.outgoing.answered + metrics.outgoing.cancelled,
+    kpis: computeTimingKpis(metrics.timing),
+    lines: summarizeLines(metrics),
+    agents: summarizeAgentsForRollup(agents),
+    staleCalls: { ...metrics.staleCalls },
+    callsInProgress,
+    provisional: callsInProgress > 0,
+    ...describeWorkingDay(metrics.date),
+    endedAt: new Date().toISOString()
+  };
+}
+
+function checkAndResetDailyMetrics(portal, currentDate = getCurrentDate()) {
+  const dailyMetrics = portal.dailyMetrics;
   
   if (dailyMetrics.date !== currentDate) {
-    console.log(`🔄 Resetting daily metrics for ${currentDate}`);
-    
-    // Save yesterday's stats
-    const yesterdayStats = {
-      date: dailyMetrics.date,
-      incoming: { 
-        answered: dailyMetrics.incoming.answered,
-        missed: dailyMetrics.incoming.missed
-      },
-      outgoing: { 
-        answered: dailyMetrics.outgoing.answered,
-        cancelled: dailyMetrics.outgoing.cancelled
-      },
-      missedDroppedAbandoned: dailyMetrics.missedDroppedAbandoned,
-      totalCalls: dailyMetrics.incoming.answered + dailyMetrics.incoming.missed + 
-                  dailyMetrics.outgoing.answered + dailyMetrics.outgoing.cancelled,
-      endedAt: new Date().toISOString()
-    };
+    console.log(`🔄 [${portal.key}] Resetting daily metrics for ${currentDate}`);
+
+    // Close open wrap-ups and presence periods so their time lands on the day being saved
+    for (const agent of portal.agents.values()) {
+      finishWrapUp(portal, agent);
+      accruePresence(agent);
+    }
+
+    // Only one day is kept open for late calls; an older one is saved as it stands
+    if (portal.closingDay) updateClosingDay(portal, true);
+
+    // Calls still live stay on this day: their outcome is added to its entry when they finish
+    const openCalls = Array.from(portal.liveCalls.values())
+      .filter((lc) => lc.tally && lc.tally.date === dailyMetrics.date)
+      .map((lc) => lc.callId);
+    if (openCalls.length) {
+      portal.closingDay = {
+        date: dailyMetrics.date,
+        metrics: dailyMetrics,
+        agents: new Map(Array.from(portal.agents.values()).map((a) => [a.agentId, { ...a, wrapUp: null }])),
+        callIds: openCalls
+      };
+      console.log(`🌗 [${portal.key}] ${openCalls.length} call(s) still in progress; ${dailyMetrics.date} stays open until they finish`);
+    }
     
+    pruneCallbacks(portal);
+    pruneCallerLog(portal);
+    pruneJournal(portal, currentDate);
+
     // Load existing stats and save
-    const allStats = loadDailyStats();
-    allStats[dailyMetrics.date] = yesterdayStats;
-    saveDailyStats(allStats);
-    
-    // Load previous day stats
-    previousDayStats = yesterdayStats;
+    const allStats = loadDailyStats(portal);
+    allStats[dailyMetrics.date] = buildDayRollup(portal, dailyMetrics, portal.agents.values(), openCalls.length);
+    saveDailyStats(portal, allStats);
+    noteProvisionalFcr(portal, allStats[dailyMetrics.date]);
     
     // Reset daily metrics
-    dailyMetrics = {
-      date: currentDate,
-      isWithinWorkHours: checkIfWithinWorkHours(),
-      incoming: { inProgress: 0, answered: 0, missed: 0 },
-      outgoing: { inProgress: 0, answered: 0, cancelled: 0 },
-      missedDroppedAbandoned: 0,
-      startedAt: new Date().toISOString(),
-      lastReset: new Date().toISOString()
-    };
+    portal.dailyMetrics = createDailyMetrics(currentDate);
     
-    // Reset agent daily stats but keep their IDs/names
-    for (const agent of agents.values()) {
-      agent.inboundMissed = 0;
-      agent.outboundMissed = 0;
+    // Reset agent daily stats but keep their IDs/names; refresh profiles past their TTL
+    for (const agent of portal.agents.values()) {
+      queueUserLookup(portal, agent.agentId);
+      Object.assign(agent, createAgentDayStats());
+      agent.manualPresence = null;
+      updatePresence(portal, agent);
     }
+
+    closeMissedDays(portal, currentDate);
+    scheduleBroadcast(portal);
+  }
+}
+
+// Re-saves the closing day's entry as its carried-over calls change; final once none is left
+// (or when forced by the next rollover, leaving it provisional)
+function updateClosingDay(portal, force = false) {
+  const c = portal.closingDay;
+  if (!c) return;
+  c.callIds = c.callIds.filter((id) => portal.liveCalls.has(id));
+
+  const allStats = loadDailyStats(portal);
+  const saved = allStats[c.date] || {};
+  allStats[c.date] = { ...buildDayRollup(portal, c.metrics, c.agents.values(), c.callIds.length), endedAt: saved.endedAt || new Date().toISOString() };
+  saveDailyStats(portal, allStats);
+  noteProvisionalFcr(portal, allStats[c.date]);
+  loadPreviousDayStats(portal, allStats);
+
+  if (!c.callIds.length || force) {
+    console.log(`🌗 [${portal.key}] ${c.date} closed${c.callIds.length ? ` with ${c.callIds.length} call(s) still open` : ""}`);
+    portal.closingDay = null;
+  }
+  scheduleBroadcast(portal);
+}
+
+// Days the server never saw (down over a weekend, say) get an explicit "no data" entry
+function closeMissedDays(portal, today = getCurrentDate()) {
+  const allStats = loadDailyStats(portal);
+  const known = Object.keys(allStats).filter((d) => isValidDateString(d) && d < today).sort();
+  const last = known[known.length - 1];
+  const missing = last ? listDates(addDays(last, 1), addDays(today, -1)).slice(-MISSING_DAYS_MAX) : [];
+
+  for (const date of missing) {
+    allStats[date] = { ...buildDayRollup(portal, createDailyMetrics(date), []), noData: true };
+  }
+  if (missing.length) {
+    saveDailyStats(portal, allStats);
+    console.log(`📭 [${portal.key}] No data for ${missing.length} day(s): ${missing[0]} – ${missing[missing.length - 1]}`);
   }
+  loadPreviousDayStats(portal, allStats);
 }
 
 function ensureDir(dir) {
@@ -243,6 +859,19 @@ function ensureDir(dir) {
   }
 }
 
+// Write to a temp file and rename over the target, so a crash mid-write never leaves a half-written file
+function writeFileAtomic(file, content) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, "w");
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
 function loadTokens() {
   try {
     ensureDir(DATA_DIR);
@@ -264,76 +893,870 @@ function saveTokens(obj) {
   }
 }
 
-function pickEventName(body) {
-  return (
-    body?.event ||
-    body?.EVENT ||
-    body?.type ||
-    body?.TYPE ||
-    body?.eventName ||
-    "unknown"
-  );
+// -------------------- Phone Numbers --------------------
+// code: country calling code; trunk: national prefix dropped in E.164; lengths: national significant
+// number lengths; groups(n): digit grouping for display. Countries not listed still get E.164 keys.
+const COUNTRY_PHONE_RULES = {
+  PG: { code: "675", trunk: "", lengths: [7, 8], groups: (n) => (n.length === 8 ? [4, 4] : [3, 4]) },
+  AU: { code: "61", trunk: "0", lengths: [9], groups: (n) => (n[0] === "4" ? [3, 3, 3] : [1, 4, 4]) },
+  NZ: { code: "64", trunk: "0", lengths: [8, 9, 10], groups: (n) => (n[0] === "2" ? [2, 3, n.length - 5] : [1, 3, n.length - 4]) },
+  FJ: { code: "679", trunk: "", lengths: [7], groups: () => [3, 4] },
+  SB: { code: "677", trunk: "", lengths: [5, 7], groups: (n) => (n.length === 7 ? [3, 4] : [5]) },
+  VU: { code: "678", trunk: "", lengths: [5, 7], groups: (n) => (n.length === 7 ? [3, 4] : [5]) },
+  ID: { code: "62", trunk: "0", lengths: [9, 10, 11, 12], groups: (n) => [3, 4, n.length - 7] },
+  PH: { code: "63", trunk: "0", lengths: [9, 10], groups: (n) => (n.length === 10 ? [3, 3, 4] : [1, 4, 4]) },
+  MY: { code: "60", trunk: "0", lengths: [9, 10], groups: (n) => [2, 3, n.length - 5] },
+  SG: { code: "65", trunk: "", lengths: [8], groups: () => [4, 4] },
+  CN: { code: "86", trunk: "0", lengths: [10, 11], groups: (n) => (n.length === 11 ? [3, 4, 4] : [2, 4, 4]) },
+  IN: { code: "91", trunk: "0", lengths: [10], groups: () => [5, 5] },
+  GB: { code: "44", trunk: "0", lengths: [10], groups: (n) => (n[0] === "2" ? [2, 4, 4] : [4, 6]) },
+  US: { code: "1", trunk: "", lengths: [10], groups: () => [3, 3, 4] }
+};
+
+// Payload values Bitrix and carriers use for a caller who hid their number
+const HIDDEN_NUMBER_PATTERN = /anonym|private|withheld|restricted|hidden|unknown|unavailable|blocked|not available/i;
+
+function resolveCountry(country) {
+  if (COUNTRY_PHONE_RULES[country]) return country;
+  console.error(`⚠️ Unsupported DEFAULT_COUNTRY "${country}", falling back to PG`);
+  return "PG";
 }
+const HOME_COUNTRY = resolveCountry(DEFAULT_COUNTRY);
 
-function pickEventData(body) {
-  return body?.data || body?.DATA || body?.payload || body?.PAYLOAD || {};
+function groupDigits(digits, sizes) {
+  const parts = [];
+  let i = 0;
+  for (const size of sizes) {
+    if (i >= digits.length) break;
+    parts.push(digits.slice(i, i + size));
+    i += size;
+  }
+  if (i < digits.length) parts.push(digits.slice(i));
+  return parts.join(" ");
 }
 
-function isInitEvent(e) {
-  const x = String(e || "").toUpperCase();
-  return x.includes("ONVOXIMPLANTCALLINIT") || x.includes("CALLINIT");
+// Country for an E.164 number; codes are tried longest first ("675" before "6x")
+function findCountryForE164(e164) {
+  const digits = e164.slice(1);
+  let best = null;
+  for (const [country, rules] of Object.entries(COUNTRY_PHONE_RULES)) {
+    if (digits.startsWith(rules.code) && (!best || rules.code.length > COUNTRY_PHONE_RULES[best].code.length)) {
+      best = country;
+    }
+  }
+  return best;
 }
 
-function isStartEvent(e) {
-  const x = String(e || "").toUpperCase();
-  return x.includes("ONVOXIMPLANTCALLSTART") || x.includes("CALLSTART");
+// Normalises a raw number to the key used everywhere numbers are compared or grouped:
+// E.164 ("+67571234567") when possible, bare digits for short codes/extensions, "" when hidden
+function normalizePhone(raw, country = HOME_COUNTRY) {
+  const text = String(raw ?? "").trim();
+  const digits = text.replace(/\D/g, "");
+  if (!digits || HIDDEN_NUMBER_PATTERN.test(text) || /^0+$/.test(digits)) {
+    return { key: "", e164: null, hidden: true, raw: text };
+  }
+
+  const rules = COUNTRY_PHONE_RULES[country];
+  let e164 = null;
+  if (text.startsWith("+")) e164 = `+${digits}`;
+  else if (digits.startsWith("00") && digits.length > 9) e164 = `+${digits.slice(2)}`;
+  else if (digits.startsWith(rules.code) && rules.lengths.includes(digits.length - rules.code.length)) e164 = `+${digits}`;
+  else {
+    const national = rules.trunk && digits.startsWith(rules.trunk) ? digits.slice(rules.trunk.length) : digits;
+    if (rules.lengths.includes(national.length)) e164 = `+${rules.code}${national}`;
+    else if (national.length > Math.max(...rules.lengths) && digits[0] !== "0") e164 = `+${digits}`; // has a country code
+  }
+
+  if (e164 && (e164.length < 8 || e164.length > 16)) e164 = null;
+  return { key: e164 || digits, e164, hidden: false, raw: text };
 }
 
-function isEndEvent(e) {
-  const x = String(e || "").toUpperCase();
-  return x.includes("ONVOXIMPLANTCALLEND") || x.includes("CALLEND");
+function phoneKey(raw) {
+  return normalizePhone(raw).key;
 }
 
-function clampDown(obj, key) {
-  if (!obj || typeof obj[key] !== "number") return;
-  obj[key] = Math.max(0, obj[key] - 1);
+// Display forms of a normalised key; national form is used for numbers from the home country
+function describePhone(key, hidden = false) {
+  if (!key) {
+    return { e164: null, national: "", international: "", display: hidden ? "Withheld number" : "Unknown", hidden: !!hidden };
+  }
+  if (!key.startsWith("+")) return { e164: null, national: key, international: key, display: key, hidden: false };
+
+  const country = findCountryForE164(key);
+  const rules = country && COUNTRY_PHONE_RULES[country];
+  if (!rules) {
+    const international = `+${groupDigits(key.slice(1), [3, 3, 3, 3, 3])}`;
+    return { e164: key, national: international, international, display: international, hidden: false };
+  }
+
+  const nsn = key.slice(1 + rules.code.length);
+  const grouped = groupDigits(nsn, rules.groups(nsn));
+  const international = `+${rules.code} ${grouped}`;
+  const national = `${rules.trunk}${grouped}`;
+  return { e164: key, country, national, international, display: country === HOME_COUNTRY ? national : international, hidden: false };
 }
 
-function ensureAgent(agentId, agentName = "") {
-  if (!agentId) return null;
-  
-  if (!agents.has(agentId)) {
-    agents.set(agentId, {
-      agentId,
-      name: agentName || `Agent ${agentId}`,
-      onCallNow: false,
-      inboundMissed: 0,
-      outboundMissed: 0,
-    });
-  } else if (agentName && agentName !== agents.get(agentId).name) {
-    const agent = agents.get(agentId);
-    agent.name = agentName;
+// -------------------- Lines --------------------
+// lines.json is either {"<line number>": "Name"} or, to group several numbers under one line,
+// {"sales": {"name": "Sales", "numbers": ["reg1", "+67571234567"]}}
+function parseLines(raw) {
+  const lines = [];
+  for (const [id, value] of Object.entries(raw || {})) {
+    const key = String(id).trim();
+    if (!key) continue;
+    if (typeof value === "string") {
+      lines.push({ key, name: value.trim() || key, numbers: [key] });
+    } else if (value && typeof value === "object") {
+      const numbers = (Array.isArray(value.numbers) ? value.numbers : [key]).map((n) => String(n).trim()).filter(Boolean);
+      lines.push({ key, name: String(value.name || key).trim(), numbers });
+    } else {
+      throw new Error(`Invalid line "${key}": expected a name or {name, numbers}`);
+    }
   }
-  
-  return agents.get(agentId);
+  return lines;
 }
 
-function extractCallerNumber(data) {
-  const possibleFields = [
-    'PHONE_NUMBER', 'CALLER_ID', 'CALLER', 'FROM_NUMBER', 'FROM', 
-    'from', 'phoneNumber', 'phone', 'PHONE', 'NUMBER', 'number', 'CALLER_NUMBER'
-  ];
-  
-  for (const field of possibleFields) {
-    if (data[field] && data[field].toString().trim()) {
-      // Extract only digits from the phone number
-      const rawNumber = data[field].toString().trim();
-      const digitsOnly = rawNumber.replace(/\D/g, '');
-      return digitsOnly || rawNumber; // Return digits only if found, otherwise raw
+function loadLines() {
+  try {
+    if (process.env.LINES) {
+      return { lines: parseLines(JSON.parse(process.env.LINES)), source: "env:LINES", mtimeMs: 0 };
+    }
+    if (fs.existsSync(LINES_FILE)) {
+      const raw = fs.readFileSync(LINES_FILE, "utf8");
+      return { lines: parseLines(raw ? JSON.parse(raw) : {}), source: LINES_FILE, mtimeMs: fs.statSync(LINES_FILE).mtimeMs };
     }
+  } catch (e) {
+    console.error("❌ Failed to load lines, showing raw line numbers:", e.message);
   }
-  
-  return "";
+  return { lines: [], source: "none", mtimeMs: 0 };
+}
+
+// Picks up edits to lines.json without a restart
+function reloadLinesIfChanged() {
+  if (process.env.LINES) return false;
+  try {
+    const mtimeMs = fs.existsSync(LINES_FILE) ? fs.statSync(LINES_FILE).mtimeMs : 0;
+    if (mtimeMs === lineConfig.mtimeMs) return false;
+  } catch (e) {
+    return false;
+  }
+  lineConfig = loadLines();
+  console.log(`☎️ Lines reloaded from ${lineConfig.source} (${lineConfig.lines.length} configured)`);
+  return true;
+}
+
+// Line numbers that look like phone numbers compare by E.164 key; Bitrix line ids ("reg1") as-is
+function lineLookupKey(value) {
+  const raw = String(value || "").trim();
+  return /^[+\d\s().-]{6,}$/.test(raw) ? phoneKey(raw) : raw.toLowerCase();
+}
+
+// Unconfigured lines are still split out, named after their number
+function resolveLine(to) {
+  const raw = String(to || "").trim();
+  if (!raw) return { key: UNKNOWN_LINE, name: "Unknown line" };
+  const lookup = lineLookupKey(raw);
+  const line = lineConfig.lines.find((l) => l.numbers.some((n) => lineLookupKey(n) === lookup));
+  return line ? { key: line.key, name: line.name } : { key: lookup, name: raw };
+}
+
+function lineMetrics(portal, key, name, metrics = portal.dailyMetrics) {
+  const lines = metrics.lines;
+  if (!lines[key]) lines[key] = { name: name || key, ...createCallCounters() };
+  return lines[key];
+}
+
+// Counters a call updates: the day totals and its line's bucket
+function metricBuckets(portal, lc, metrics = portal.dailyMetrics) {
+  const buckets = [metrics];
+  if (lc.line) buckets.push(lineMetrics(portal, lc.line, lc.lineName, metrics));
+  return buckets;
+}
+
+// Where a day's counts go: today's counters, or the closing day's while it waits for its last calls
+function dayBook(portal, date) {
+  if (date === portal.dailyMetrics.date) return { metrics: portal.dailyMetrics, agents: portal.agents };
+  const c = portal.closingDay;
+  if (c && date === c.date) return { metrics: c.metrics, agents: c.agents };
+  return null;
+}
+
+// A call first seen without a line number moves to its line once an event names it (until answered);
+// retallyCall() then moves its counts to the new line's bucket
+function assignCallLine(lc) {
+  if (lc.line && (lc.line !== UNKNOWN_LINE || lc.wasAnswered)) return;
+  const line = resolveLine(lc.to);
+  lc.line = line.key;
+  lc.lineName = line.name;
+}
+
+function summarizeLineBucket(key, name, b) {
+  const serviceLevel = computeServiceLevel(b);
+  const u = b.unanswered || {};
+  return {
+    key,
+    name,
+    incoming: { ...b.incoming },
+    outgoing: { ...b.outgoing },
+    missedDroppedAbandoned: b.missedDroppedAbandoned || 0,
+    unanswered: { ...u },
+    totalCalls: (b.incoming.answered || 0) + (b.incoming.missed || 0) + (b.outgoing.answered || 0) + (b.outgoing.cancelled || 0),
+    serviceLevel,
+    // Callers who waited past the short-abandon threshold and hung up, as a share of offered calls
+    abandonRate: serviceLevel.offered
+      ? Math.round((((u.abandoned || 0) + (u.missedRinging || 0)) / serviceLevel.offered) * 1000) / 10
+      : null,
+    kpis: computeTimingKpis(b.timing)
+  };
+}
+
+// Configured lines always appear (zeros when quiet), then any other line that had calls
+function summarizeLines(metrics) {
+  const buckets = metrics.lines || {};
+  const configured = lineConfig.lines.map((l) => l.key);
+  const keys = Array.from(new Set([...configured, ...Object.keys(buckets)]));
+  return keys.map((key) => {
+    const line = lineConfig.lines.find((l) => l.key === key);
+    const bucket = buckets[key] || createCallCounters();
+    return { ...summarizeLineBucket(key, line ? line.name : bucket.name || key, bucket), configured: !!line };
+  }).filter((l) => l.configured || l.totalCalls || l.incoming.inProgress || l.outgoing.inProgress);
+}
+
+// -------------------- Call History --------------------
+function isValidDateString(d) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(d || "")) && !isNaN(Date.parse(`${d}T00:00:00Z`));
+}
+
+function callHistoryFile(portal, date) {
+  return path.join(portal.callHistoryDir, `${date}.ndjson`);
+}
+
+function buildCallRecord(lc, finalStatus, data = {}) {
+  const outcome = lc.expired ? "unknown" : lc.wasAnswered ? "answered" : (lc.direction === "IN" ? "missed" : "cancelled");
+  const endedAt = lc.endedAt || Date.now();
+  return {
+    callId: lc.callId,
+    date: getDateForTimestamp(lc.startedAt),
+    direction: lc.direction,
+    from: lc.from,
+    fromHidden: !!lc.fromHidden,
+    to: lc.to,
+    line: lc.line || UNKNOWN_LINE,
+    lineName: lc.lineName || "",
+    agentId: lc.agentId,
+    agentName: lc.agentName || "",
+    answered: !!lc.wasAnswered,
+    outcome,
+    startedAt: new Date(lc.startedAt).toISOString(),
+    answeredAt: lc.answeredAt ? new Date(lc.answeredAt).toISOString() : null,
+    endedAt: new Date(endedAt).toISOString(),
+    waitSeconds: secondsBetween(lc.startedAt, lc.answeredAt || endedAt),
+    talkSeconds: lc.expired ? null : lc.answeredAt ? secondsBetween(lc.answeredAt, endedAt) : 0,
+    afterCallSeconds: null, // filled in when the agent's wrap-up ends
+    unansweredReason: lc.unansweredReason || null,
+    expiredReason: lc.expired || null,
+    repeatCount: lc.repeatCount || 0,
+    caller: lc.caller || null, // CRM match when the call ended; /api/calls fills in later lookups
+    withinServiceLevel: lc.direction === "IN" && !!lc.answeredAt &&
+      secondsBetween(lc.startedAt, lc.answeredAt) <= SERVICE_LEVEL_SECONDS,
+    status: String(finalStatus || ""),
+    failedCode: String(data.CALL_FAILED_CODE || ""),
+    failedReason: String(data.CALL_FAILED_REASON || "")
+  };
+}
+
+function appendCallRecord(portal, record) {
+  try {
+    ensureDir(portal.callHistoryDir);
+    fs.appendFileSync(callHistoryFile(portal, record.date), JSON.stringify(record) + "\n", "utf8");
+  } catch (e) {
+    console.error("❌ Failed to save call record:", record.callId, e);
+  }
+}
+
+// Lines for the same callId are merged in order, so later lines (e.g. after-call time) patch the record
+function loadCallRecords(portal, date) {
+  try {
+    const file = callHistoryFile(portal, date);
+    if (!fs.existsSync(file)) return [];
+    const records = new Map();
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const rec = JSON.parse(line);
+        records.set(rec.callId, Object.assign(records.get(rec.callId) || {}, rec));
+      } catch (e) {
+        console.error(`⚠️ Skipping corrupt call record in ${date}:`, line.slice(0, 80));
+      }
+    }
+    return Array.from(records.values());
+  } catch (e) {
+    console.error("❌ Failed to load call records:", date, e);
+    return [];
+  }
+}
+
+function listDates(from, to) {
+  const dates = [];
+  const cur = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
+  while (cur <= end) {
+    dates.push(cur.toISOString().split('T')[0]);
+    cur.setUTCDate(cur.getUTCDate() + 1);
+  }
+  return dates;
+}
+
+function queryCallHistory(portal, query = {}) {
+  const today = getCurrentDate();
+  const from = query.from || query.to || today;
+  const to = query.to || query.from || today;
+
+  if (!isValidDateString(from) || !isValidDateString(to)) {
+    throw new Error("from/to must be dates in YYYY-MM-DD format");
+  }
+  if (from > to) throw new Error("from must not be after to");
+
+  const dates = listDates(from, to);
+  if (dates.length > CALLS_MAX_RANGE_DAYS) {
+    throw new Error(`Date range too large (max ${CALLS_MAX_RANGE_DAYS} days)`);
+  }
+
+  const direction = String(query.direction || "").toUpperCase();
+  const agent = String(query.agent || "").trim().toLowerCase();
+  const number = String(query.number || "").replace(/\D/g, "");
+  const numberKey = number ? phoneKey(query.number) : "";
+  const outcome = String(query.outcome || "").toLowerCase();
+  const line = String(query.line || "").trim();
+
+  let calls = [];
+  for (const date of dates) calls.push(...loadCallRecords(portal, date));
+
+  calls = calls.filter((c) => {
+    if (direction && c.direction !== direction) return false;
+    if (outcome && c.outcome !== outcome) return false;
+    if (line && (c.line || resolveLine(c.to).key) !== line) return false;
+    if (agent && String(c.agentId || "").toLowerCase() !== agent &&
+        !String(c.agentName || "").toLowerCase().includes(agent)) return false;
+    if (number) {
+      const fromKey = phoneKey(c.from);
+      const matches = fromKey === numberKey || fromKey.replace(/\D/g, "").includes(number) ||
+        String(c.to || "").replace(/\D/g, "").includes(number);
+      if (!matches) return false;
+    }
+    return true;
+  });
+
+  // Newest first
+  calls.sort((a, b) => (b.startedAt || "").localeCompare(a.startedAt || ""));
+
+  const pageSize = Math.min(CALLS_PAGE_SIZE_MAX, Math.max(1, parseInt(query.pageSize, 10) || CALLS_PAGE_SIZE_DEFAULT));
+  const pages = Math.max(1, Math.ceil(calls.length / pageSize));
+  const page = Math.min(pages, Math.max(1, parseInt(query.page, 10) || 1));
+
+  return {
+    from,
+    to,
+    total: calls.length,
+    page,
+    pageSize,
+    pages,
+    calls: calls
+      .slice((page - 1) * pageSize, page * pageSize)
+      .map((c) => {
+        const from = phoneKey(c.from); // records saved before E.164 keys hold bare digits
+        const callLine = c.line ? { key: c.line, name: c.lineName } : resolveLine(c.to);
+        return {
+          ...c,
+          line: callLine.key,
+          lineName: callLine.name || c.to || "",
+          from,
+          fromPhone: describePhone(from, c.fromHidden),
+          caller: describeCaller(portal, from) || c.caller || null
+        };
+      })
+  };
+}
+
+// -------------------- After-Hours Calls --------------------
+function loadAfterHoursLog(portal) {
+  try {
+    ensureDir(portal.dataDir);
+    if (!fs.existsSync(portal.afterHoursFile)) return { since: null, calls: [] };
+    const raw = fs.readFileSync(portal.afterHoursFile, "utf8");
+    const parsed = raw ? JSON.parse(raw) : {};
+    const calls = Array.isArray(parsed.calls) ? parsed.calls : [];
+    for (const c of calls) c.from = phoneKey(c.from) || c.from || ""; // entries saved before E.164 keys
+    return { since: parsed.since || null, calls };
+  } catch (e) {
+    console.error("❌ Failed to load after-hours calls:", e);
+    return { since: null, calls: [] };
+  }
+}
+
+function saveAfterHoursLog(portal) {
+  clearTimeout(portal.afterHoursSaveTimer);
+  portal.afterHoursSaveTimer = null;
+  try {
+    ensureDir(portal.dataDir);
+    fs.writeFileSync(portal.afterHoursFile, JSON.stringify(portal.afterHoursLog, null, 2), "utf8");
+  } catch (e) {
+    console.error("❌ Failed to save after-hours calls:", e);
+  }
+}
+
+// A busy night sends several events per call; batch them into one rewrite of the file
+function scheduleAfterHoursSave(portal) {
+  if (portal.replay) return saveAfterHoursLog(portal);
+  if (portal.afterHoursSaveTimer) return;
+  portal.afterHoursSaveTimer = setTimeout(() => saveAfterHoursLog(portal), AFTER_HOURS_SAVE_DELAY_MS);
+}
+
+function isAfterHoursCall(portal, callId) {
+  return portal.dailyMetrics.afterHours.calls.some((c) => c.callId === callId) ||
+    portal.afterHoursLog.calls.some((c) => c.callId === callId);
+}
+
+// One entry per call in both today's bucket and the "since close" list; later events only update it
+function recordAfterHoursCall(portal, callId, { from, fromHidden = false, to, direction }, eventName) {
+  const bucket = portal.dailyMetrics.afterHours;
+  const afterHoursLog = portal.afterHoursLog;
+  let entry = bucket.calls.find((c) => c.callId === callId);
+  let logEntry = afterHoursLog.calls.find((c) => c.callId === callId);
+
+  if (!entry && !logEntry) {
+    entry = { callId, from, fromHidden, to, direction, at: new Date().toISOString(), answered: false, ended: false };
+    logEntry = { ...entry };
+    bucket.total += 1;
+    if (bucket.calls.length < AFTER_HOURS_MAX_CALLS) bucket.calls.push(entry);
+    if (afterHoursLog.calls.length < AFTER_HOURS_MAX_CALLS) afterHoursLog.calls.push(logEntry);
+    queueCallerLookup(portal, from);
+    console.log(`🌙 After-hours call ${callId} from ${describePhone(from, fromHidden).display}`);
+  }
+
+  const wasEnded = (entry || logEntry).ended;
+  for (const e of [entry, logEntry].filter(Boolean)) {
+    if (from && !e.from) {
+      e.from = from;
+      e.fromHidden = false;
+    }
+    if (isStartEvent(eventName)) e.answered = true;
+    if (isEndEvent(eventName)) e.ended = true;
+  }
+
+  if (isEndEvent(eventName) && !wasEnded) {
+    const e = entry || logEntry;
+    if (e.answered) bucket.answered += 1;
+    else bucket.missed += 1;
+    if (!e.answered && e.direction === "IN") addMissedCallback(portal, e.from, callId, "after_hours");
+  }
+
+  scheduleAfterHoursSave(portal);
+}
+
+// Called on every work-hours check; the list restarts when the centre closes for the day
+// (not for a lunch break, so the overnight list survives until it is worked)
+function updateWorkHoursState(portal) {
+  const wasOpen = portal.dailyMetrics.isWithinWorkHours;
+  portal.dailyMetrics.isWithinWorkHours = checkIfWithinWorkHours();
+  if (wasOpen !== portal.dailyMetrics.isWithinWorkHours) {
+    console.log(`🏢 [${portal.key}] ${getCurrentDateTime()} (${TIMEZONE}): ${getWorkHoursStatus()}`);
+  }
+
+  if (wasOpen && !portal.dailyMetrics.isWithinWorkHours) {
+    const next = findNextOpening(getZonedParts());
+    if (!next || next.dayOffset > 0) {
+      console.log(`🌙 [${portal.key}] Centre closed — starting a new after-hours list (${portal.afterHoursLog.calls.length} calls cleared)`);
+      portal.afterHoursLog = { since: new Date().toISOString(), calls: [] };
+      saveAfterHoursLog(portal);
+    }
+  }
+}
+
+// -------------------- Callback Worklist --------------------
+function loadCallbacks(portal) {
+  try {
+    ensureDir(portal.dataDir);
+    if (!fs.existsSync(portal.callbacksFile)) return [];
+    const raw = fs.readFileSync(portal.callbacksFile, "utf8");
+    const parsed = raw ? JSON.parse(raw) : [];
+    const list = Array.isArray(parsed) ? parsed : [];
+    for (const c of list) c.number = phoneKey(c.number) || c.number; // entries saved before E.164 keys
+    return list;
+  } catch (e) {
+    console.error("❌ Failed to load callbacks:", e);
+    return [];
+  }
+}
+
+function saveCallbacks(portal) {
+  try {
+    ensureDir(portal.dataDir);
+    fs.writeFileSync(portal.callbacksFile, JSON.stringify(portal.callbacks, null, 2), "utf8");
+  } catch (e) {
+    console.error("❌ Failed to save callbacks:", e);
+  }
+}
+
+function findOpenCallback(portal, number) {
+  return portal.callbacks.find((c) => c.status === "open" && c.number === number);
+}
+
+// One open entry per number; further missed calls from it bump the same entry
+function addMissedCallback(portal, number, callId, source = "missed") {
+  if (!number) return null;
+  const now = new Date().toISOString();
+  let entry = findOpenCallback(portal, number);
+
+  if (!entry) {
+    entry = {
+      id: `cb-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      number,
+      status: "open",
+      source,
+      createdAt: now,
+      lastMissedAt: now,
+      missedCalls: 0,
+      callIds: [],
+      attempts: 0,
+      lastAttemptAt: null,
+      assignedTo: null,
+      assignedAt: null,
+      closedAt: null,
+      closedReason: null,
+      closedBy: null,
+      note: ""
+    };
+    portal.callbacks.push(entry);
+    console.log(`📋 [${portal.key}] Callback opened for ${number}`);
+  }
+
+  if (!entry.callIds.includes(callId)) {
+    entry.missedCalls += 1;
+    entry.callIds.push(callId);
+    entry.lastMissedAt = now;
+  }
+
+  saveCallbacks(portal);
+  return entry;
+}
+
+function noteCallbackAttempt(portal, number) {
+  const entry = number && findOpenCallback(portal, number);
+  if (!entry) return;
+  entry.attempts += 1;
+  entry.lastAttemptAt = new Date().toISOString();
+  saveCallbacks(portal);
+}
+
+function closeCallback(entry, reason, closedBy = null, note = "") {
+  entry.status = "closed";
+  entry.closedAt = new Date().toISOString();
+  entry.closedReason = reason;
+  entry.closedBy = closedBy;
+  if (note) entry.note = note;
+  console.log(`📋 Callback for ${entry.number} closed (${reason})`);
+}
+
+// An answered call with the number in either direction means the customer was reached
+function closeCallbacksForNumber(portal, number, reason, callId) {
+  const entry = number && findOpenCallback(portal, number);
+  if (!entry) return;
+  closeCallback(entry, reason, null, `Call ${callId}`);
+  saveCallbacks(portal);
+}
+
+// Drops closed entries past retention so the file stays small
+function pruneCallbacks(portal) {
+  const cutoff = Date.now() - CALLBACK_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const before = portal.callbacks.length;
+  portal.callbacks = portal.callbacks.filter((c) => c.status === "open" || Date.parse(c.closedAt || c.createdAt) >= cutoff);
+  if (portal.callbacks.length !== before) saveCallbacks(portal);
+}
+
+function summarizeCallbacks(portal, date) {
+  const callbacks = portal.callbacks;
+  const onDate = (iso) => iso && getDateForTimestamp(Date.parse(iso)) === date;
+  return {
+    open: callbacks.filter((c) => c.status === "open").length,
+    openedToday: callbacks.filter((c) => onDate(c.createdAt)).length,
+    closedToday: callbacks.filter((c) => c.status === "closed" && onDate(c.closedAt)).length
+  };
+}
+
+// -------------------- Repeat Callers --------------------
+function repeatWindowMs() {
+  return REPEAT_CALLER_WINDOW_HOURS * 60 * 60 * 1000;
+}
+
+// Returns how many earlier inbound calls this number made within the window
+function logInboundCall(portal, number, callId, at = Date.now(), answered = false) {
+  if (!number) return 0;
+  const calls = portal.callerLog.get(number) || [];
+  if (calls.some((c) => c.callId === callId)) return countRecentCalls(portal, number, callId, at);
+
+  calls.push({ callId, at, date: getDateForTimestamp(at), answered });
+  calls.sort((a, b) => a.at - b.at);
+  portal.callerLog.set(number, calls);
+  return countRecentCalls(portal, number, callId, at);
+}
+
+function countRecentCalls(portal, number, callId, at) {
+  const calls = portal.callerLog.get(number) || [];
+  return calls.filter((c) => c.callId !== callId && c.at < at && at - c.at <= repeatWindowMs()).length;
+}
+
+function markCallerAnswered(portal, number, callId) {
+  const entry = (portal.callerLog.get(number) || []).find((c) => c.callId === callId);
+  if (entry) entry.answered = true;
+}
+
+// Keep enough history for a saved day's FCR to be finalised: the window before the day's first
+// call, the day itself and the window after its last answered call
+function callerLogRetentionMs() {
+  return Math.max(2 * repeatWindowMs() + 24 * 60 * 60 * 1000, 48 * 60 * 60 * 1000);
+}
+
+function pruneCallerLog(portal, now = Date.now()) {
+  const cutoff = now - callerLogRetentionMs();
+  for (const [number, calls] of portal.callerLog) {
+    const kept = calls.filter((c) => c.at >= cutoff);
+    if (kept.length) portal.callerLog.set(number, kept);
+    else portal.callerLog.delete(number);
+  }
+}
+
+// Seeds the log from call history so a restart doesn't forget who called this morning
+function rebuildCallerLog(portal) {
+  const days = Math.ceil(callerLogRetentionMs() / (24 * 60 * 60 * 1000));
+  const today = getCurrentDate();
+  for (const date of listDates(addDays(today, -days), today)) {
+    for (const rec of loadCallRecords(portal, date)) {
+      const number = phoneKey(rec.from);
+      if (rec.direction !== "IN" || !number) continue;
+      logInboundCall(portal, number, rec.callId, Date.parse(rec.startedAt), !!rec.answered);
+    }
+  }
+  pruneCallerLog(portal);
+}
+
+// Repeat caller rate: share of today's callers with a call inside the window of an earlier one.
+// FCR: share of today's answered callers who did not call again within the window afterwards.
+// FCR stays provisional until the window after the day's last first-answered call has passed.
+function computeRepeatCallerStats(portal, date, now = Date.now()) {
+  const windowMs = repeatWindowMs();
+  let uniqueCallers = 0;
+  let repeatCallers = 0;
+  let repeatCalls = 0;
+  let answeredCallers = 0;
+  let resolvedFirstContact = 0;
+  let lastAnsweredAt = 0;
+
+  for (const calls of portal.callerLog.values()) {
+    const today = calls.filter((c) => c.date === date);
+    if (!today.length) continue;
+    uniqueCallers += 1;
+
+    let isRepeat = false;
+    for (const c of today) {
+      if (calls.some((p) => p.at < c.at && c.at - p.at <= windowMs)) {
+        repeatCalls += 1;
+        isRepeat = true;
+      }
+    }
+    if (isRepeat) repeatCallers += 1;
+
+    const firstAnswered = today.find((c) => c.answered);
+    if (firstAnswered) {
+      answeredCallers += 1;
+      lastAnsweredAt = Math.max(lastAnsweredAt, firstAnswered.at);
+      const calledBack = calls.some((c) => c.at > firstAnswered.at && c.at - firstAnswered.at <= windowMs);
+      if (!calledBack) resolvedFirstContact += 1;
+    }
+  }
+
+  const pct = (n, d) => (d ? Math.round((n / d) * 1000) / 10 : null);
+  return {
+    windowHours: REPEAT_CALLER_WINDOW_HOURS,
+    uniqueCallers,
+    repeatCallers,
+    repeatCalls,
+    repeatCallerRate: pct(repeatCallers, uniqueCallers),
+    answeredCallers,
+    resolvedFirstContact,
+    fcrRate: pct(resolvedFirstContact, answeredCallers),
+    fcrProvisional: !!lastAnsweredAt && now < lastAnsweredAt + windowMs,
+    fcrFinalAt: lastAnsweredAt ? new Date(lastAnsweredAt + windowMs).toISOString() : null
+  };
+}
+
+// Saved days whose FCR was still provisional get it recomputed once their window has passed.
+// portal.fcrCheckAt: when to look next (0 = scan dailyStats.json, null = nothing pending)
+function finalizeRepeatCallerStats(portal, now = Date.now()) {
+  if (portal.fcrCheckAt === null || now < portal.fcrCheckAt) return;
+
+  const allStats = loadDailyStats(portal);
+  let changed = false;
+  let next = null;
+  for (const [date, entry] of Object.entries(allStats)) {
+    const rc = entry && entry.repeatCallers;
+    if (!rc || !rc.fcrProvisional) continue;
+    const finalAt = Date.parse(rc.fcrFinalAt);
+    if (now < finalAt) {
+      next = Math.min(next ?? finalAt, finalAt);
+      continue;
+    }
+    const stats = computeRepeatCallerStats(portal, date, now);
+    // The log no longer holds all of that day's callers (server down past retention): leave it labelled provisional
+    if (stats.uniqueCallers !== rc.uniqueCallers) continue;
+    entry.repeatCallers = stats;
+    changed = true;
+    console.log(`✅ [${portal.key}] FCR for ${date} final: ${stats.fcrRate ?? "—"}% (was ${rc.fcrRate ?? "—"}%)`);
+  }
+  if (changed) {
+    saveDailyStats(portal, allStats);
+    loadPreviousDayStats(portal, allStats);
+  }
+  portal.fcrCheckAt = next;
+}
+
+// Called after a rollup is saved, so the minute timer knows when to finalise it
+function noteProvisionalFcr(portal, entry) {
+  const rc = entry && entry.repeatCallers;
+  if (!rc || !rc.fcrProvisional) return;
+  const finalAt = Date.parse(rc.fcrFinalAt);
+  portal.fcrCheckAt = portal.fcrCheckAt === null ? finalAt : Math.min(portal.fcrCheckAt, finalAt);
+}
+
+function pickEventName(body) {
+  return (
+    body?.event ||
+    body?.EVENT ||
+    body?.type ||
+    body?.TYPE ||
+    body?.eventName ||
+    "unknown"
+  );
+}
+
+function pickEventData(body) {
+  return body?.data || body?.DATA || body?.payload || body?.PAYLOAD || {};
+}
+
+// Bitrix24 telephony events by exact name (bare names for hand-configured senders)
+const CALL_EVENT_TYPES = {
+  ONVOXIMPLANTCALLINIT: "init",
+  ONVOXIMPLANTCALLSTART: "start",
+  ONVOXIMPLANTCALLEND: "end",
+  CALLINIT: "init",
+  CALLSTART: "start",
+  CALLEND: "end"
+};
+
+function callEventType(e) {
+  return CALL_EVENT_TYPES[String(e || "").trim().toUpperCase()] || null;
+}
+
+function isStartEvent(e) {
+  return callEventType(e) === "start";
+}
+
+function isEndEvent(e) {
+  return callEventType(e) === "end";
+}
+
+// Identifies one delivery: an event id when the sender has one, otherwise Bitrix's send time (`ts`)
+function eventKeyOf(body) {
+  const id = body?.event_id || body?.EVENT_ID || body?.data?.EVENT_ID || "";
+  return String(id || body?.ts || body?.TS || "");
+}
+
+// Adds delta to a counter, never going below zero
+function bump(obj, key, delta = 1) {
+  if (!obj) return;
+  obj[key] = Math.max(0, (obj[key] || 0) + delta);
+}
+
+function ensureAgent(portal, agentId, agentName = "") {
+  if (!agentId) return null;
+  const agents = portal.agents;
+  
+  if (!agents.has(agentId)) {
+    const agent = {
+      agentId,
+      name: agentName || `Agent ${agentId}`,
+      photo: null,
+      position: "",
+      department: "",
+      fromDirectory: false,
+      onCallNow: false,
+      ...createAgentDayStats(),
+      wrapUp: null,
+      presence: null, // see updatePresence()
+      manualPresence: null,
+      timeman: null
+    };
+    agents.set(agentId, agent);
+    updatePresence(portal, agent);
+    applyUserProfile(portal, agent);
+    queueUserLookup(portal, agentId);
+  } else if (agentName && !agents.get(agentId).fromDirectory && agentName !== agents.get(agentId).name) {
+    const agent = agents.get(agentId);
+    agent.name = agentName;
+  }
+  
+  return agents.get(agentId);
+}
+
+function secondsBetween(fromMs, toMs) {
+  return Math.max(0, Math.round((toMs - fromMs) / 1000));
+}
+
+// Ends an agent's wrap-up: after-call time is the gap to their next call, capped at WRAPUP_SECONDS
+function finishWrapUp(portal, agent, now = Date.now()) {
+  const w = agent && agent.wrapUp;
+  if (!w) return;
+  agent.wrapUp = null;
+
+  const afterCallSeconds = Math.min(WRAPUP_SECONDS, secondsBetween(w.endedAt, now));
+  const book = dayBook(portal, w.date) || dayBook(portal, portal.dailyMetrics.date);
+  for (const m of metricBuckets(portal, w, book.metrics)) m.timing.totalAfterCallSeconds += afterCallSeconds;
+  (book.agents.get(agent.agentId) || agent).afterCallSeconds += afterCallSeconds;
+  updatePresence(portal, agent, now);
+  appendCallRecord(portal, {
+    callId: w.callId,
+    date: w.date,
+    afterCallSeconds,
+    handleSeconds: w.talkSeconds + afterCallSeconds
+  });
+}
+
+function expireWrapUps(portal, now = Date.now()) {
+  let changed = false;
+  for (const agent of portal.agents.values()) {
+    if (agent.wrapUp && now - agent.wrapUp.endedAt >= WRAPUP_SECONDS * 1000) {
+      finishWrapUp(portal, agent, agent.wrapUp.endedAt + WRAPUP_SECONDS * 1000);
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+// Returns normalizePhone() of the first caller field present: { key, e164, hidden, raw }.
+// Events without any caller field (e.g. most CALLSTART/CALLEND payloads) give an empty, non-hidden key.
+function extractCallerNumber(data) {
+  const possibleFields = [
+    'PHONE_NUMBER', 'CALLER_ID', 'CALLER', 'FROM_NUMBER', 'FROM', 
+    'from', 'phoneNumber', 'phone', 'PHONE', 'NUMBER', 'number', 'CALLER_NUMBER'
+  ];
+  
+  for (const field of possibleFields) {
+    if (data[field] && data[field].toString().trim()) {
+      return normalizePhone(data[field]);
+    }
+  }
+  
+  return { key: "", e164: null, hidden: false, raw: "" };
 }
 
 function extractAgentName(data) {
@@ -382,304 +1805,4233 @@ function extractAgentId(data) {
   return null;
 }
 
-// -------------------- App --------------------
-const app = express();
-app.use(express.urlencoded({ extended: true }));
-app.use(express.json({ limit: "2mb" }));
+// -------------------- Agent Stats --------------------
+// Per-agent counters for the current day; saved into the day's rollup and reset at midnight
+function createAgentDayStats() {
+  return {
+    inboundHandled: 0,
+    inboundMissed: 0,
+    outboundMade: 0,
+    outboundHandled: 0, // outbound calls answered by the other side
+    outboundMissed: 0,
+    talkSeconds: 0,
+    afterCallSeconds: 0,
+    longestCallSeconds: 0,
+    presenceSeconds: Object.fromEntries(PRESENCE_STATES.map((state) => [state, 0]))
+  };
+}
 
-// Initialize
-console.log("🚀 Boot");
-portalTokens = loadTokens();
+// `now` adds the time spent in the current presence state so far (left out of pushed snapshots)
+function summarizeAgentDay(agent, now = null) {
+  const handled = (agent.inboundHandled || 0) + (agent.outboundHandled || 0);
+  return {
+    agentId: agent.agentId,
+    name: agent.name,
+    inboundHandled: agent.inboundHandled || 0,
+    inboundMissed: agent.inboundMissed || 0,
+    outboundMade: agent.outboundMade || 0,
+    outboundAnswered: agent.outboundHandled || 0,
+    outboundMissed: agent.outboundMissed || 0,
+    handledCalls: handled,
+    missedCalls: (agent.inboundMissed || 0) + (agent.outboundMissed || 0),
+    talkSeconds: agent.talkSeconds || 0,
+    afterCallSeconds: agent.afterCallSeconds || 0,
+    ahtSeconds: handled ? Math.round(((agent.talkSeconds || 0) + (agent.afterCallSeconds || 0)) / handled) : 0,
+    longestCallSeconds: agent.longestCallSeconds || 0,
+    presenceSeconds: presenceTotals(agent, now)
+  };
+}
 
-// Load previous day stats
-const allStats = loadDailyStats();
-const yesterday = new Date();
-yesterday.setDate(yesterday.getDate() - 1);
-const yesterdayDate = yesterday.toISOString().split('T')[0];
-if (allStats[yesterdayDate]) {
-  previousDayStats = allStats[yesterdayDate];
+// Agents with any activity that day, busiest first
+function summarizeAgentsForRollup(agents) {
+  return Array.from(agents)
+    .map(summarizeAgentDay)
+    .filter((a) => a.handledCalls || a.missedCalls || a.outboundMade)
+    .sort((a, b) => b.handledCalls - a.handledCalls || b.talkSeconds - a.talkSeconds);
 }
 
-// Check and reset metrics on startup
-checkAndResetDailyMetrics();
+// One agent's saved daily rows over a date range (today comes from the live counters)
+function queryAgentStats(portal, agentId, query = {}) {
+  const today = getCurrentDate();
+  const from = query.from || query.to || today;
+  const to = query.to || query.from || today;
 
-// Schedule daily reset check every minute
-setInterval(() => {
-  checkAndResetDailyMetrics();
-  // Update work hours status
-  dailyMetrics.isWithinWorkHours = checkIfWithinWorkHours();
-}, 60000);
+  if (!isValidDateString(from) || !isValidDateString(to)) {
+    throw new Error("from/to must be dates in YYYY-MM-DD format");
+  }
+  if (from > to) throw new Error("from must not be after to");
 
-// Update work hours status periodically
-setInterval(() => {
-  dailyMetrics.isWithinWorkHours = checkIfWithinWorkHours();
-}, 30000);
+  const dates = listDates(from, to);
+  if (dates.length > AGENT_STATS_MAX_RANGE_DAYS) {
+    throw new Error(`Date range too large (max ${AGENT_STATS_MAX_RANGE_DAYS} days)`);
+  }
 
-// Heartbeat with PNG time
-setInterval(() => {
-  const pngTime = getPNGTime();
-  console.log("🫀 alive", pngTime.toISOString(), "(GMT+10)");
-}, 30000);
+  const id = String(agentId);
+  const allStats = loadDailyStats(portal);
+  const live = portal.agents.get(id);
+  const days = dates.map((date) => {
+    const row = date === portal.dailyMetrics.date && live
+      ? summarizeAgentDay(live, Date.now())
+      : ((allStats[date] && allStats[date].agents) || []).find((a) => String(a.agentId) === id);
+    return { date, ...(row || summarizeAgentDay({ agentId: id })), worked: !!row };
+  });
 
-// -------------------- Routes --------------------
-app.get("/", (req, res) => {
-  res.type("text/plain").send("Bitrix24 Wallboard Backend is running.");
-});
+  const totals = summarizeAgentDay({ agentId: id });
+  for (const d of days) {
+    totals.inboundHandled += d.inboundHandled;
+    totals.inboundMissed += d.inboundMissed;
+    totals.outboundMade += d.outboundMade;
+    totals.outboundAnswered += d.outboundAnswered;
+    totals.outboundMissed += d.outboundMissed;
+    totals.handledCalls += d.handledCalls;
+    totals.missedCalls += d.missedCalls;
+    totals.talkSeconds += d.talkSeconds;
+    totals.afterCallSeconds += d.afterCallSeconds;
+    totals.longestCallSeconds = Math.max(totals.longestCallSeconds, d.longestCallSeconds);
+    for (const state of PRESENCE_STATES) totals.presenceSeconds[state] += (d.presenceSeconds && d.presenceSeconds[state]) || 0;
+  }
+  totals.ahtSeconds = totals.handledCalls
+    ? Math.round((totals.talkSeconds + totals.afterCallSeconds) / totals.handledCalls)
+    : 0;
+  totals.daysWorked = days.filter((d) => d.worked).length;
 
-app.post("/bitrix/install", (req, res) => {
-  try {
-    const domain = req.query.DOMAIN || req.body.DOMAIN || req.body.domain || "unknown-domain";
-    const memberId = req.body.member_id || req.body.MEMBER_ID || "unknown-member";
-    const key = `${domain}|${memberId}`;
-    
-    portalTokens[key] = {
-      domain,
-      memberId,
-      installedAt: new Date().toISOString(),
-    };
+  const name = (live && live.name) || days.map((d) => d.name).reverse().find(Boolean) || `Agent ${id}`;
+  return { agentId: id, name, from, to, totals: { ...totals, name }, days };
+}
 
-    saveTokens(portalTokens);
-    console.log("✅ INSTALL stored portal key:", key);
+// Position of a timestamp on `date`'s local timeline, in minutes since midnight (clamped to the day)
+function localMinutesOn(date, ms) {
+  const p = getZonedParts(new Date(ms));
+  if (p.date < date) return 0;
+  if (p.date > date) return 24 * 60;
+  return p.minutes + p.second / 60;
+}
 
-    return res.json({
-      ok: true,
-      message: "Installed OK. Configure Bitrix Outbound Webhook to POST events to /bitrix/events.",
+// Length of the overlap between [start, end) and a sorted list of intervals
+function overlapMinutes(start, end, intervals) {
+  let total = 0;
+  for (const iv of intervals) total += Math.max(0, Math.min(end, iv.end) - Math.max(start, iv.start));
+  return total;
+}
+
+// Today's calls for one agent, the busy (talk + after-call work) / idle timeline across the
+// work day, and occupancy: busy time as a share of the scheduled time elapsed so far
+function buildAgentDay(portal, agentId) {
+  const id = String(agentId);
+  const date = portal.dailyMetrics.date;
+  const agent = portal.agents.get(id) || null;
+  const now = Date.now();
+
+  const calls = loadCallRecords(portal, date)
+    .filter((c) => String(c.agentId || "") === id && c.startedAt)
+    .map((c) => {
+      const from = phoneKey(c.from);
+      return {
+        callId: c.callId,
+        direction: c.direction,
+        from,
+        fromPhone: describePhone(from, c.fromHidden),
+        caller: describeCaller(portal, from) || c.caller || null,
+        lineName: c.lineName || c.to || "",
+        startedAt: c.startedAt,
+        answeredAt: c.answeredAt,
+        endedAt: c.endedAt,
+        waitSeconds: c.waitSeconds || 0,
+        talkSeconds: c.talkSeconds || 0,
+        afterCallSeconds: c.afterCallSeconds,
+        outcome: c.outcome,
+        live: false
+      };
+    });
+  for (const lc of portal.liveCalls.values()) {
+    if (lc.agentId !== id) continue;
+    calls.push({
+      ...serializeLiveCall(portal, lc),
+      startedAt: new Date(lc.startedAt).toISOString(),
+      answeredAt: lc.answeredAt ? new Date(lc.answeredAt).toISOString() : null,
+      endedAt: null,
+      waitSeconds: secondsBetween(lc.startedAt, lc.answeredAt || now),
+      talkSeconds: lc.answeredAt ? secondsBetween(lc.answeredAt, now) : 0,
+      afterCallSeconds: null,
+      outcome: lc.wasAnswered ? "on call" : "ringing",
+      live: true
     });
-  } catch (e) {
-    console.error("❌ INSTALL error:", e);
-    return res.status(500).json({ ok: false, error: e.message });
   }
-});
+  calls.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
 
-// -------------------- EVENTS ENDPOINT --------------------
-let lastEvent = null;
+  // Busy periods, merged where calls and wrap-ups overlap
+  const busy = [];
+  for (const c of calls) {
+    if (!c.answeredAt) continue;
+    let end = now;
+    if (c.endedAt) {
+      const inWrapUp = agent && agent.wrapUp && agent.wrapUp.callId === c.callId;
+      end = inWrapUp ? now : Date.parse(c.endedAt) + (c.afterCallSeconds || 0) * 1000;
+    }
+    const iv = { start: localMinutesOn(date, Date.parse(c.answeredAt)), end: localMinutesOn(date, end) };
+    const last = busy[busy.length - 1];
+    if (last && iv.start <= last.end) last.end = Math.max(last.end, iv.end);
+    else busy.push(iv);
+  }
 
-app.post("/bitrix/events", (req, res) => {
-  res.json({ ok: true });
-  lastEvent = req.body;
-  
-  const eventName = pickEventName(req.body);
-  const data = pickEventData(req.body);
-  
-  console.log("📨 EVENT:", eventName);
-  console.log("📊 Event data keys:", Object.keys(data).join(', '));
+  const { intervals } = getDaySchedule(date);
+  const nowMinutes = localMinutesOn(date, now);
+  const firstActivity = calls.length ? localMinutesOn(date, Date.parse(calls[0].startedAt)) : nowMinutes;
+  const lastActivity = busy.length ? busy[busy.length - 1].end : firstActivity;
+  const windowStart = Math.floor(Math.min(intervals.length ? intervals[0].start : firstActivity, firstActivity));
+  const windowEnd = Math.ceil(Math.max(intervals.length ? intervals[intervals.length - 1].end : nowMinutes, lastActivity, windowStart + 60));
 
-  const callId = data.CALL_ID || data.callId || data.id || data.ID || data.CALL_ID_EXTERNAL || data.EXTERNAL_CALL_ID || data.externalCallId;
+  // Closed = outside the schedule; idle = scheduled (or, on a closed day, since the first call) but not busy
+  const open = intervals.length ? intervals : [{ start: firstActivity, end: windowEnd }];
+  const segments = [];
+  const push = (state, start, end) => {
+    if (end - start < 0.01) return;
+    const last = segments[segments.length - 1];
+    if (last && last.state === state && Math.abs(last.end - start) < 0.01) last.end = end;
+    else segments.push({ state, start, end });
+  };
+  const edges = Array.from(new Set([windowStart, windowEnd, nowMinutes,
+    ...open.flatMap((iv) => [iv.start, iv.end]), ...busy.flatMap((iv) => [iv.start, iv.end])]))
+    .filter((m) => m >= windowStart && m <= windowEnd)
+    .sort((a, b) => a - b);
+  for (let i = 0; i < edges.length - 1; i += 1) {
+    const mid = (edges[i] + edges[i + 1]) / 2;
+    const state = mid > nowMinutes ? "future"
+      : busy.some((iv) => mid >= iv.start && mid < iv.end) ? "busy"
+      : open.some((iv) => mid >= iv.start && mid < iv.end) ? "idle"
+      : "closed";
+    push(state, edges[i], edges[i + 1]);
+  }
 
-  if (!callId) {
-    console.log("⚠️ No CALL_ID found.");
-    return;
+  const elapsedOpen = overlapMinutes(0, nowMinutes, open);
+  const busyInOpen = busy.reduce((sum, iv) => sum + overlapMinutes(iv.start, Math.min(iv.end, nowMinutes), open), 0);
+  const busyMinutes = busy.reduce((sum, iv) => sum + Math.min(iv.end, nowMinutes) - iv.start, 0);
+
+  return {
+    agentId: id,
+    date,
+    timezone: TIMEZONE,
+    agent: agent
+      ? { name: agent.name, photo: agent.photo, position: agent.position, department: agent.department }
+      : { name: (calls.find((c) => c.agentName) || {}).agentName || `Agent ${id}` },
+    status: agent ? describePresence(agent, now) : { state: "unknown", label: "Not seen today", since: null },
+    stats: summarizeAgentDay(agent || { agentId: id }, now),
+    occupancy: {
+      percent: elapsedOpen >= 1 ? Math.min(100, Math.round((busyInOpen / elapsedOpen) * 1000) / 10) : null,
+      busyMinutes: Math.round(busyMinutes),
+      scheduledMinutesElapsed: Math.round(elapsedOpen)
+    },
+    timeline: { start: windowStart, end: windowEnd, now: nowMinutes, segments },
+    calls
+  };
+}
+
+// -------------------- Daily History --------------------
+// Trend rows from dailyStats.json, aggregated server-side so the history page never loads the whole file.
+// Answered/missed/answer rate are inbound (customers calling in); outbound dialling is reported on its own
+function historyRow(portal, date, allStats) {
+  const live = date === portal.dailyMetrics.date;
+  const entry = live ? portal.dailyMetrics : allStats[date];
+  const row = { date, weekday: WEEKDAYS[weekdayOfDate(date)], ...describeWorkingDay(date), live, noData: !entry || !!entry.noData };
+  if (entry && entry.nonWorkingDay !== undefined) row.nonWorkingDay = entry.nonWorkingDay;
+
+  const incoming = { answered: entry?.incoming?.answered || 0, missed: entry?.incoming?.missed || 0 };
+  const outgoing = { answered: entry?.outgoing?.answered || 0, cancelled: entry?.outgoing?.cancelled || 0 };
+  const serviceLevel = live ? computeServiceLevel(entry) : entry?.serviceLevel;
+  return {
+    ...row,
+    incoming,
+    outgoing,
+    serviceLevel: serviceLevel ? serviceLevel.percent : null,
+    ...historyTotals([{ incoming, outgoing }])
+  };
+}
+
+function historyTotals(rows) {
+  const t = { incoming: { answered: 0, missed: 0 }, outgoing: { answered: 0, cancelled: 0 } };
+  for (const r of rows) {
+    t.incoming.answered += r.incoming.answered;
+    t.incoming.missed += r.incoming.missed;
+    t.outgoing.answered += r.outgoing.answered;
+    t.outgoing.cancelled += r.outgoing.cancelled;
   }
+  const { answered, missed } = t.incoming;
+  const outbound = { ...t.outgoing, made: t.outgoing.answered + t.outgoing.cancelled };
+  return {
+    answered,
+    missed,
+    offered: answered + missed,
+    answerRate: answered + missed ? Math.round((answered / (answered + missed)) * 1000) / 10 : null,
+    outbound,
+    totalCalls: answered + missed + outbound.made
+  };
+}
 
-  // Get PNG time for logging
-  const pngTime = getPNGTime();
-  const currentPNGTime = pngTime.toLocaleTimeString('en-AU', { 
-    timeZone: 'Australia/Sydney',
-    hour: '2-digit', 
-    minute: '2-digit',
-    hour12: false 
+// Days that say something about performance: closed, with data, and scheduled to open
+function isTrendDay(row) {
+  return !row.live && !row.noData && !row.nonWorkingDay;
+}
+
+function percentChange(cur, prev) {
+  return prev ? Math.round(((cur - prev) / prev) * 1000) / 10 : null;
+}
+
+// Totals for consecutive calendar periods (weeks from Monday, months) over closed days, each compared with
+// the one before. A period still in progress is compared with the same number of days at the start of the previous one
+function historyPeriods(portal, allStats, periodStarts, nextStart, today) {
+  const lastDay = addDays(today, -1);
+  const periods = periodStarts.map((start) => {
+    const end = addDays(nextStart(start), -1);
+    const rows = listDates(start, end < lastDay ? end : lastDay)
+      .map((d) => historyRow(portal, d, allStats))
+      .filter((r) => !r.noData);
+    return { from: start, to: end, complete: end < today, rows };
   });
 
-  // Only process calls during work hours
-  if (!dailyMetrics.isWithinWorkHours) {
-    console.log(`⏰ Outside work hours (${currentPNGTime} GMT+10), ignoring call ${callId}`);
-    return;
+  return periods.map((p, i) => {
+    const { rows, ...period } = p;
+    const totals = { ...period, ...historyTotals(rows), daysWithData: rows.length };
+    const prev = periods[i - 1];
+    if (!prev) return totals;
+
+    const cutoff = p.complete ? null : addDays(prev.from, listDates(p.from, lastDay).length);
+    const before = historyTotals(cutoff ? prev.rows.filter((r) => r.date < cutoff) : prev.rows);
+    totals.change = {
+      comparedTo: { from: prev.from, to: cutoff ? addDays(cutoff, -1) : prev.to },
+      answered: percentChange(totals.answered, before.answered),
+      missed: percentChange(totals.missed, before.missed),
+      outbound: percentChange(totals.outbound.made, before.outbound.made),
+      totalCalls: percentChange(totals.totalCalls, before.totalCalls),
+      answerRatePoints: totals.answerRate !== null && before.answerRate !== null
+        ? Math.round((totals.answerRate - before.answerRate) * 10) / 10
+        : null
+    };
+    return totals;
+  }).filter((p) => p.from < today); // a week/month starting today has nothing closed yet
+}
+
+// GET /api/history — days=N (last N closed days) or from/to; defaults to the last HISTORY_DEFAULT_DAYS days
+function queryDailyHistory(portal, query = {}) {
+  const today = getCurrentDate();
+  let from = query.from || query.to;
+  let to = query.to || query.from;
+  if (!from) {
+    const days = parseInt(query.days || HISTORY_DEFAULT_DAYS, 10);
+    if (!Number.isInteger(days) || days < 1) throw new Error("days must be a positive number");
+    to = addDays(today, -1);
+    from = addDays(to, -(days - 1));
   }
 
-  const from = extractCallerNumber(data);
-  const to = data.LINE_NUMBER || data.LINE || data.TO || data.to || data.DESTINATION || data.destination || "";
-  const agentId = extractAgentId(data);
-  const agentName = extractAgentName(data);
-  const directionRaw = data.DIRECTION || data.direction || data.CALL_DIRECTION || data.callDirection || "";
-  const direction = String(directionRaw).toUpperCase().includes("OUT") ? "OUT" : "IN";
-  const status = data.STATUS || data.status || data.STATE || data.state || eventName;
+  if (!isValidDateString(from) || !isValidDateString(to)) {
+    throw new Error("from/to must be dates in YYYY-MM-DD format");
+  }
+  if (from > to) throw new Error("from must not be after to");
+  if (to > today) throw new Error("to must not be after today");
 
-  let lc = liveCalls.get(callId);
-  if (!lc) {
-    lc = {
-      callId,
-      direction,
-      from,
-      to,
-      status: "INIT",
-      wasAnswered: false,
-      agentId: null,
-      agentName: "",
-      startedAt: Date.now(),
+  const dates = listDates(from, to);
+  if (dates.length > HISTORY_MAX_RANGE_DAYS) {
+    throw new Error(`Date range too large (max ${HISTORY_MAX_RANGE_DAYS} days)`);
+  }
+
+  const allStats = loadDailyStats(portal);
+  const days = dates.map((d) => historyRow(portal, d, allStats));
+  const trendDays = days.filter(isTrendDay);
+
+  // Averages per weekday, Monday first; the answer rate is pooled rather than an average of daily rates
+  const weekdays = [1, 2, 3, 4, 5, 6, 0].map((idx) => {
+    const rows = trendDays.filter((r) => r.weekday === WEEKDAYS[idx]);
+    const totals = historyTotals(rows);
+    const avg = (v) => rows.length ? Math.round((v / rows.length) * 10) / 10 : null;
+    return {
+      weekday: WEEKDAYS[idx],
+      days: rows.length,
+      answered: avg(totals.answered),
+      missed: avg(totals.missed),
+      offered: avg(totals.offered),
+      outbound: avg(totals.outbound.made),
+      answerRate: totals.answerRate
     };
-    liveCalls.set(callId, lc);
+  });
+
+  const ranked = trendDays.filter((r) => r.offered > 0);
+  const pick = (r) => ({ date: r.date, weekday: r.weekday, answered: r.answered, missed: r.missed, offered: r.offered, answerRate: r.answerRate });
+  const n = Math.min(3, Math.ceil(ranked.length / 2)); // short ranges: never list a day as both best and worst
+  const best = [...ranked].sort((a, b) => b.answerRate - a.answerRate || b.offered - a.offered).slice(0, n);
+  const worst = [...ranked].sort((a, b) => a.answerRate - b.answerRate || b.missed - a.missed)
+    .filter((r) => !best.includes(r)).slice(0, n);
+
+  // Calendar weeks/months touching the range, plus the one before the first so it has a comparison
+  const mondayOf = (d) => addDays(d, -((weekdayOfDate(d) + 6) % 7));
+  const weekStarts = [];
+  for (let w = addDays(mondayOf(from), -7); w <= to; w = addDays(w, 7)) weekStarts.push(w);
+  const nextMonth = (m) => {
+    const d = new Date(`${m}T00:00:00Z`);
+    d.setUTCMonth(d.getUTCMonth() + 1);
+    return d.toISOString().split('T')[0];
+  };
+  const monthStarts = [];
+  const firstMonth = `${from.slice(0, 7)}-01`;
+  for (let m = addDays(firstMonth, -1).slice(0, 7) + "-01"; m <= to; m = nextMonth(m)) monthStarts.push(m);
+
+  return {
+    from,
+    to,
+    timezone: TIMEZONE,
+    totals: { ...historyTotals(days), daysWithData: days.filter((r) => !r.noData).length, trendDays: trendDays.length },
+    days,
+    weekdays,
+    best: best.map(pick),
+    worst: worst.map(pick),
+    weeks: historyPeriods(portal, allStats, weekStarts, (w) => addDays(w, 7), today).slice(1),
+    months: historyPeriods(portal, allStats, monthStarts, nextMonth, today).slice(1)
+  };
+}
+
+// -------------------- Agent Presence --------------------
+const PRESENCE_STATES = ["available", "ringing", "on_call", "wrap_up", "break", "offline"];
+const PRESENCE_LABELS = {
+  available: "Available", ringing: "Ringing", on_call: "On Call", wrap_up: "Wrap-up", break: "Break", offline: "Offline"
+};
+const MANUAL_PRESENCE_STATES = ["available", "break", "offline"];
+// timeman.status STATUS -> presence
+const TIMEMAN_PRESENCE = { OPENED: "available", PAUSED: "break", CLOSED: "offline", EXPIRED: "offline" };
+
+// Call activity wins; otherwise a manual status, then the Bitrix24 work day, then the work schedule
+function derivePresence(portal, agent) {
+  const live = Array.from(portal.liveCalls.values()).find((lc) => lc.agentId === agent.agentId && lc.status !== "ENDED");
+  if (live) return { state: live.wasAnswered ? "on_call" : "ringing", source: "call" };
+  if (agent.wrapUp) return { state: "wrap_up", source: "call" };
+  if (agent.manualPresence) return { state: agent.manualPresence.state, source: "manual" };
+  if (agent.timeman) return { state: TIMEMAN_PRESENCE[agent.timeman.status] || "offline", source: "timeman" };
+  return { state: checkIfWithinWorkHours() ? "available" : "offline", source: "schedule" };
+}
+
+// Adds the time spent in the current state to today's totals
+function accruePresence(agent, now = Date.now()) {
+  const p = agent.presence;
+  if (!p) return;
+  agent.presenceSeconds[p.state] += Math.max(0, (now - p.accruedAt) / 1000);
+  p.accruedAt = Math.max(p.accruedAt, now);
+}
 
-    if (direction === "IN") dailyMetrics.incoming.inProgress += 1;
-    else dailyMetrics.outgoing.inProgress += 1;
+function updatePresence(portal, agent, now = Date.now()) {
+  const next = derivePresence(portal, agent);
+  const p = agent.presence;
+  if (p && p.state === next.state) {
+    p.source = next.source;
+    return false;
   }
+  accruePresence(agent, now);
+  agent.presence = { state: next.state, source: next.source, since: now, accruedAt: now };
+  return true;
+}
 
-  // Update with latest info
-  if (from) lc.from = from;
-  if (to) lc.to = to;
-  if (direction) lc.direction = direction;
-  
-  // Update agent info - prioritize new info from event
-  if (agentId) {
-    lc.agentId = String(agentId);
+function refreshPresence(portal, now = Date.now()) {
+  let changed = false;
+  for (const agent of portal.agents.values()) changed = updatePresence(portal, agent, now) || changed;
+  return changed;
+}
+
+function presenceTotals(agent, now = null) {
+  const totals = {};
+  for (const state of PRESENCE_STATES) totals[state] = (agent.presenceSeconds && agent.presenceSeconds[state]) || 0;
+  if (now && agent.presence) totals[agent.presence.state] += Math.max(0, (now - agent.presence.accruedAt) / 1000);
+  for (const state of PRESENCE_STATES) totals[state] = Math.round(totals[state]);
+  return totals;
+}
+
+function describePresence(agent, now = null) {
+  const p = agent.presence || { state: "offline", source: "schedule", since: null };
+  return {
+    state: p.state,
+    label: PRESENCE_LABELS[p.state],
+    source: p.source,
+    since: p.since,
+    reason: p.source === "manual" && agent.manualPresence ? agent.manualPresence.reason : "",
+    secondsInState: now && p.since ? Math.max(0, Math.round((now - p.since) / 1000)) : undefined
+  };
+}
+
+function countPresence(portal) {
+  const counts = Object.fromEntries(PRESENCE_STATES.map((state) => [state, 0]));
+  for (const agent of portal.agents.values()) if (agent.presence) counts[agent.presence.state] += 1;
+  return counts;
+}
+
+// state: available | break | offline, or "auto" to go back to timeman / the schedule
+function setManualPresence(portal, agent, state, reason = "", by = "") {
+  agent.manualPresence = state === "auto" ? null : { state, reason, by, at: new Date().toISOString() };
+  updatePresence(portal, agent);
+  console.log(`🧍 [${portal.key}] Agent ${agent.agentId} presence set to ${state}${reason ? ` (${reason})` : ""}`);
+  scheduleBroadcast(portal);
+}
+
+// Work-day status of every known agent (and anyone in the user directory) via timeman.status
+async function pollTimeman(portal) {
+  if (!TIMEMAN_POLL_SECONDS || !findPortalTokenKey(portal) || Date.now() < (portal.timemanRetryAt || 0)) return;
+  const ids = Array.from(new Set([...portal.agents.keys(), ...Object.keys(portal.userDirectory.users)]));
+  if (!ids.length) return;
+
+  const commands = {};
+  for (const id of ids) commands[`t${id}`] = ["timeman.status", { USER_ID: id }];
+  let response;
+  try {
+    response = await callBitrixBatch(portal, commands);
+  } catch (e) {
+    console.error(`❌ [${portal.key}] timeman.status failed:`, e.message);
+    portal.timemanRetryAt = Date.now() + TIMEMAN_RETRY_MS;
+    return;
   }
-  if (agentName) {
-    lc.agentName = agentName;
+
+  const { result, errors } = response;
+  if (ids.every((id) => !result[`t${id}`]) && Object.keys(errors || {}).length) {
+    console.log(`⚠️ [${portal.key}] timeman.status unavailable (app needs the timeman scope); retrying in ${TIMEMAN_RETRY_MS / 60000} min`);
+    portal.timemanRetryAt = Date.now() + TIMEMAN_RETRY_MS;
+    return;
   }
-  
-  lc.status = String(status);
 
-  // Update agent state (if we have agent)
-  if (lc.agentId) {
-    const a = ensureAgent(lc.agentId, lc.agentName || agentName);
-    a.onCallNow = !isEndEvent(eventName);
-    
-    // Update agent name from the call data if available
-    if (lc.agentName && a.name !== lc.agentName) {
-      a.name = lc.agentName;
-      console.log(`📝 Updated agent ${lc.agentId} name to: ${lc.agentName}`);
+  const now = new Date().toISOString();
+  for (const id of ids) {
+    const r = result[`t${id}`];
+    const status = r && String(r.STATUS || "").toUpperCase();
+    if (!status) continue;
+    let agent = portal.agents.get(id);
+    if (!agent) {
+      if (TIMEMAN_PRESENCE[status] === "offline") continue; // only list directory users once they start their day
+      agent = ensureAgent(portal, id, (portal.userDirectory.users[id] || {}).name || "");
+    }
+    // A change in the work day replaces a manual status set earlier
+    if (agent.timeman && agent.timeman.status !== status) agent.manualPresence = null;
+    agent.timeman = { status, at: now };
+    updatePresence(portal, agent);
+  }
+  scheduleBroadcast(portal);
+}
+
+// -------------------- Portals --------------------
+// URL- and directory-safe key for a portal: "https://Acme.Bitrix24.com/" -> "acme.bitrix24.com"
+function portalSlug(domain) {
+  return String(domain || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, "")
+    .replace(/[/?#].*$/, "")
+    .replace(/[^a-z0-9.-]+/g, "-")
+    .replace(/^[.-]+|[.-]+$/g, "");
+}
+
+// DEFAULT_PORTAL if set; otherwise a single installed portal keeps serving /wallboard from DATA_DIR
+// as it did before multi-portal support. That choice is saved, so installing a second portal later
+// doesn't hand DATA_DIR (and the first portal's history) to someone else on the next boot.
+function resolveDefaultPortalKey() {
+  const configured = portalSlug(DEFAULT_PORTAL);
+  if (configured) return configured;
+
+  try {
+    if (fs.existsSync(DEFAULT_PORTAL_FILE)) {
+      const saved = portalSlug(JSON.parse(fs.readFileSync(DEFAULT_PORTAL_FILE, "utf8") || "{}").key);
+      if (saved) return saved;
+    }
+  } catch (e) {
+    console.error("❌ Failed to load default portal:", e);
+  }
+
+  const installed = new Set(
+    Object.values(portalTokens)
+      .filter((t) => t.domain && t.domain !== "unknown-domain")
+      .map((t) => portalSlug(t.domain))
+  );
+  if (installed.size !== 1) return "default";
+
+  // Only a real portal is pinned; "default" still hands over to the first portal installed
+  const key = Array.from(installed)[0];
+  try {
+    ensureDir(DATA_DIR);
+    writeFileAtomic(DEFAULT_PORTAL_FILE, JSON.stringify({ key, pinnedAt: new Date().toISOString() }, null, 2));
+    console.log(`📌 Default portal pinned to ${key}`);
+  } catch (e) {
+    console.error("❌ Failed to save default portal:", e);
+  }
+  return key;
+}
+
+// The default portal reads the legacy DATA_DIR layout unless it already has a portals/<key> directory
+function portalDataDir(key) {
+  const own = path.join(PORTALS_DIR, key);
+  return key === defaultPortalKey && !fs.existsSync(own) ? DATA_DIR : own;
+}
+
+function createPortalState(key, { domain = "", memberId = "", dataDir = portalDataDir(key) } = {}) {
+  const portal = {
+    key,
+    domain,
+    memberId,
+    dataDir,
+    dailyStatsFile: path.join(dataDir, "dailyStats.json"),
+    callHistoryDir: path.join(dataDir, "calls"),
+    journalDir: path.join(dataDir, "journal"),
+    afterHoursFile: path.join(dataDir, "afterHoursCalls.json"),
+    callbacksFile: path.join(dataDir, "callbacks.json"),
+    userDirectoryFile: path.join(dataDir, "userDirectory.json"),
+    crmCallersFile: path.join(dataDir, "crmCallers.json"),
+    liveStateFile: path.join(dataDir, "liveState.json"),
+    dailyMetrics: createDailyMetrics(getCurrentDate()),
+    previousDayStats: {
+      date: "",
+      incoming: { answered: 0, missed: 0 },
+      outgoing: { answered: 0, cancelled: 0 },
+      missedDroppedAbandoned: 0,
+      totalCalls: 0
+    },
+    liveCalls: new Map(),
+    endedCalls: new Map(), // callId -> call, for late events; see pruneRecentCalls()
+    seenEvents: new Map(), // delivery key -> time, see handleCallEvent()
+    callEventLog: [], // duplicate, late and rejected events, see GET /debug/call-events
+    callEventCounts: {},
+    agents: new Map(),
+    callerLog: new Map(), // number -> recent inbound calls [{ callId, at, date, answered }]
+    afterHoursLog: { since: null, calls: [] }, // calls received since the centre last closed for the day
+    afterHoursSaveTimer: null, // see scheduleAfterHoursSave()
+    callbacks: [],
+    userDirectory: { users: {}, departments: {} },
+    pendingUserLookups: new Set(),
+    userLookupTimer: null,
+    userLookupRetryAt: 0,
+    crmCallers: {}, // number -> CRM match (or miss), see runCallerLookups()
+    staleCallLog: [], // recent reaper actions, see GET /debug/stale-calls
+    staleCallCheckRunning: false,
+    pendingCallerLookups: new Set(),
+    callerLookupTimer: null,
+    callerLookupRetryAt: 0,
+    broadcastTimer: null,
+    lastBroadcastSections: {},
+    closingDay: null, // the previous day while calls that started on it are still live, see updateClosingDay()
+    liveStateDirty: false,
+    lastRestore: null, // see restoreLiveState()
+    fcrCheckAt: 0 // see finalizeRepeatCallerStats()
+  };
+  portal.afterHoursLog = loadAfterHoursLog(portal);
+  portal.callbacks = loadCallbacks(portal);
+  portal.userDirectory = loadUserDirectory(portal);
+  portal.crmCallers = loadCrmCallers(portal);
+  return portal;
+}
+
+// The wallboard's "yesterday": the latest saved day before today (local time) that was a working day
+function loadPreviousDayStats(portal, allStats = loadDailyStats(portal)) {
+  const today = getCurrentDate();
+  const dates = Object.keys(allStats).filter((d) => isValidDateString(d) && d < today).sort().reverse();
+  const isWorkingDay = (d) => !(allStats[d].nonWorkingDay ?? describeWorkingDay(d).nonWorkingDay);
+  const date = dates.find(isWorkingDay) || dates[0];
+  if (date) portal.previousDayStats = allStats[date];
+}
+
+// Returns the portal's state, creating and loading it on first use
+function getPortal(key, info = {}) {
+  let portal = portals.get(key);
+  if (!portal) {
+    portal = createPortalState(key, info);
+    portals.set(key, portal);
+    restoreLiveState(portal);
+    rebuildCallerLog(portal); // before the reset check, so a restored day's rollup sees its repeat callers
+    checkAndResetDailyMetrics(portal);
+    closeMissedDays(portal); // also picks the previous working day
+    console.log(`🏢 Portal ready: ${key} (${portal.dataDir})`);
+  }
+  if (info.domain && !portal.domain) portal.domain = info.domain;
+  if (info.memberId && !portal.memberId) portal.memberId = info.memberId;
+  return portal;
+}
+
+// Bitrix sends auth[domain] and auth[member_id] with every event. Only installed portals get their own
+// state; events naming no portal, or one that was never installed, belong to the default portal.
+// `stored` is the installed portal verifyWebhook() matched; when given it decides, not the body
+function resolveEventPortal(body, stored = null) {
+  const auth = body?.auth || body?.AUTH || {};
+  const entry = stored || findStoredPortal(String(auth.member_id || auth.MEMBER_ID || ""), String(auth.domain || auth.DOMAIN || ""));
+  const key = entry && entry.domain !== "unknown-domain" ? portalSlug(entry.domain) : "";
+  if (!key) return getPortal(defaultPortalKey);
+  return getPortal(key, { domain: entry.domain, memberId: entry.memberId });
+}
+
+// ?portal=<key or domain> picks a portal for pages, APIs and sockets; no value means the default portal
+function findPortal(value) {
+  if (!value) return getPortal(defaultPortalKey);
+  return portals.get(portalSlug(value)) || null;
+}
+
+function withPortal(req, res, next) {
+  const portal = findPortal(req.query.portal);
+  if (!portal) return res.status(404).json({ ok: false, error: `Unknown portal: ${req.query.portal}` });
+  req.portal = portal;
+  next();
+}
+
+function listPortals() {
+  return Array.from(portals.values())
+    .map((p) => ({
+      key: p.key,
+      domain: p.domain,
+      isDefault: p.key === defaultPortalKey,
+      liveCalls: p.liveCalls.size
+    }))
+    .sort((a, b) => (b.isDefault - a.isDefault) || a.key.localeCompare(b.key));
+}
+
+// Schedule and holiday changes apply to every portal
+function refreshAllPortals() {
+  for (const portal of portals.values()) {
+    updateWorkHoursState(portal);
+    scheduleBroadcast(portal);
+  }
+}
+
+// -------------------- State Snapshot --------------------
+function serializeLiveCall(portal, v) {
+  return {
+    callId: v.callId,
+    direction: v.direction,
+    from: v.from,
+    fromPhone: describePhone(v.from, v.fromHidden),
+    caller: describeCaller(portal, v.from),
+    to: v.to,
+    line: v.line || UNKNOWN_LINE,
+    lineName: v.lineName || v.to || "",
+    status: v.status,
+    agentId: v.agentId,
+    agentName: v.agentName || `Agent ${v.agentId}`,
+    wasAnswered: v.wasAnswered,
+    startedAt: v.startedAt,
+    answeredAt: v.answeredAt || null,
+    repeatCount: v.repeatCount || 0
+  };
+}
+
+function countAgentsOnCall(portal) {
+  let n = 0;
+  for (const a of portal.agents.values()) if (a.onCallNow) n += 1;
+  return n;
+}
+
+// Everything a wallboard renders, split into sections so pushes can send only what changed
+function buildStateSnapshot(portal) {
+  const pngDateTime = formatLocalDateTime();
+  const { dailyMetrics, afterHoursLog, callbacks } = portal;
+  return {
+    clock: {
+      currentDate: dailyMetrics.date,
+      date: pngDateTime.date,
+      timezone: TIMEZONE,
+      isWithinWorkHours: dailyMetrics.isWithinWorkHours,
+      workHoursStatus: getWorkHoursStatus()
+    },
+    metrics: {
+      ...dailyMetrics,
+      // Counts only: the calls themselves are in the afterHours section
+      afterHours: { total: dailyMetrics.afterHours.total, answered: dailyMetrics.afterHours.answered, missed: dailyMetrics.afterHours.missed },
+      kpis: computeTimingKpis(dailyMetrics.timing),
+      repeatCallers: computeRepeatCallerStats(portal, dailyMetrics.date),
+      serviceLevel: computeServiceLevel(dailyMetrics),
+      lines: summarizeLines(dailyMetrics),
+      activeAgentsOnCall: countAgentsOnCall(portal),
+      presence: countPresence(portal)
+    },
+    previousDayStats: portal.previousDayStats,
+    liveCalls: Array.from(portal.liveCalls.values()).map((lc) => serializeLiveCall(portal, lc)),
+    agents: Array.from(portal.agents.values()).map((a) => ({ ...a, presence: describePresence(a), stats: summarizeAgentDay(a) })),
+    afterHours: {
+      since: afterHoursLog.since,
+      total: afterHoursLog.calls.length,
+      calls: afterHoursLog.calls.slice(-AFTER_HOURS_PUSH_CALLS).reverse().map((c) => ({
+        ...c,
+        fromPhone: describePhone(c.from, c.fromHidden),
+        caller: describeCaller(portal, c.from)
+      }))
+    },
+    callbacks: {
+      ...summarizeCallbacks(portal, dailyMetrics.date),
+      items: callbacks
+        .filter((c) => c.status === "open")
+        .slice(0, 50)
+        .map((c) => ({ ...c, phone: describePhone(c.number), caller: describeCaller(portal, c.number) }))
+    },
+    portal: { key: portal.key, domain: portal.domain, isDefault: portal.key === defaultPortalKey, lastRestore: portal.lastRestore },
+    portals: listPortals(),
+    portalsStored: Object.keys(portalTokens).length
+  };
+}
+
+// -------------------- Webhook Verification --------------------
+function normalizeIp(ip) {
+  const x = String(ip || "").trim();
+  return x.startsWith("::ffff:") ? x.slice(7) : x;
+}
+
+function ipv4ToInt(ip) {
+  const parts = ip.split(".");
+  if (parts.length !== 4 || parts.some((p) => !/^\d{1,3}$/.test(p) || Number(p) > 255)) return null;
+  return parts.reduce((acc, p) => ((acc << 8) | Number(p)) >>> 0, 0);
+}
+
+function ipMatches(ip, rule) {
+  if (!rule.includes("/")) return normalizeIp(rule) === ip;
+  const [base, bitsRaw] = rule.split("/");
+  const bits = parseInt(bitsRaw, 10);
+  const ipInt = ipv4ToInt(ip);
+  const baseInt = ipv4ToInt(base);
+  if (ipInt === null || baseInt === null || !(bits >= 0 && bits <= 32)) return false;
+  const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+  return (ipInt & mask) === (baseInt & mask);
+}
+
+function isIpAllowed(ip) {
+  if (!WEBHOOK_ALLOWED_IPS.length) return true;
+  const addr = normalizeIp(ip);
+  return WEBHOOK_ALLOWED_IPS.some((rule) => ipMatches(addr, rule));
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// Installed portal for an event's auth block: member_id first (stable), then domain
+function findStoredPortal(memberId, domain) {
+  const entries = Object.values(portalTokens);
+  if (memberId) {
+    const byMember = entries.find((t) => t.memberId === memberId);
+    if (byMember) return byMember;
+  }
+  const slug = portalSlug(domain);
+  return slug ? entries.find((t) => portalSlug(t.domain) === slug) || null : null;
+}
+
+// Checks are enforced once there is something to check against; until then events are
+// accepted as "unverified" so an existing single-portal setup keeps working after upgrade
+function isWebhookVerificationEnforced() {
+  return !!WEBHOOK_SECRET || Object.values(portalTokens).some((t) => t.applicationToken);
+}
+
+// Returns { ok: true, method, stored } or { ok: false, reason }; `stored` is the installed portal the
+// application token was checked against, and the event belongs to it whatever else the body says
+function verifyWebhook(req) {
+  if (!isIpAllowed(req.ip)) return { ok: false, reason: "ip_not_allowed" };
+
+  const suppliedSecret = req.headers["x-webhook-secret"] || req.query.secret || "";
+  if (WEBHOOK_SECRET && suppliedSecret) {
+    return safeEqual(suppliedSecret, WEBHOOK_SECRET)
+      ? { ok: true, method: "secret" }
+      : { ok: false, reason: "bad_secret" };
+  }
+
+  const enforced = isWebhookVerificationEnforced();
+  const auth = req.body?.auth || req.body?.AUTH || {};
+  const token = String(auth.application_token || auth.APPLICATION_TOKEN || "");
+  const memberId = String(auth.member_id || auth.MEMBER_ID || "");
+  const domain = String(auth.domain || auth.DOMAIN || "");
+
+  if (!token && !memberId && !domain) {
+    return enforced ? { ok: false, reason: "missing_credentials" } : { ok: true, method: "unverified" };
+  }
+
+  const stored = findStoredPortal(memberId, domain);
+  if (!stored) return enforced ? { ok: false, reason: "unknown_portal" } : { ok: true, method: "unverified" };
+  if (domain && stored.domain && portalSlug(domain) !== portalSlug(stored.domain)) {
+    return { ok: false, reason: "domain_mismatch" };
+  }
+  if (!stored.applicationToken) {
+    return enforced ? { ok: false, reason: "no_stored_token" } : { ok: true, method: "unverified" };
+  }
+  if (!token) return { ok: false, reason: "missing_token" };
+  if (!safeEqual(token, stored.applicationToken)) return { ok: false, reason: "bad_token" };
+  return { ok: true, method: "application_token", stored };
+}
+
+// Copy of an event body safe to show on /debug/last-event
+function redactAuth(body) {
+  const auth = body?.auth || body?.AUTH;
+  if (!auth || typeof auth !== "object") return body;
+  const masked = {};
+  for (const [k, v] of Object.entries(auth)) {
+    masked[k] = /token|secret|refresh|auth_id/i.test(k) ? "***" : v;
+  }
+  return { ...body, [body.auth ? "auth" : "AUTH"]: masked };
+}
+
+function noteWebhookResult(req, result, eventName) {
+  if (result.ok) {
+    webhookStats.accepted[result.method] = (webhookStats.accepted[result.method] || 0) + 1;
+    return;
+  }
+
+  webhookStats.rejected[result.reason] = (webhookStats.rejected[result.reason] || 0) + 1;
+  const auth = req.body?.auth || req.body?.AUTH || {};
+  webhookStats.recentRejections.push({
+    at: new Date().toISOString(),
+    reason: result.reason,
+    ip: normalizeIp(req.ip),
+    event: String(eventName || ""),
+    domain: String(auth.domain || auth.DOMAIN || ""),
+    memberId: String(auth.member_id || auth.MEMBER_ID || "")
+  });
+  if (webhookStats.recentRejections.length > WEBHOOK_REJECT_LOG_SIZE) webhookStats.recentRejections.shift();
+  console.warn(`🚫 Rejected webhook ${eventName} from ${normalizeIp(req.ip)}: ${result.reason}`);
+}
+
+// -------------------- Bitrix24 OAuth & REST Client --------------------
+const restQueues = new Map(); // token entry key -> promise chain spacing requests REST_MIN_INTERVAL_MS apart
+const tokenRefreshes = new Map(); // token entry key -> in-flight refresh
+
+function findTokenKey(memberId, domain) {
+  const stored = findStoredPortal(memberId, domain);
+  return stored ? Object.keys(portalTokens).find((k) => portalTokens[k] === stored) : null;
+}
+
+function findPortalTokenKey(portal) {
+  return findTokenKey(portal.memberId, portal.domain || (portal.key === "default" ? "" : portal.key));
+}
+
+function isPortalDomainAllowed(domain) {
+  const d = String(domain || "").toLowerCase();
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(d)) return false;
+  return !ALLOWED_PORTAL_DOMAINS.length || ALLOWED_PORTAL_DOMAINS.some((a) => (a.startsWith(".") ? d.endsWith(a) : d === a));
+}
+
+function isPortalEndpoint(endpoint, domain) {
+  try {
+    const url = new URL(endpoint);
+    return /^https?:$/.test(url.protocol) && !!domain && portalSlug(url.host) === portalSlug(domain);
+  } catch (e) {
+    return false;
+  }
+}
+
+// Confirms an access token with the portal before it replaces a stored one: app.info only answers
+// for a live token of this app. `endpoint` is the stored REST endpoint, never one from the request.
+async function isAccessTokenValid(endpoint, accessToken) {
+  try {
+    const res = await axios.post(`${endpoint.replace(/\/?$/, "/")}app.info.json`, { auth: accessToken },
+      { timeout: REST_TIMEOUT_MS, validateStatus: () => true });
+    return res.status < 300 && !!res.data?.result && !res.data.error;
+  } catch (e) {
+    return false;
+  }
+}
+
+// OAuth fields from the install handler (AUTH_ID, REFRESH_ID, AUTH_EXPIRES) or an event auth block
+function extractOAuth(body, query, auth) {
+  const accessToken = auth.access_token || body.AUTH_ID || query.AUTH_ID || "";
+  const refreshToken = auth.refresh_token || body.REFRESH_ID || query.REFRESH_ID || "";
+  const domain = auth.domain || query.DOMAIN || body.DOMAIN || body.domain || "";
+  let expiresAt = null;
+  if (auth.expires) expiresAt = new Date(Number(auth.expires) * 1000).toISOString();
+  else if (auth.expires_in || body.AUTH_EXPIRES) {
+    expiresAt = new Date(Date.now() + Number(auth.expires_in || body.AUTH_EXPIRES) * 1000).toISOString();
+  }
+
+  // REST calls carry the access token, so they only ever go to the portal's own host
+  let clientEndpoint = auth.client_endpoint || "";
+  if (clientEndpoint && !isPortalEndpoint(clientEndpoint, domain)) {
+    console.warn(`⚠️ Ignoring client_endpoint ${clientEndpoint}: not on ${domain || "the portal domain"}`);
+    clientEndpoint = "";
+  }
+
+  const oauth = {
+    accessToken,
+    refreshToken,
+    expiresAt,
+    clientEndpoint,
+    serverEndpoint: auth.server_endpoint || body.SERVER_ENDPOINT || ""
+  };
+  for (const k of Object.keys(oauth)) if (!oauth[k]) delete oauth[k];
+  return accessToken ? oauth : {};
+}
+
+function tokenNeedsRefresh(entry, now = Date.now()) {
+  if (!entry.refreshToken) return false;
+  if (!entry.expiresAt) return true;
+  return Date.parse(entry.expiresAt) - now <= TOKEN_REFRESH_MARGIN_SECONDS * 1000;
+}
+
+function refreshPortalToken(key) {
+  if (tokenRefreshes.has(key)) return tokenRefreshes.get(key);
+
+  const run = (async () => {
+    const entry = portalTokens[key];
+    if (!entry || !entry.refreshToken) throw new Error(`No refresh token for ${key}`);
+    if (!BITRIX_CLIENT_ID || !BITRIX_CLIENT_SECRET) {
+      throw new Error("BITRIX_CLIENT_ID / BITRIX_CLIENT_SECRET are not set; cannot refresh tokens");
+    }
+
+    const { data } = await axios.get(BITRIX_OAUTH_URL, {
+      params: {
+        grant_type: "refresh_token",
+        client_id: BITRIX_CLIENT_ID,
+        client_secret: BITRIX_CLIENT_SECRET,
+        refresh_token: entry.refreshToken
+      },
+      timeout: REST_TIMEOUT_MS
+    });
+    if (!data || !data.access_token) throw new Error(`Token refresh failed: ${data?.error_description || data?.error || "no token"}`);
+
+    Object.assign(entry, extractOAuth({}, {}, { ...data, domain: data.domain || entry.domain }));
+    entry.refreshedAt = new Date().toISOString();
+    saveTokens(portalTokens);
+    console.log(`🔑 Refreshed OAuth token for ${key} (expires ${entry.expiresAt})`);
+    return entry;
+  })();
+
+  tokenRefreshes.set(key, run);
+  run.finally(() => tokenRefreshes.delete(key)).catch(() => {});
+  return run;
+}
+
+async function refreshExpiringTokens() {
+  if (!BITRIX_CLIENT_ID || !BITRIX_CLIENT_SECRET) return; // nothing to refresh with; REST calls report it
+  for (const [key, entry] of Object.entries(portalTokens)) {
+    if (!tokenNeedsRefresh(entry)) continue;
+    try {
+      await refreshPortalToken(key);
+    } catch (e) {
+      console.error(`❌ Token refresh for ${key}:`, e.response?.data?.error_description || e.message);
+    }
+  }
+}
+
+// Runs fn after the previous request for the same portal, at least REST_MIN_INTERVAL_MS later
+function enqueueRest(key, fn) {
+  const prev = restQueues.get(key) || Promise.resolve();
+  const next = prev.then(() => fn());
+  const spaced = next.catch(() => {}).then(() => sleep(REST_MIN_INTERVAL_MS));
+  restQueues.set(key, spaced);
+  spaced.then(() => { if (restQueues.get(key) === spaced) restQueues.delete(key); });
+  return next;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function backoffDelay(attempt) {
+  return Math.min(30000, 1000 * 2 ** attempt) * (0.75 + Math.random() / 2);
+}
+
+function restError(method, status, body, fallback) {
+  const err = new Error(`${method}: ${body?.error_description || body?.error || fallback}`);
+  err.code = body?.error || null;
+  err.status = status || null;
+  return err;
+}
+
+// PHP-style query string as used by batch commands: filter[ID]=1&select[0]=NAME
+function toBitrixQuery(params, prefix = "") {
+  const parts = [];
+  for (const [k, v] of Object.entries(params || {})) {
+    const name = prefix ? `${prefix}[${k}]` : k;
+    if (v !== null && typeof v === "object") parts.push(toBitrixQuery(v, name));
+    else if (v !== undefined) parts.push(`${encodeURIComponent(name)}=${encodeURIComponent(v === null ? "" : v)}`);
+  }
+  return parts.filter(Boolean).join("&");
+}
+
+// Calls a REST method for a portal (state object or token entry key). Refreshes an expired token once
+// and backs off on QUERY_LIMIT_EXCEEDED / 5xx / network errors. Resolves to the full response body.
+async function callBitrix(portalOrKey, method, params = {}) {
+  const key = typeof portalOrKey === "string" ? portalOrKey : findPortalTokenKey(portalOrKey);
+  if (!key || !portalTokens[key]) throw new Error(`${method}: portal is not installed`);
+
+  let refreshed = false;
+  for (let attempt = 0; ; attempt++) {
+    const entry = portalTokens[key];
+    if (!entry.accessToken || !entry.clientEndpoint) throw new Error(`${method}: no OAuth token stored for ${key}`);
+    if (!refreshed && entry.refreshToken && entry.expiresAt && Date.parse(entry.expiresAt) <= Date.now()) {
+      refreshed = true;
+      await refreshPortalToken(key);
+      continue;
+    }
+
+    let res;
+    try {
+      res = await enqueueRest(key, () => axios.post(
+        `${entry.clientEndpoint.replace(/\/?$/, "/")}${method}.json`,
+        { ...params, auth: entry.accessToken },
+        { timeout: REST_TIMEOUT_MS, validateStatus: () => true }
+      ));
+    } catch (e) {
+      if (attempt >= REST_MAX_RETRIES) throw restError(method, null, null, e.message);
+      await sleep(backoffDelay(attempt));
+      continue;
+    }
+
+    const body = res.data || {};
+    if (res.status < 300 && !body.error) return body;
+
+    if ((body.error === "expired_token" || body.error === "invalid_token") && !refreshed && entry.refreshToken) {
+      refreshed = true;
+      await refreshPortalToken(key);
+      continue;
+    }
+    const retryable = body.error === "QUERY_LIMIT_EXCEEDED" || res.status === 429 || res.status >= 500;
+    if (!retryable || attempt >= REST_MAX_RETRIES) throw restError(method, res.status, body, `HTTP ${res.status}`);
+
+    console.warn(`⏳ ${method} for ${key}: ${body.error || `HTTP ${res.status}`}, retrying`);
+    await sleep(backoffDelay(attempt));
+  }
+}
+
+// Runs { name: [method, params] } commands through "batch" in chunks of REST_BATCH_SIZE.
+// Resolves to { result: { name: value }, errors: { name: error } }.
+async function callBitrixBatch(portalOrKey, commands, { halt = false } = {}) {
+  const entries = Object.entries(commands);
+  const out = { result: {}, errors: {} };
+
+  for (let i = 0; i < entries.length; i += REST_BATCH_SIZE) {
+    const cmd = {};
+    for (const [name, [method, params]] of entries.slice(i, i + REST_BATCH_SIZE)) {
+      const qs = toBitrixQuery(params);
+      cmd[name] = qs ? `${method}?${qs}` : method;
+    }
+    const body = await callBitrix(portalOrKey, "batch", { halt: halt ? 1 : 0, cmd });
+    Object.assign(out.result, body.result?.result || {});
+    const errors = body.result?.result_error;
+    if (errors && !Array.isArray(errors)) Object.assign(out.errors, errors);
+  }
+  return out;
+}
+
+// Follows "next" paging of list methods (50 items per page) up to maxItems
+async function callBitrixList(portalOrKey, method, params = {}, maxItems = 500) {
+  const items = [];
+  let start = 0;
+  while (start !== undefined && items.length < maxItems) {
+    const body = await callBitrix(portalOrKey, method, { ...params, start });
+    const page = Array.isArray(body.result) ? body.result : (body.result?.items || []);
+    items.push(...page);
+    start = body.next;
+  }
+  return items.slice(0, maxItems);
+}
+
+// ONAPPUNINSTALL for a verified token entry: forget the portal's tokens and live state; its data directory is archived
+function uninstallPortal(stored) {
+  const tokenKey = Object.keys(portalTokens).find((k) => portalTokens[k] === stored);
+  if (!tokenKey) return;
+  delete portalTokens[tokenKey];
+  console.log("🗑️ UNINSTALL removed portal key:", tokenKey);
+  saveTokens(portalTokens);
+
+  // Other entries for the same domain (e.g. an older member id) keep the portal's data in place
+  const key = portalSlug(stored.domain);
+  if (Object.values(portalTokens).some((t) => portalSlug(t.domain) === key)) return;
+  const portal = key && portals.get(key);
+  if (!portal || key === defaultPortalKey) return;
+
+  if (portal.afterHoursSaveTimer) saveAfterHoursLog(portal); // archived with the rest
+  clearTimeout(portal.broadcastTimer);
+  clearTimeout(portal.userLookupTimer);
+  clearTimeout(portal.callerLookupTimer);
+  portals.delete(key);
+  if (wss) {
+    for (const ws of wss.clients) if (ws.portalKey === key) ws.close(4410, "Portal uninstalled");
+  }
+
+  try {
+    if (fs.existsSync(portal.dataDir)) {
+      ensureDir(UNINSTALLED_DIR);
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      fs.renameSync(portal.dataDir, path.join(UNINSTALLED_DIR, `${key}-${stamp}`));
+    }
+  } catch (e) {
+    console.error("❌ Failed to archive portal data:", key, e);
+  }
+}
+
+// -------------------- Agent Directory --------------------
+function loadUserDirectory(portal) {
+  try {
+    if (!fs.existsSync(portal.userDirectoryFile)) return { users: {}, departments: {} };
+    const parsed = JSON.parse(fs.readFileSync(portal.userDirectoryFile, "utf8") || "{}");
+    return { users: parsed.users || {}, departments: parsed.departments || {} };
+  } catch (e) {
+    console.error("❌ Failed to load user directory:", e);
+    return { users: {}, departments: {} };
+  }
+}
+
+function saveUserDirectory(portal) {
+  try {
+    ensureDir(portal.dataDir);
+    fs.writeFileSync(portal.userDirectoryFile, JSON.stringify(portal.userDirectory, null, 2), "utf8");
+  } catch (e) {
+    console.error("❌ Failed to save user directory:", e);
+  }
+}
+
+function isDirectoryEntryFresh(entry, now = Date.now()) {
+  return !!entry && now - Date.parse(entry.fetchedAt || 0) < USER_DIRECTORY_TTL_HOURS * 60 * 60 * 1000;
+}
+
+// Copies a cached profile onto the agent; directory names then win over names found in call payloads
+function applyUserProfile(portal, agent) {
+  const user = portal.userDirectory.users[agent.agentId];
+  if (!user || !user.name) return false;
+  const dept = portal.userDirectory.departments[user.departmentId];
+  agent.name = user.name;
+  agent.photo = user.photo || null;
+  agent.position = user.position || "";
+  agent.department = dept ? dept.name : "";
+  agent.fromDirectory = true;
+  return true;
+}
+
+// Queues a background user.get for the agent unless a fresh profile is cached
+function queueUserLookup(portal, agentId) {
+  if (portal.replay || isDirectoryEntryFresh(portal.userDirectory.users[agentId])) return;
+  if (!findPortalTokenKey(portal)) return; // no REST access (not installed via OAuth)
+  portal.pendingUserLookups.add(String(agentId));
+  if (portal.userLookupTimer) return;
+  const delay = Math.max(USER_LOOKUP_DELAY_MS, portal.userLookupRetryAt - Date.now());
+  portal.userLookupTimer = setTimeout(() => {
+    runUserLookups(portal).catch((e) => console.error("❌ User lookup:", e.message));
+  }, delay);
+}
+
+async function runUserLookups(portal) {
+  portal.userLookupTimer = null;
+  const ids = Array.from(portal.pendingUserLookups);
+  portal.pendingUserLookups.clear();
+  if (!ids.length) return;
+
+  const { users, departments } = portal.userDirectory;
+  try {
+    const commands = {};
+    for (const id of ids) commands[`u${id}`] = ["user.get", { ID: id }];
+    const { result } = await callBitrixBatch(portal, commands);
+
+    const now = new Date().toISOString();
+    for (const id of ids) {
+      const u = (result[`u${id}`] || [])[0];
+      users[id] = u ? {
+        name: [u.NAME, u.LAST_NAME].filter(Boolean).join(" ").trim() || u.EMAIL || "",
+        photo: u.PERSONAL_PHOTO || null,
+        position: u.WORK_POSITION || "",
+        departmentId: Array.isArray(u.UF_DEPARTMENT) && u.UF_DEPARTMENT.length ? String(u.UF_DEPARTMENT[0]) : null,
+        fetchedAt: now
+      } : { name: "", fetchedAt: now }; // unknown id: don't ask again until the TTL passes
+    }
+
+    const deptIds = Array.from(new Set(ids.map((id) => users[id].departmentId).filter(Boolean)))
+      .filter((d) => !isDirectoryEntryFresh(departments[d]));
+    if (deptIds.length) {
+      const deptCommands = {};
+      for (const d of deptIds) deptCommands[`d${d}`] = ["department.get", { ID: d }];
+      const depts = await callBitrixBatch(portal, deptCommands);
+      for (const d of deptIds) {
+        const dept = (depts.result[`d${d}`] || [])[0];
+        departments[d] = { name: dept ? dept.NAME || "" : "", fetchedAt: now };
+      }
+    }
+
+    saveUserDirectory(portal);
+    console.log(`👤 [${portal.key}] Loaded ${ids.length} agent profile(s) from the user directory`);
+  } catch (e) {
+    console.error(`❌ [${portal.key}] User directory lookup failed:`, e.message);
+    portal.userLookupRetryAt = Date.now() + USER_LOOKUP_RETRY_MS;
+    for (const id of ids) queueUserLookup(portal, id);
+    return;
+  }
+
+  for (const agent of portal.agents.values()) {
+    if (!ids.includes(String(agent.agentId)) || !applyUserProfile(portal, agent)) continue;
+    for (const lc of portal.liveCalls.values()) {
+      if (lc.agentId === String(agent.agentId)) lc.agentName = agent.name;
+    }
+  }
+  scheduleBroadcast(portal);
+}
+
+// -------------------- Caller Identification (CRM) --------------------
+const CRM_ENTITY_ORDER = ["CONTACT", "COMPANY", "LEAD"]; // a contact match beats a company, a company beats a lead
+
+function loadCrmCallers(portal) {
+  try {
+    if (!fs.existsSync(portal.crmCallersFile)) return {};
+    const parsed = JSON.parse(fs.readFileSync(portal.crmCallersFile, "utf8") || "{}");
+    const cache = {};
+    for (const [number, entry] of Object.entries(parsed || {})) cache[phoneKey(number) || number] = entry;
+    return cache;
+  } catch (e) {
+    console.error("❌ Failed to load CRM caller cache:", e);
+    return {};
+  }
+}
+
+function saveCrmCallers(portal) {
+  try {
+    ensureDir(portal.dataDir);
+    fs.writeFileSync(portal.crmCallersFile, JSON.stringify(portal.crmCallers, null, 2), "utf8");
+  } catch (e) {
+    console.error("❌ Failed to save CRM caller cache:", e);
+  }
+}
+
+function isCrmEntryFresh(entry, now = Date.now()) {
+  if (!entry) return false;
+  const ttlMs = entry.found ? CRM_LOOKUP_TTL_HOURS * 60 * 60 * 1000 : CRM_MISS_TTL_MINUTES * 60 * 1000;
+  return now - Date.parse(entry.fetchedAt || 0) < ttlMs;
+}
+
+// What the wallboard shows for a number: a CRM match, { found: false } ("New caller"), or null if unknown yet
+function describeCaller(portal, number) {
+  const entry = number && portal.crmCallers[number];
+  if (!entry) return null;
+  if (!entry.found) return { found: false };
+  return {
+    found: true,
+    name: entry.name,
+    company: entry.company || "",
+    entityType: entry.entityType,
+    entityId: entry.entityId,
+    url: entry.url
+  };
+}
+
+function queueCallerLookup(portal, number) {
+  if (portal.replay || !number || isCrmEntryFresh(portal.crmCallers[number])) return;
+  if (!findPortalTokenKey(portal)) return; // no REST access (not installed via OAuth)
+  portal.pendingCallerLookups.add(number);
+  if (portal.callerLookupTimer) return;
+  const delay = Math.max(CRM_LOOKUP_DELAY_MS, portal.callerLookupRetryAt - Date.now());
+  portal.callerLookupTimer = setTimeout(() => {
+    runCallerLookups(portal).catch((e) => console.error("❌ CRM lookup:", e.message));
+  }, delay);
+}
+
+function crmRecordUrl(portal, entityType, id) {
+  const domain = portal.domain || portal.key;
+  return `https://${domain}/crm/${entityType.toLowerCase()}/details/${id}/`;
+}
+
+function personName(rec) {
+  return [rec.NAME, rec.LAST_NAME].filter(Boolean).join(" ").trim();
+}
+
+async function runCallerLookups(portal) {
+  portal.callerLookupTimer = null;
+  const numbers = Array.from(portal.pendingCallerLookups);
+  portal.pendingCallerLookups.clear();
+  if (!numbers.length) return;
+
+  const found = {};
+  try {
+    // 1) numbers -> CRM entity ids
+    const findCommands = {};
+    numbers.forEach((n, i) => {
+      // CRM phone fields are free text, so search the national form too
+      const values = Array.from(new Set([n, describePhone(n).national.replace(/\D/g, "")].filter(Boolean)));
+      findCommands[`n${i}`] = ["crm.duplicate.findbycomm", { type: "PHONE", values }];
+    });
+    const matches = (await callBitrixBatch(portal, findCommands)).result;
+
+    const getCommands = {};
+    numbers.forEach((n, i) => {
+      const m = matches[`n${i}`] || {};
+      const entityType = CRM_ENTITY_ORDER.find((t) => Array.isArray(m[t]) && m[t].length);
+      if (!entityType) return;
+      found[n] = { entityType, entityId: String(m[entityType][0]) };
+      getCommands[`n${i}`] = [`crm.${entityType.toLowerCase()}.get`, { id: found[n].entityId }];
+    });
+
+    // 2) entity details, 3) company names for contacts
+    const records = Object.keys(getCommands).length ? (await callBitrixBatch(portal, getCommands)).result : {};
+    const companyCommands = {};
+    numbers.forEach((n, i) => {
+      const rec = records[`n${i}`];
+      if (found[n] && found[n].entityType === "CONTACT" && rec && Number(rec.COMPANY_ID) > 0) {
+        companyCommands[`n${i}`] = ["crm.company.get", { id: rec.COMPANY_ID }];
+      }
+    });
+    const companies = Object.keys(companyCommands).length ? (await callBitrixBatch(portal, companyCommands)).result : {};
+
+    const now = new Date().toISOString();
+    numbers.forEach((n, i) => {
+      const rec = records[`n${i}`];
+      if (!found[n] || !rec) {
+        portal.crmCallers[n] = { found: false, fetchedAt: now };
+        return;
+      }
+      const { entityType, entityId } = found[n];
+      const name = entityType === "COMPANY" ? rec.TITLE : (personName(rec) || rec.TITLE || "");
+      const company = entityType === "CONTACT" ? (companies[`n${i}`]?.TITLE || "")
+        : entityType === "LEAD" ? (rec.COMPANY_TITLE || "") : "";
+      portal.crmCallers[n] = {
+        found: true,
+        entityType,
+        entityId,
+        name: name || `${entityType.toLowerCase()} #${entityId}`,
+        company,
+        url: crmRecordUrl(portal, entityType, entityId),
+        fetchedAt: now
+      };
+    });
+
+    saveCrmCallers(portal);
+    console.log(`🔎 [${portal.key}] CRM lookup: ${Object.keys(found).length} of ${numbers.length} number(s) matched`);
+  } catch (e) {
+    console.error(`❌ [${portal.key}] CRM lookup failed:`, e.message);
+    portal.callerLookupRetryAt = Date.now() + USER_LOOKUP_RETRY_MS;
+    for (const n of numbers) queueCallerLookup(portal, n);
+    return;
+  }
+
+  scheduleBroadcast(portal);
+}
+
+// -------------------- Stale Call Reaper --------------------
+function noteStaleCall(portal, lc, action, detail = "") {
+  portal.staleCallLog.push({
+    at: new Date().toISOString(),
+    callId: lc.callId,
+    direction: lc.direction,
+    from: lc.from,
+    agentId: lc.agentId,
+    startedAt: new Date(lc.startedAt).toISOString(),
+    ageMinutes: Math.round((Date.now() - lc.startedAt) / 60000),
+    action,
+    detail
+  });
+  if (portal.staleCallLog.length > STALE_CALL_LOG_SIZE) portal.staleCallLog.shift();
+  console.log(`🧹 [${portal.key}] Stale call ${lc.callId}: ${action}${detail ? ` (${detail})` : ""}`);
+}
+
+// Closes a call whose outcome can't be established. It leaves the in-progress count but is not
+// counted as answered or missed; its history record has outcome "unknown". A late end event still settles it.
+function expireLiveCall(portal, lc, reason) {
+  lc.status = "EXPIRED";
+  lc.expired = reason;
+  lc.endedAt = Date.now();
+  const agent = lc.agentId && portal.agents.get(lc.agentId);
+  if (agent) agent.onCallNow = false;
+  lc.caller = describeCaller(portal, lc.from);
+  appendCallRecord(portal, buildCallRecord(lc, "EXPIRED"));
+  portal.liveCalls.delete(lc.callId);
+  portal.endedCalls.set(lc.callId, lc);
+  retallyCall(portal, lc);
+  portal.dailyMetrics.staleCalls.expired += 1;
+  noteStaleCall(portal, lc, "expired", reason);
+  refreshPresence(portal);
+}
+
+// Replays the outcome Bitrix recorded as the start/end events that never arrived. Statistics carry
+// the talk duration but not the ring time, so an unseen answer is placed at the last event we got.
+function applyCallStatistic(portal, lc, stat) {
+  const duration = parseInt(stat.CALL_DURATION, 10) || 0;
+  const code = String(stat.CALL_FAILED_CODE || "");
+  const answered = code === "200" && duration > 0;
+  const data = {
+    CALL_ID: lc.callId,
+    PORTAL_USER_ID: stat.PORTAL_USER_ID ? String(stat.PORTAL_USER_ID) : lc.agentId,
+    CALL_FAILED_CODE: code,
+    CALL_FAILED_REASON: String(stat.CALL_FAILED_REASON || "")
+  };
+
+  const lastSeen = lc.lastEventAt || lc.startedAt;
+  const answeredAt = lc.answeredAt || lastSeen;
+  if (answered && !lc.wasAnswered) handleCallEvent(portal, "ONVOXIMPLANTCALLSTART", data, answeredAt);
+  handleCallEvent(portal, "ONVOXIMPLANTCALLEND", data, answered ? answeredAt + duration * 1000 : lastSeen);
+
+  portal.dailyMetrics.staleCalls.reconciled += 1;
+  noteStaleCall(portal, lc, "reconciled", answered ? `answered, ${duration}s talk` : `not answered, code ${code || "none"}`);
+}
+
+async function reapStaleCalls(portal) {
+  if (!STALE_CALL_MINUTES || portal.staleCallCheckRunning) return;
+  const now = Date.now();
+  const stale = Array.from(portal.liveCalls.values()).filter((lc) => now - lc.startedAt > STALE_CALL_MINUTES * 60000);
+  if (!stale.length) return;
+
+  for (const lc of stale) {
+    if (lc.staleSince) continue;
+    lc.staleSince = now;
+    portal.dailyMetrics.staleCalls.flagged += 1;
+    noteStaleCall(portal, lc, "flagged", `no end event after ${STALE_CALL_MINUTES} min`);
+  }
+  scheduleBroadcast(portal);
+
+  if (!findPortalTokenKey(portal)) {
+    for (const lc of stale) expireLiveCall(portal, lc, "no REST access to check the outcome");
+    return;
+  }
+
+  portal.staleCallCheckRunning = true;
+  try {
+    const commands = {};
+    stale.forEach((lc, i) => { commands[`s${i}`] = ["voximplant.statistic.get", { FILTER: { CALL_ID: lc.callId } }]; });
+    const { result } = await callBitrixBatch(portal, commands);
+
+    stale.forEach((lc, i) => {
+      if (portal.liveCalls.get(lc.callId) !== lc) return; // the end event arrived meanwhile
+      const rows = Array.isArray(result[`s${i}`]) ? result[`s${i}`] : [];
+      const stat = rows.find((r) => String(r.CALL_ID) === String(lc.callId));
+      if (stat) applyCallStatistic(portal, lc, stat);
+      else if (Date.now() - lc.staleSince >= STALE_CALL_GRACE_MS) expireLiveCall(portal, lc, "not found in telephony statistics");
+    });
+  } catch (e) {
+    console.error(`❌ [${portal.key}] Telephony statistics lookup failed:`, e.message);
+    for (const lc of stale) {
+      if (portal.liveCalls.get(lc.callId) === lc && Date.now() - lc.staleSince >= STALE_CALL_GRACE_MS) {
+        expireLiveCall(portal, lc, `statistics lookup failed: ${e.message}`);
+      }
+    }
+  } finally {
+    portal.staleCallCheckRunning = false;
+  }
+}
+
+// -------------------- Event Journal --------------------
+function journalFile(portal, date) {
+  return path.join(portal.journalDir, `${date}.ndjson`);
+}
+
+// One line per accepted webhook in arrival order, filed under the local day it arrived
+function appendJournal(portal, body, at = Date.now()) {
+  if (!JOURNAL_RETENTION_DAYS) return;
+  try {
+    ensureDir(portal.journalDir);
+    fs.appendFileSync(journalFile(portal, getDateForTimestamp(at)), JSON.stringify({ at, body: redactAuth(body) }) + "\n", "utf8");
+  } catch (e) {
+    console.error(`❌ [${portal.key}] Failed to journal event:`, e.message);
+  }
+}
+
+function loadJournal(portal, date) {
+  const file = journalFile(portal, date);
+  if (!fs.existsSync(file)) return [];
+  const entries = [];
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (Number.isFinite(entry.at) && entry.body) entries.push(entry);
+    } catch (e) {
+      console.error(`⚠️ Skipping corrupt journal line in ${date}:`, line.slice(0, 80));
+    }
+  }
+  return entries;
+}
+
+function listJournalDays(portal) {
+  if (!fs.existsSync(portal.journalDir)) return [];
+  return fs.readdirSync(portal.journalDir)
+    .map((name) => /^(\d{4}-\d{2}-\d{2})\.ndjson$/.exec(name))
+    .filter(Boolean)
+    .map((m) => ({ date: m[1], bytes: fs.statSync(path.join(portal.journalDir, m[0])).size }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function pruneJournal(portal, today = getCurrentDate()) {
+  if (!JOURNAL_RETENTION_DAYS) return;
+  const cutoff = addDays(today, -JOURNAL_RETENTION_DAYS);
+  try {
+    for (const { date } of listJournalDays(portal)) {
+      if (date < cutoff) fs.unlinkSync(journalFile(portal, date));
+    }
+  } catch (e) {
+    console.error(`❌ [${portal.key}] Failed to prune journal:`, e.message);
+  }
+}
+
+// Rebuilds a finished day's dailyStats entry by running its journal through handleCallEvent() with
+// today's schedule, lines and rules. The preceding days (as far back as the repeat-caller window) are
+// replayed first and the next day until the day's last calls end, so repeat callers and calls open
+// at midnight come out as they did live.
+// Runs on a throwaway portal in a temp directory: nothing live is touched until the entry is saved.
+function replayJournal(portal, date, { dryRun = false } = {}) {
+  if (!isValidDateString(date)) throw new Error("date must be in YYYY-MM-DD format");
+  if (date >= getCurrentDate()) throw new Error("Only finished days can be replayed");
+  const entries = loadJournal(portal, date);
+  if (!entries.length) {
+    const err = new Error(`No journal for ${date}`);
+    err.status = 404;
+    throw err;
+  }
+
+  const warmUpDays = Math.max(1, Math.ceil(REPEAT_CALLER_WINDOW_HOURS / 24));
+  const dates = listDates(addDays(date, -warmUpDays), date);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wallboard-replay-"));
+  try {
+    const scratch = createPortalState(portal.key, { domain: portal.domain, memberId: portal.memberId, dataDir: dir });
+    scratch.replay = true;
+    scratch.userDirectory = portal.userDirectory;
+    scratch.crmCallers = portal.crmCallers;
+    scratch.dailyMetrics = createDailyMetrics(dates[0]);
+
+    const replay = (day, { at, body }) => {
+      expireWrapUps(scratch, at);
+      checkAndResetDailyMetrics(scratch, day);
+      scratch.dailyMetrics.isWithinWorkHours = checkIfWithinWorkHours(new Date(at));
+      handleCallEvent(scratch, pickEventName(body), pickEventData(body), at, eventKeyOf(body));
+    };
+    for (const d of dates) {
+      for (const entry of d === date ? entries : loadJournal(portal, d)) replay(d, entry);
+    }
+    // Calls still open at midnight finish in the next day's journal
+    const nextDay = addDays(date, 1);
+    for (const entry of loadJournal(portal, nextDay)) {
+      if (scratch.dailyMetrics.date === nextDay && !scratch.closingDay) break;
+      replay(nextDay, entry);
+    }
+    expireWrapUps(scratch);
+    checkAndResetDailyMetrics(scratch, nextDay);
+
+    const allStats = loadDailyStats(portal);
+    const previous = allStats[date] || null;
+    const entry = loadDailyStats(scratch)[date];
+    // Presence (timeman, manual statuses) and callback work (assign, close) don't go through webhooks,
+    // so those figures are kept from the entry saved at the time
+    const previousAgents = new Map(((previous && previous.agents) || []).map((a) => [a.agentId, a]));
+    for (const a of entry.agents) {
+      a.presenceSeconds = (previousAgents.get(a.agentId) || {}).presenceSeconds || createAgentDayStats().presenceSeconds;
+    }
+    entry.callbacks = (previous && previous.callbacks) || summarizeCallbacks(portal, date);
+    entry.rebuiltFromJournal = { at: new Date().toISOString(), events: entries.length };
+
+    if (!dryRun) {
+      allStats[date] = entry;
+      saveDailyStats(portal, allStats);
+      noteProvisionalFcr(portal, entry);
+      loadPreviousDayStats(portal, allStats);
+      scheduleBroadcast(portal);
+      console.log(`📼 [${portal.key}] Rebuilt ${date} from ${entries.length} journaled events`);
+    }
+    return { date, events: entries.length, saved: !dryRun, entry, previous };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// -------------------- Live State Snapshot --------------------
+// Saved values over today's defaults, so fields added since the snapshot was written keep their defaults
+function mergeDefaults(defaults, saved) {
+  if (!saved || typeof saved !== "object" || Array.isArray(saved)) return saved === undefined ? defaults : saved;
+  if (!defaults || typeof defaults !== "object" || Array.isArray(defaults)) return saved;
+  const out = { ...defaults };
+  for (const [k, v] of Object.entries(saved)) out[k] = mergeDefaults(defaults[k], v);
+  return out;
+}
+
+function saveLiveState(portal) {
+  const now = Date.now();
+  // Bank presence time up to now so the snapshot holds complete totals
+  for (const agent of portal.agents.values()) accruePresence(agent, now);
+  const state = {
+    version: LIVE_STATE_VERSION,
+    savedAt: new Date(now).toISOString(),
+    dailyMetrics: portal.dailyMetrics,
+    liveCalls: Array.from(portal.liveCalls.values()),
+    endedCalls: Array.from(portal.endedCalls.values()),
+    seenEvents: Array.from(portal.seenEvents.entries()),
+    agents: Array.from(portal.agents.values()),
+    closingDay: portal.closingDay && { ...portal.closingDay, agents: Array.from(portal.closingDay.agents.values()) }
+  };
+  try {
+    ensureDir(portal.dataDir);
+    writeFileAtomic(portal.liveStateFile, JSON.stringify(state));
+    portal.liveStateDirty = false;
+  } catch (e) {
+    console.error(`❌ [${portal.key}] Failed to save live state:`, e.message);
+  }
+}
+
+// Runs once when the portal loads, before the daily reset check: a snapshot from an earlier day
+// is restored as that day and then rolled into dailyStats.json by checkAndResetDailyMetrics()
+function restoreLiveState(portal) {
+  let state;
+  try {
+    if (!fs.existsSync(portal.liveStateFile)) return;
+    state = JSON.parse(fs.readFileSync(portal.liveStateFile, "utf8"));
+  } catch (e) {
+    console.error(`❌ [${portal.key}] Failed to read live state:`, e.message);
+    return;
+  }
+  const saved = state && state.dailyMetrics;
+  if (!saved || !isValidDateString(saved.date) || state.version !== LIVE_STATE_VERSION) {
+    console.log(`⚠️ [${portal.key}] Ignoring live state snapshot (unknown format)`);
+    return;
+  }
+
+  const now = Date.now();
+  portal.dailyMetrics = mergeDefaults(createDailyMetrics(saved.date), saved);
+
+  portal.liveCalls.clear();
+  for (const lc of Array.isArray(state.liveCalls) ? state.liveCalls : []) {
+    if (lc && lc.callId) portal.liveCalls.set(lc.callId, lc);
+  }
+  for (const lc of Array.isArray(state.endedCalls) ? state.endedCalls : []) {
+    if (lc && lc.callId) portal.endedCalls.set(lc.callId, lc);
+  }
+  for (const [key, at] of Array.isArray(state.seenEvents) ? state.seenEvents : []) portal.seenEvents.set(key, at);
+
+  const closing = state.closingDay;
+  if (closing && closing.metrics && isValidDateString(closing.date)) {
+    portal.closingDay = {
+      date: closing.date,
+      metrics: mergeDefaults(createDailyMetrics(closing.date), closing.metrics),
+      agents: new Map((Array.isArray(closing.agents) ? closing.agents : []).map((a) => [a.agentId, a])),
+      callIds: Array.isArray(closing.callIds) ? closing.callIds : []
+    };
+  }
+
+  for (const a of Array.isArray(state.agents) ? state.agents : []) {
+    if (!a || !a.agentId) continue;
+    const agent = ensureAgent(portal, a.agentId, a.name);
+    const { presence, ...rest } = a;
+    Object.assign(agent, mergeDefaults({ ...agent, presence: null }, rest));
+    // Time spent down is not counted in any state
+    if (presence && PRESENCE_STATES.includes(presence.state)) agent.presence = { ...presence, accruedAt: now };
+  }
+  refreshPresence(portal, now);
+
+  const today = getCurrentDate();
+  portal.lastRestore = {
+    at: new Date(now).toISOString(),
+    savedAt: state.savedAt || null,
+    date: saved.date,
+    rolledOver: saved.date !== today,
+    liveCalls: portal.liveCalls.size,
+    agents: portal.agents.size
+  };
+  console.log(
+    `♻️ [${portal.key}] Restored live state from ${state.savedAt} (${saved.date}, ${portal.liveCalls.size} live calls, ${portal.agents.size} agents)` +
+      (saved.date !== today ? " — rolling into history" : "")
+  );
+}
+
+function saveAllLiveState(onlyDirty = false) {
+  for (const portal of portals.values()) {
+    if (!onlyDirty || portal.liveStateDirty) saveLiveState(portal);
+  }
+}
+
+// -------------------- Live Push (WebSocket) --------------------
+// Each socket subscribes to one portal with /ws?portal=<key>; pushes only go to that portal's sockets
+let wss = null;
+
+function sendJson(ws, msg) {
+  if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
+}
+
+function broadcastState(portal) {
+  portal.broadcastTimer = null;
+  const snapshot = buildStateSnapshot(portal);
+  const diff = {};
+
+  for (const [key, value] of Object.entries(snapshot)) {
+    const json = JSON.stringify(value);
+    if (portal.lastBroadcastSections[key] !== json) {
+      portal.lastBroadcastSections[key] = json;
+      diff[key] = value;
+    }
+  }
+  if (Object.keys(diff).length) portal.liveStateDirty = true;
+
+  if (!wss || !Object.keys(diff).length) return;
+
+  const msg = JSON.stringify({ type: "update", serverTime: Date.now(), ...diff });
+  for (const ws of wss.clients) {
+    if (ws.portalKey === portal.key && ws.readyState === WebSocket.OPEN) ws.send(msg);
+  }
+}
+
+function scheduleBroadcast(portal) {
+  if (portal.replay || portal.broadcastTimer) return;
+  portal.broadcastTimer = setTimeout(() => broadcastState(portal), WS_BROADCAST_DELAY_MS);
+}
+
+function attachWebSocketServer(server) {
+  wss = new WebSocketServer({ server, path: "/ws" });
+
+  wss.on("connection", (ws, req) => {
+    const url = new URL(req.url || "/", "http://localhost");
+    const portal = findPortal(url.searchParams.get("portal"));
+    if (!portal) {
+      ws.close(4404, "Unknown portal");
+      return;
+    }
+
+    ws.portalKey = portal.key;
+    ws.isAlive = true;
+    ws.on("pong", () => { ws.isAlive = true; });
+    ws.on("error", (e) => console.error("❌ WebSocket client error:", e.message));
+
+    console.log(`🔌 Wallboard connected to ${portal.key} (${wss.clients.size} clients) from ${req.socket.remoteAddress}`);
+    sendJson(ws, { type: "init", serverTime: Date.now(), ...buildStateSnapshot(portal) });
+
+    ws.on("close", () => {
+      console.log(`🔌 Wallboard disconnected (${wss.clients.size} clients)`);
+    });
+  });
+
+  const pingTimer = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, WS_PING_INTERVAL_MS);
+
+  wss.on("close", () => clearInterval(pingTimer));
+}
+
+// -------------------- App --------------------
+const app = express();
+// Behind a reverse proxy req.ip is the proxy's address; TRUST_PROXY takes Express "trust proxy" values
+if (TRUST_PROXY) {
+  app.set("trust proxy", TRUST_PROXY === "true" ? true : /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
+app.use(express.urlencoded({ extended: true }));
+app.use(express.json({ limit: "2mb" }));
+
+// Initialize
+console.log("🚀 Boot");
+portalTokens = loadTokens();
+defaultPortalKey = resolveDefaultPortalKey();
+
+// Load every known portal (previous day stats, daily reset, repeat-caller log)
+getPortal(defaultPortalKey);
+for (const t of Object.values(portalTokens)) {
+  const key = t.domain && t.domain !== "unknown-domain" ? portalSlug(t.domain) : "";
+  if (key) getPortal(key, { domain: t.domain, memberId: t.memberId });
+}
+if (fs.existsSync(PORTALS_DIR)) {
+  for (const entry of fs.readdirSync(PORTALS_DIR, { withFileTypes: true })) {
+    if (entry.isDirectory() && entry.name === portalSlug(entry.name)) getPortal(entry.name);
+  }
+}
+
+// Schedule daily reset check every minute
+setInterval(() => {
+  reloadWorkScheduleIfChanged();
+  reloadLinesIfChanged();
+  for (const portal of portals.values()) {
+    checkAndResetDailyMetrics(portal);
+    finalizeRepeatCallerStats(portal);
+    pruneRecentCalls(portal);
+    // Update work hours status
+    updateWorkHoursState(portal);
+    scheduleBroadcast(portal);
+  }
+}, 60000);
+
+// Update work hours status periodically and close elapsed wrap-ups
+setInterval(() => {
+  for (const portal of portals.values()) {
+    updateWorkHoursState(portal);
+    expireWrapUps(portal);
+    refreshPresence(portal);
+    scheduleBroadcast(portal);
+  }
+}, 30000);
+
+// Close live calls that never got an end event
+if (STALE_CALL_MINUTES > 0) {
+  setInterval(() => {
+    for (const portal of portals.values()) {
+      reapStaleCalls(portal).catch((e) => console.error("❌ Stale call reaper:", e.message));
+    }
+  }, STALE_CALL_CHECK_MS);
+}
+
+// Breaks and shifts from the Bitrix24 work day
+if (TIMEMAN_POLL_SECONDS > 0) {
+  setInterval(() => {
+    for (const portal of portals.values()) {
+      pollTimeman(portal).catch((e) => console.error("❌ timeman poll:", e.message));
+    }
+  }, TIMEMAN_POLL_SECONDS * 1000);
+}
+
+// Periodic live state snapshot
+if (SNAPSHOT_INTERVAL_SECONDS > 0) {
+  setInterval(() => saveAllLiveState(true), SNAPSHOT_INTERVAL_SECONDS * 1000);
+}
+
+// Refresh OAuth tokens shortly before they expire
+refreshExpiringTokens();
+setInterval(refreshExpiringTokens, 60000);
+
+// Heartbeat with local time
+setInterval(() => {
+  console.log("🫀 alive", getCurrentDateTime(), `(${TIMEZONE})`);
+}, 30000);
+
+// -------------------- Routes --------------------
+app.get("/", (req, res) => {
+  res.type("text/plain").send("Bitrix24 Wallboard Backend is running.");
+});
+
+// Static live board (public/index.html) — also fed over the WebSocket
+app.use(express.static(PUBLIC_DIR));
+
+// Accepts the install handler call and the ONAPPINSTALL event (which carries auth[application_token])
+app.post("/bitrix/install", async (req, res) => {
+  try {
+    if (!isIpAllowed(req.ip)) {
+      noteWebhookResult(req, { ok: false, reason: "ip_not_allowed" }, "install");
+      return res.status(403).json({ ok: false, error: "Forbidden" });
+    }
+
+    const auth = req.body.auth || req.body.AUTH || {};
+    const domain = req.query.DOMAIN || req.body.DOMAIN || req.body.domain || auth.domain || "unknown-domain";
+    const memberId = req.body.member_id || req.body.MEMBER_ID || auth.member_id || "unknown-member";
+    const applicationToken = String(auth.application_token || req.body.application_token || "");
+    const key = `${domain}|${memberId}`;
+    const existing = portalTokens[key] || {};
+
+    // Events are matched to entries by member id and domain, so a second entry for an installed portal
+    // would let whoever created it post events as that portal; adding one needs ADMIN_TOKEN
+    const duplicate = Object.keys(portalTokens).find((k) => k !== key && (
+      (memberId !== "unknown-member" && portalTokens[k].memberId === memberId) ||
+      (domain !== "unknown-domain" && portalSlug(portalTokens[k].domain) === portalSlug(domain))
+    ));
+    if (duplicate && !hasAdminToken(req)) {
+      noteWebhookResult(req, { ok: false, reason: "duplicate_install_refused" }, "install");
+      return res.status(409).json({ ok: false, error: "Portal is already installed" });
+    }
+
+    // A first install decides whose events and REST calls this portal's entry stands for
+    const oauth = extractOAuth(req.body, req.query, auth);
+    if (!portalTokens[key]) {
+      const installed = new Set(Object.values(portalTokens).map((t) => portalSlug(t.domain)).filter(Boolean));
+      if (!installed.has(portalSlug(domain)) && installed.size >= MAX_PORTALS) {
+        noteWebhookResult(req, { ok: false, reason: "portal_limit_reached" }, "install");
+        return res.status(403).json({ ok: false, error: `Portal limit reached (MAX_PORTALS=${MAX_PORTALS})` });
+      }
+      if (!hasAdminToken(req) && !isPortalDomainAllowed(domain)) {
+        noteWebhookResult(req, { ok: false, reason: "domain_not_allowed" }, "install");
+        return res.status(403).json({ ok: false, error: "Portal domain is not allowed" });
+      }
+      if (!hasAdminToken(req) && !(oauth.accessToken && await isAccessTokenValid(`https://${domain}/rest/`, oauth.accessToken))) {
+        noteWebhookResult(req, { ok: false, reason: "install_unverified" }, "install");
+        return res.status(403).json({ ok: false, error: "Install could not be verified with the portal" });
+      }
+    }
+
+    // A new token would let its sender post events as this portal, so replacing one needs ADMIN_TOKEN
+    // (uninstalling the app clears it otherwise)
+    if (applicationToken && existing.applicationToken && existing.applicationToken !== applicationToken &&
+        !hasAdminToken(req)) {
+      noteWebhookResult(req, { ok: false, reason: "token_change_refused" }, "install");
+      return res.status(409).json({ ok: false, error: "Portal already has an application token" });
+    }
+
+    // Replacing stored OAuth tokens decides whose portal the REST client talks to. The portal's own
+    // application token or ADMIN_TOKEN allows it; otherwise the new access token must check out with the portal.
+    const changesOAuth = ["accessToken", "refreshToken", "clientEndpoint"].some((f) => oauth[f] && oauth[f] !== existing[f]);
+    const trusted = hasAdminToken(req) ||
+      (!!applicationToken && !!existing.applicationToken && safeEqual(applicationToken, existing.applicationToken));
+    if (changesOAuth && existing.accessToken && !trusted &&
+        !(await isAccessTokenValid(existing.clientEndpoint || `https://${domain}/rest/`, oauth.accessToken))) {
+      noteWebhookResult(req, { ok: false, reason: "oauth_change_refused" }, "install");
+      return res.status(403).json({ ok: false, error: "OAuth tokens could not be verified with the portal" });
+    }
+    
+    // Re-read: another install may have landed while the token was being checked
+    portalTokens[key] = {
+      ...(portalTokens[key] || existing),
+      domain,
+      memberId,
+      applicationToken: applicationToken || (portalTokens[key] || existing).applicationToken || null,
+      ...oauth,
+      clientEndpoint: oauth.clientEndpoint || existing.clientEndpoint || (oauth.accessToken ? `https://${domain}/rest/` : undefined),
+      installedAt: new Date().toISOString(),
+    };
+
+    saveTokens(portalTokens);
+    console.log("✅ INSTALL stored portal key:", key, applicationToken ? "(application token saved)" : "");
+    if (domain !== "unknown-domain") getPortal(portalSlug(domain), { domain, memberId });
+
+    return res.json({
+      ok: true,
+      message: "Installed OK. Configure Bitrix Outbound Webhook to POST events to /bitrix/events.",
+    });
+  } catch (e) {
+    console.error("❌ INSTALL error:", e);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// -------------------- Call State Machine --------------------
+// A call moves NEW -> RINGING -> ANSWERED -> ENDED (or straight to ENDED); the reaper can end it as EXPIRED.
+const CALL_EVENT_STATES = { init: "RINGING", start: "ANSWERED", end: "ENDED" };
+const CALL_TRANSITIONS = {
+  NEW: ["RINGING", "ANSWERED", "ENDED"],
+  RINGING: ["ANSWERED", "ENDED"],
+  ANSWERED: ["ENDED"],
+  ENDED: [],
+  EXPIRED: ["ENDED"] // the end event turned up after the reaper gave up on the call
+};
+
+// Duplicate, late and rejected events, for GET /debug/call-events
+function noteCallEvent(portal, lc, eventName, kind, detail = "") {
+  portal.callEventLog.push({
+    at: new Date().toISOString(),
+    callId: lc.callId,
+    event: String(eventName || ""),
+    state: lc.status || null,
+    kind,
+    detail
+  });
+  if (portal.callEventLog.length > CALL_EVENT_LOG_SIZE) portal.callEventLog.shift();
+  portal.callEventCounts[kind] = (portal.callEventCounts[kind] || 0) + 1;
+  console.log(`🔀 [${portal.key}] Call ${lc.callId}: ${kind} (${eventName} while ${lc.status || "unknown"})${detail ? ` — ${detail}` : ""}`);
+}
+
+// What a call adds to the counters of `date` in its current state
+function callTally(lc, date) {
+  let phase = "ringing";
+  if (lc.status === "EXPIRED") phase = "expired"; // left out of every counter
+  else if (lc.status === "ENDED") phase = lc.wasAnswered ? "handled" : "missed";
+  else if (lc.wasAnswered) phase = "answered";
+  return {
+    date,
+    phase,
+    direction: lc.direction,
+    line: lc.line || UNKNOWN_LINE,
+    lineName: lc.lineName || "",
+    agentId: lc.agentId || null,
+    waitSeconds: lc.wasAnswered
+      ? secondsBetween(lc.startedAt, lc.answeredAt)
+      : lc.endedAt ? secondsBetween(lc.startedAt, lc.endedAt) : 0,
+    talkSeconds: phase === "handled" ? secondsBetween(lc.answeredAt, lc.endedAt) : 0,
+    reason: phase === "missed" && lc.direction === "IN" ? lc.unansweredReason || "abandoned" : null
+  };
+}
+
+// Adds (sign 1) or removes (sign -1) a tally. Longest wait/call are maxima and only ever grow.
+function applyTally(portal, t, sign) {
+  const book = dayBook(portal, t.date);
+  const inbound = t.direction === "IN";
+  const answered = t.phase === "answered" || t.phase === "handled";
+
+  for (const m of metricBuckets(portal, t, book.metrics)) {
+    const counts = inbound ? m.incoming : m.outgoing;
+    if (t.phase === "ringing") bump(counts, "inProgress", sign);
+    if (answered) {
+      bump(counts, "answered", sign);
+      if (inbound) {
+        bump(m.timing, "answeredInbound", sign);
+        bump(m.timing, "totalAnswerWaitSeconds", sign * t.waitSeconds);
+        if (t.waitSeconds <= SERVICE_LEVEL_SECONDS) bump(m, "answeredWithinServiceLevel", sign);
+        if (sign > 0) m.timing.longestWaitSeconds = Math.max(m.timing.longestWaitSeconds, t.waitSeconds);
+      }
+    }
+    if (t.phase === "handled") {
+      bump(m.timing, "handledCalls", sign);
+      bump(m.timing, "totalTalkSeconds", sign * t.talkSeconds);
+    }
+    if (t.phase === "missed" && inbound) {
+      bump(counts, "missed", sign);
+      bump(m, "missedDroppedAbandoned", sign);
+      bump(m.unanswered, t.reason, sign);
+      if (sign > 0) m.timing.longestWaitSeconds = Math.max(m.timing.longestWaitSeconds, t.waitSeconds);
+    }
+    if (t.phase === "missed" && !inbound) bump(counts, "cancelled", sign);
+  }
+
+  const agent = t.agentId && book.agents.get(t.agentId);
+  if (!agent) return;
+  if (!inbound) bump(agent, "outboundMade", sign);
+  if (answered) bump(agent, inbound ? "inboundHandled" : "outboundHandled", sign);
+  if (t.phase === "missed") bump(agent, inbound ? "inboundMissed" : "outboundMissed", sign);
+  if (t.phase === "handled") {
+    bump(agent, "talkSeconds", sign * t.talkSeconds);
+    if (sign > 0) agent.longestCallSeconds = Math.max(agent.longestCallSeconds, t.talkSeconds);
+  }
+}
+
+// Counters follow each call's current outcome: its previous tally is swapped for the new one,
+// so a repeated or late event can change how a call is counted but never count it twice.
+// A call stays on the day it started, even when it ends after midnight.
+function retallyCall(portal, lc) {
+  const prev = lc.tally;
+  const next = callTally(lc, prev ? prev.date : portal.dailyMetrics.date);
+  if (prev && JSON.stringify(prev) === JSON.stringify(next)) return;
+  if (!dayBook(portal, next.date)) return; // that day's entry is final
+  if (prev) applyTally(portal, prev, -1);
+  applyTally(portal, next, 1);
+  lc.tally = next;
+  if (portal.closingDay && next.date === portal.closingDay.date) updateClosingDay(portal);
+}
+
+function markCallAnswered(portal, lc, at) {
+  if (!lc.wasAnswered) lc.answeredAt = Math.max(lc.startedAt, at);
+  lc.wasAnswered = true;
+  lc.unansweredReason = null;
+  closeCallbacksForNumber(portal, lc.from, lc.direction === "IN" ? "answered_inbound" : "answered_outbound", lc.callId);
+  if (lc.direction === "IN") markCallerAnswered(portal, lc.from, lc.callId);
+}
+
+// Forget ended calls and delivery keys once late events for them are no longer expected
+function pruneRecentCalls(portal, now = Date.now()) {
+  const cutoff = now - RECENT_CALL_MEMORY_MINUTES * 60000;
+  for (const [callId, lc] of portal.endedCalls) if ((lc.endedAt || 0) < cutoff) portal.endedCalls.delete(callId);
+  for (const [key, at] of portal.seenEvents) if (at < cutoff) portal.seenEvents.delete(key);
+}
+
+// -------------------- EVENTS ENDPOINT --------------------
+let lastEvent = null;
+
+app.post("/bitrix/events", (req, res) => {
+  const eventName = pickEventName(req.body);
+  const uninstall = String(eventName).toUpperCase() === "ONAPPUNINSTALL";
+  let verdict = verifyWebhook(req);
+  // Uninstalling archives a portal, so it takes an event signed with that portal's own application token
+  if (verdict.ok && uninstall && verdict.method !== "application_token") verdict = { ok: false, reason: "uninstall_unverified" };
+  noteWebhookResult(req, verdict, eventName);
+  if (!verdict.ok) return res.status(403).json({ ok: false, error: "Webhook verification failed" });
+
+  res.json({ ok: true });
+  lastEvent = redactAuth(req.body);
+  
+  if (uninstall) {
+    uninstallPortal(verdict.stored);
+    return;
+  }
+
+  const data = pickEventData(req.body);
+  const portal = resolveEventPortal(req.body, verdict.stored);
+  
+  console.log(`📨 EVENT [${portal.key}]:`, eventName);
+  console.log("📊 Event data keys:", Object.keys(data).join(', '));
+
+  const at = Date.now();
+  checkAndResetDailyMetrics(portal); // don't wait for the minute timer to start a new day
+  appendJournal(portal, req.body, at);
+  handleCallEvent(portal, eventName, data, at, eventKeyOf(req.body));
+});
+
+// Applies one telephony event to a portal's live calls, agents and daily metrics.
+// `at` is when the event happened (epoch ms); the reconciler passes times from Bitrix statistics.
+// `eventKey` identifies the delivery (see eventKeyOf()) so a redelivered event is applied once.
+function handleCallEvent(portal, eventName, data, at = Date.now(), eventKey = "") {
+  const { dailyMetrics, liveCalls, endedCalls } = portal;
+
+  const callId = data.CALL_ID || data.callId || data.id || data.ID || data.CALL_ID_EXTERNAL || data.EXTERNAL_CALL_ID || data.externalCallId;
+
+  if (!callId) {
+    console.log("⚠️ No CALL_ID found.");
+    return;
+  }
+
+  const type = callEventType(eventName);
+  const known = liveCalls.get(callId) || endedCalls.get(callId);
+  if (!type) {
+    noteCallEvent(portal, known || { callId }, eventName, "ignored", "not a call event");
+    return;
+  }
+
+  if (eventKey) {
+    const key = `${type}:${callId}:${eventKey}`;
+    if (portal.seenEvents.has(key)) {
+      noteCallEvent(portal, known || { callId }, eventName, "redelivered", `key ${eventKey}`);
+      return;
+    }
+    portal.seenEvents.set(key, at);
+  }
+
+  const caller = extractCallerNumber(data);
+  const from = caller.key;
+  // CALLINIT always names the caller, so an empty number there means it was withheld
+  const fromHidden = caller.hidden || (type === "init" && !from);
+  const to = data.LINE_NUMBER || data.LINE || data.TO || data.to || data.DESTINATION || data.destination || "";
+  const agentId = extractAgentId(data);
+  const agentName = extractAgentName(data);
+  const directionRaw = data.DIRECTION || data.direction || data.CALL_DIRECTION || data.callDirection || "";
+  const direction = String(directionRaw).toUpperCase().includes("OUT") ? "OUT" : "IN";
+  const status = data.STATUS || data.status || data.STATE || data.state || eventName;
+
+  // Calls that start while closed go to the after-hours bucket for their whole life;
+  // calls already live when the centre closes finish normally
+  if (!known && (!dailyMetrics.isWithinWorkHours || isAfterHoursCall(portal, callId))) {
+    const localTime = formatClock(getZonedParts().minutes);
+    console.log(`⏰ [${portal.key}] Outside work hours (${localTime} ${TIMEZONE}), recording after-hours call ${callId}`);
+    recordAfterHoursCall(portal, callId, { from, fromHidden, to, direction }, eventName);
+    scheduleBroadcast(portal);
+    return;
+  }
+
+  let lc = known;
+  if (!lc) {
+    lc = {
+      callId,
+      direction,
+      from,
+      to,
+      status: "NEW",
+      wasAnswered: false,
+      agentId: null,
+      agentName: "",
+      startedAt: at,
+    };
+    liveCalls.set(callId, lc);
+  }
+
+  const prevState = lc.status;
+  const nextState = CALL_EVENT_STATES[type];
+  const allowed = (CALL_TRANSITIONS[prevState] || []).includes(nextState);
+  // A CALLSTART that arrives after the CALLEND still means the call was answered
+  const lateAnswer = nextState === "ANSWERED" && prevState === "ENDED" && !lc.wasAnswered;
+
+  if (!allowed && !lateAnswer) {
+    noteCallEvent(portal, lc, eventName, prevState === nextState ? "duplicate" : "out_of_order");
+    if (!liveCalls.has(callId)) return; // nothing more to learn about a finished call
+  } else if (lateAnswer) {
+    noteCallEvent(portal, lc, eventName, "late_answer", "recounted as answered");
+  } else if (prevState === "EXPIRED") {
+    noteCallEvent(portal, lc, eventName, "late_end", `expired: ${lc.expired}`);
+    lc.expired = null;
+  } else if (prevState === "NEW" && nextState !== "RINGING") {
+    noteCallEvent(portal, lc, eventName, "missing_init");
+  }
+
+  // Whatever happens below touches liveCalls/agents/dailyMetrics — push it to the wallboards
+  scheduleBroadcast(portal);
+
+  // Update with latest info
+  if (from) lc.from = from;
+  lc.fromHidden = !lc.from && (lc.fromHidden || fromHidden);
+  queueCallerLookup(portal, lc.from);
+  if (to) lc.to = to;
+  if (directionRaw) lc.direction = direction;
+  assignCallLine(lc);
+  lc.lastEventAt = Math.max(lc.lastEventAt || 0, at);
+
+  if (lc.direction === "IN" && lc.from && lc.repeatCount === undefined) {
+    lc.repeatCount = logInboundCall(portal, lc.from, callId, lc.startedAt);
+    if (lc.repeatCount) console.log(`🔁 Repeat caller ${lc.from} (${lc.repeatCount} earlier call(s) in ${REPEAT_CALLER_WINDOW_HOURS}h)`);
+  }
+
+  // Dialling a number with a pending callback counts as an attempt
+  if (lc.direction === "OUT" && lc.from && !lc.callbackAttemptNoted) {
+    lc.callbackAttemptNoted = true;
+    noteCallbackAttempt(portal, lc.from);
+  }
+  
+  // Update agent info - prioritize new info from event
+  if (agentId) {
+    lc.agentId = String(agentId);
+  }
+  if (agentName) {
+    lc.agentName = agentName;
+  }
+
+  // Update agent state (if we have agent)
+  if (lc.agentId) {
+    const a = ensureAgent(portal, lc.agentId, lc.agentName || agentName);
+    if (a.wrapUp && a.wrapUp.callId !== callId) finishWrapUp(portal, a, at);
+    
+    // Directory names win; otherwise take the agent name from the call data
+    if (a.fromDirectory) {
+      lc.agentName = a.name;
+    } else if (lc.agentName && a.name !== lc.agentName) {
+      a.name = lc.agentName;
+      console.log(`📝 Updated agent ${lc.agentId} name to: ${lc.agentName}`);
+    }
+  }
+
+  if (allowed) lc.status = nextState;
+
+  if (allowed && nextState === "RINGING") {
+    console.log(`📞 ${lc.direction === 'IN' ? 'Inbound' : 'Outbound'} call ${callId}: ${lc.from || 'Unknown'} → ${lc.to || 'Unknown'}`);
+  }
+
+  if (allowed && nextState === "ANSWERED") {
+    markCallAnswered(portal, lc, at);
+    console.log(`✅ Call ${callId} answered by ${lc.agentName || `Agent ${lc.agentId}` || 'Unknown'}`);
+  }
+
+  if (lateAnswer) {
+    markCallAnswered(portal, lc, Math.min(at, lc.endedAt));
+    appendCallRecord(portal, buildCallRecord(lc, lc.endStatus, data)); // patches the record saved at the end
+  }
+
+  if (allowed && nextState === "ENDED") {
+    lc.endedAt = Math.max(lc.answeredAt || lc.startedAt, at);
+    lc.endStatus = String(status);
+
+    if (!lc.wasAnswered) {
+      if (lc.direction === "IN") {
+        lc.unansweredReason = classifyUnanswered(lc);
+        addMissedCallback(portal, lc.from, callId);
+      }
+      console.log(`❌ Call ${callId} ${lc.direction === 'IN' ? `missed (${lc.unansweredReason})` : 'cancelled'}`);
+    } else {
+      console.log(`📞 Call ${callId} ended`);
+      if (lc.agentId) {
+        const agent = ensureAgent(portal, lc.agentId, lc.agentName);
+        finishWrapUp(portal, agent, at);
+        agent.wrapUp = {
+          callId, date: getDateForTimestamp(lc.startedAt), endedAt: lc.endedAt,
+          talkSeconds: secondsBetween(lc.answeredAt || lc.endedAt, lc.endedAt), line: lc.line, lineName: lc.lineName
+        };
+      }
+    }
+
+    lc.caller = describeCaller(portal, lc.from);
+    appendCallRecord(portal, buildCallRecord(lc, status, data));
+    liveCalls.delete(callId);
+    endedCalls.set(callId, lc);
+  }
+
+  retallyCall(portal, lc);
+  if (lc.agentId) ensureAgent(portal, lc.agentId, lc.agentName).onCallNow = liveCalls.has(callId);
+  refreshPresence(portal, at);
+}
+
+// -------------------- Wallboard Pages --------------------
+app.get("/wallboard", (req, res) => {
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.send(getWallboardHtml(getPortal(defaultPortalKey), false));
+});
+
+app.get("/wallboard/yesterday", (req, res) => {
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.send(getWallboardHtml(getPortal(defaultPortalKey), true));
+});
+
+app.get("/wallboard/history", (req, res) => {
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.send(getHistoryPageHtml(getPortal(defaultPortalKey)));
+});
+
+app.get("/wallboard/agent/:id", (req, res) => {
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.send(getAgentPageHtml(getPortal(defaultPortalKey), req.params.id));
+});
+
+// Per-portal boards; keep these after the fixed /wallboard/* paths
+app.get("/wallboard/:portal", (req, res) => {
+  const portal = portals.get(portalSlug(req.params.portal));
+  if (!portal) return res.status(404).type("text/plain").send(`Unknown portal: ${req.params.portal}`);
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.send(getWallboardHtml(portal, false));
+});
+
+app.get("/wallboard/:portal/yesterday", (req, res) => {
+  const portal = portals.get(portalSlug(req.params.portal));
+  if (!portal) return res.status(404).type("text/plain").send(`Unknown portal: ${req.params.portal}`);
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.send(getWallboardHtml(portal, true));
+});
+
+app.get("/wallboard/:portal/history", (req, res) => {
+  const portal = portals.get(portalSlug(req.params.portal));
+  if (!portal) return res.status(404).type("text/plain").send(`Unknown portal: ${req.params.portal}`);
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.send(getHistoryPageHtml(portal));
+});
+
+app.get("/wallboard/:portal/agent/:id", (req, res) => {
+  const portal = portals.get(portalSlug(req.params.portal));
+  if (!portal) return res.status(404).type("text/plain").send(`Unknown portal: ${req.params.portal}`);
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.send(getAgentPageHtml(portal, req.params.id));
+});
+
+// -------------------- Debug Endpoints --------------------
+app.get("/debug/last-event", (req, res) => {
+  res.json({ ok: true, lastEvent });
+});
+
+app.get("/health", (req, res) => res.json({ ok: true }));
+
+app.get("/debug/state", withPortal, (req, res) => {
+  const pngDateTime = formatLocalDateTime();
+  const portal = req.portal;
+  
+  res.json({
+    ok: true,
+    portal: portal.key,
+    currentDate: portal.dailyMetrics.date,
+    isWithinWorkHours: portal.dailyMetrics.isWithinWorkHours,
+    workHoursStatus: getWorkHoursStatus(),
+    pngDateTime: {
+      date: pngDateTime.date,
+      time: pngDateTime.time
+    },
+    dailyMetrics: portal.dailyMetrics,
+    previousDayStats: portal.previousDayStats,
+    liveCalls: Array.from(portal.liveCalls.values()).map((lc) => serializeLiveCall(portal, lc)),
+    agents: Array.from(portal.agents.values()),
+    lastRestore: portal.lastRestore,
+    portalsStored: Object.keys(portalTokens).length,
+  });
+});
+
+// Webhook verification counters since boot; tokens and secrets are never included
+app.get("/debug/webhooks", (req, res) => {
+  res.json({
+    ok: true,
+    enforced: isWebhookVerificationEnforced(),
+    secretConfigured: !!WEBHOOK_SECRET,
+    allowedIps: WEBHOOK_ALLOWED_IPS,
+    portals: Object.values(portalTokens).map((t) => ({
+      domain: t.domain,
+      memberId: t.memberId,
+      hasApplicationToken: !!t.applicationToken,
+      hasAccessToken: !!t.accessToken,
+      tokenExpiresAt: t.expiresAt || null,
+      installedAt: t.installedAt
+    })),
+    ...webhookStats,
+    rejectedTotal: Object.values(webhookStats.rejected).reduce((a, b) => a + b, 0)
+  });
+});
+
+// Member IDs only with the admin token
+app.get("/api/portals", (req, res) => {
+  const list = hasAdminToken(req)
+    ? listPortals().map((p) => ({ ...p, memberId: portals.get(p.key).memberId }))
+    : listPortals();
+  res.json({ ok: true, defaultPortal: defaultPortalKey, portals: list });
+});
+
+// Duplicate, late, out-of-order and ignored call events since boot
+app.get("/debug/call-events", withPortal, (req, res) => {
+  res.json({
+    ok: true,
+    counts: req.portal.callEventCounts,
+    recent: req.portal.callEventLog.slice().reverse()
+  });
+});
+
+app.get("/debug/stale-calls", withPortal, (req, res) => {
+  const now = Date.now();
+  res.json({
+    ok: true,
+    staleAfterMinutes: STALE_CALL_MINUTES,
+    today: req.portal.dailyMetrics.staleCalls,
+    flagged: Array.from(req.portal.liveCalls.values())
+      .filter((lc) => lc.staleSince)
+      .map((lc) => ({ callId: lc.callId, ageMinutes: Math.round((now - lc.startedAt) / 60000), flaggedAt: new Date(lc.staleSince).toISOString() })),
+    log: req.portal.staleCallLog.slice().reverse()
+  });
+});
+
+// -------------------- Admin --------------------
+function hasAdminToken(req) {
+  if (!ADMIN_TOKEN) return false;
+  const auth = String(req.headers.authorization || "");
+  const token = req.headers["x-admin-token"] || (auth.startsWith("Bearer ") ? auth.slice(7) : "");
+  return safeEqual(token, ADMIN_TOKEN);
+}
+
+// Fails closed: with no ADMIN_TOKEN configured the admin APIs are off rather than open
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(503).json({ ok: false, error: "Admin API disabled (ADMIN_TOKEN is not set)" });
+  if (hasAdminToken(req)) return next();
+  return res.status(401).json({ ok: false, error: "Admin token required" });
+}
+
+// -------------------- Caller Privacy --------------------
+// The call, callback and after-hours APIs carry customers' numbers and CRM names: the full data
+// needs the admin token, anyone else gets numbers masked to their last 3 digits and no CRM match
+function maskNumber(value) {
+  const s = String(value || "");
+  let digits = (s.match(/\d/g) || []).length;
+  return s.replace(/\d/g, (d) => (--digits < 3 ? d : "•"));
+}
+
+function maskPhone(phone) {
+  if (!phone) return phone;
+  return {
+    ...phone,
+    e164: null,
+    national: maskNumber(phone.national),
+    international: maskNumber(phone.international),
+    display: maskNumber(phone.display)
+  };
+}
+
+function maskCall(c) {
+  return { ...c, from: maskNumber(c.from), fromPhone: maskPhone(c.fromPhone), caller: null };
+}
+
+function maskCallback({ note, ...c }) {
+  return { ...c, number: maskNumber(c.number), phone: maskPhone(c.phone) };
+}
+
+const icsUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
+
+// -------------------- Holiday Calendar API --------------------
+app.get("/api/admin/holidays", requireAdmin, (req, res) => {
+  const list = holidays.slice().sort((a, b) => a.date.localeCompare(b.date));
+  res.json({ ok: true, holidays: list });
+});
+
+// Body: { date, endDate?, name, type: "closed" | "hours", hours? } — hours for extended/special opening
+app.post("/api/admin/holidays", requireAdmin, (req, res) => {
+  try {
+    const entry = normalizeHoliday(req.body || {}, "manual");
+    holidays.push(entry);
+    saveHolidays(holidays);
+    console.log(`🎌 Added ${entry.type} day ${entry.date}..${entry.endDate}: ${entry.name}`);
+    refreshAllPortals();
+    res.json({ ok: true, holiday: entry });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete("/api/admin/holidays/:id", requireAdmin, (req, res) => {
+  const before = holidays.length;
+  holidays = holidays.filter((h) => h.id !== req.params.id);
+  if (holidays.length === before) return res.status(404).json({ ok: false, error: "Not found" });
+  saveHolidays(holidays);
+  refreshAllPortals();
+  res.json({ ok: true });
+});
+
+// Upload as multipart field "file", or POST the raw .ics with Content-Type text/calendar
+app.post(
+  "/api/admin/holidays/import",
+  requireAdmin,
+  icsUpload.single("file"),
+  express.text({ type: ["text/calendar", "text/plain"], limit: "2mb" }),
+  (req, res) => {
+    try {
+      const text = req.file ? req.file.buffer.toString("utf8") : (typeof req.body === "string" ? req.body : "");
+      if (!text.includes("BEGIN:VCALENDAR")) throw new Error("Expected an iCalendar (.ics) file");
+      const imported = importIcsHolidays(text);
+      console.log(`🎌 Imported ${imported.length} holiday(s) from iCalendar`);
+      refreshAllPortals();
+      res.json({ ok: true, imported: imported.length, holidays: imported });
+    } catch (e) {
+      res.status(400).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+// -------------------- Bitrix24 REST API --------------------
+// Checks the stored OAuth token by calling app.info on the portal
+app.get("/api/admin/bitrix/status", requireAdmin, withPortal, async (req, res) => {
+  const key = findPortalTokenKey(req.portal);
+  const entry = key ? portalTokens[key] : null;
+  if (!entry) return res.status(404).json({ ok: false, error: "Portal is not installed" });
+  try {
+    const body = await callBitrix(key, "app.info");
+    res.json({ ok: true, portal: req.portal.key, expiresAt: entry.expiresAt || null, app: body.result });
+  } catch (e) {
+    res.status(502).json({ ok: false, error: e.message, code: e.code || null });
+  }
+});
+
+// -------------------- Work Schedule API --------------------
+app.get("/api/work-schedule", (req, res) => {
+  const days = {};
+  WEEKDAYS.forEach((day, idx) => {
+    days[day] = workSchedule.days[idx].map((iv) => `${formatClock(iv.start)}-${formatClock(iv.end)}`);
+  });
+
+  res.json({
+    ok: true,
+    timezone: TIMEZONE,
+    timezoneLabel: getTimezoneLabel(),
+    source: workSchedule.source,
+    days,
+    upcomingClosures: holidays
+      .filter((h) => (h.endDate || h.date) >= getCurrentDate())
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .slice(0, 10),
+    isWithinWorkHours: checkIfWithinWorkHours(),
+    workHoursStatus: getWorkHoursStatus()
+  });
+});
+
+// -------------------- Lines API --------------------
+app.get("/api/lines", withPortal, (req, res) => {
+  res.json({
+    ok: true,
+    source: lineConfig.source,
+    configured: lineConfig.lines,
+    date: req.portal.dailyMetrics.date,
+    lines: summarizeLines(req.portal.dailyMetrics)
+  });
+});
+
+// -------------------- After-Hours API --------------------
+app.get("/api/after-hours", withPortal, (req, res) => {
+  const { afterHoursLog } = req.portal;
+  const full = hasAdminToken(req);
+  const calls = afterHoursLog.calls
+    .map((c) => ({ ...c, fromPhone: describePhone(c.from, c.fromHidden) }))
+    .map((c) => (full ? c : maskCall(c)));
+  res.json({ ok: true, masked: !full, since: afterHoursLog.since, total: afterHoursLog.calls.length, calls });
+});
+
+// -------------------- Callback API --------------------
+// GET /api/callbacks?status=open|closed|all (default open), oldest first
+app.get("/api/callbacks", withPortal, (req, res) => {
+  const { callbacks } = req.portal;
+  const status = String(req.query.status || "open").toLowerCase();
+  const list = status === "all" ? callbacks : callbacks.filter((c) => c.status === status);
+  const full = hasAdminToken(req);
+  res.json({
+    ok: true,
+    masked: !full,
+    ...summarizeCallbacks(req.portal, getCurrentDate()),
+    callbacks: list
+      .map((c) => ({ ...c, phone: describePhone(c.number) }))
+      .map((c) => (full ? c : maskCallback(c)))
+  });
+});
+
+// Body: { agentId, name? } — empty agentId unassigns
+app.post("/api/callbacks/:id/assign", requireAdmin, withPortal, (req, res) => {
+  const portal = req.portal;
+  const entry = portal.callbacks.find((c) => c.id === req.params.id);
+  if (!entry) return res.status(404).json({ ok: false, error: "Not found" });
+  if (entry.status !== "open") return res.status(409).json({ ok: false, error: "Callback is already closed" });
+
+  const agentId = String(req.body?.agentId || "").trim();
+  if (agentId) {
+    const agent = portal.agents.get(agentId);
+    entry.assignedTo = { agentId, name: String(req.body?.name || (agent && agent.name) || `Agent ${agentId}`) };
+    entry.assignedAt = new Date().toISOString();
+  } else {
+    entry.assignedTo = null;
+    entry.assignedAt = null;
+  }
+
+  saveCallbacks(portal);
+  scheduleBroadcast(portal);
+  res.json({ ok: true, callback: entry });
+});
+
+// Body: { reason?, note?, closedBy? }
+app.post("/api/callbacks/:id/close", requireAdmin, withPortal, (req, res) => {
+  const portal = req.portal;
+  const entry = portal.callbacks.find((c) => c.id === req.params.id);
+  if (!entry) return res.status(404).json({ ok: false, error: "Not found" });
+  if (entry.status !== "open") return res.status(409).json({ ok: false, error: "Callback is already closed" });
+
+  closeCallback(entry, String(req.body?.reason || "manual"), req.body?.closedBy || "supervisor", String(req.body?.note || ""));
+  saveCallbacks(portal);
+  scheduleBroadcast(portal);
+  res.json({ ok: true, callback: entry });
+});
+
+// -------------------- Call History API --------------------
+// GET /api/calls?from=YYYY-MM-DD&to=YYYY-MM-DD&direction=IN|OUT&agent=&number=&line=&outcome=answered|missed|cancelled&page=&pageSize=
+// Without the admin token numbers are masked and searching by number is refused
+app.get("/api/calls", withPortal, (req, res) => {
+  const full = hasAdminToken(req);
+  if (!full && req.query.number) return res.status(401).json({ ok: false, error: "Admin token required to search by number" });
+  try {
+    const result = queryCallHistory(req.portal, req.query);
+    res.json({ ok: true, masked: !full, ...result, calls: full ? result.calls : result.calls.map(maskCall) });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+app.get("/debug/daily-stats", withPortal, (req, res) => {
+  const allStats = loadDailyStats(req.portal);
+  res.json({ ok: true, allStats });
+});
+
+// -------------------- Daily History API --------------------
+// GET /api/history?days=7|30|90 or ?from=YYYY-MM-DD&to=YYYY-MM-DD — daily rows, weekday averages, best/worst days, weekly and monthly totals
+app.get("/api/history", withPortal, (req, res) => {
+  try {
+    res.json({ ok: true, ...queryDailyHistory(req.portal, req.query) });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// -------------------- Event Journal API --------------------
+app.get("/api/admin/journal", requireAdmin, withPortal, (req, res) => {
+  res.json({ ok: true, retentionDays: JOURNAL_RETENTION_DAYS, days: listJournalDays(req.portal) });
+});
+
+// Body: { date: "YYYY-MM-DD", dryRun? } — dryRun returns the rebuilt entry without saving it
+app.post("/api/admin/journal/replay", requireAdmin, withPortal, (req, res) => {
+  try {
+    const date = String((req.body && req.body.date) || req.query.date || "");
+    const dryRun = !!(req.body && req.body.dryRun) || req.query.dryRun === "1";
+    res.json({ ok: true, ...replayJournal(req.portal, date, { dryRun }) });
+  } catch (e) {
+    res.status(e.status || 400).json({ ok: false, error: e.message });
+  }
+});
+
+// -------------------- Agent Stats API --------------------
+// GET /api/agents/:id/stats?from=YYYY-MM-DD&to=YYYY-MM-DD — one row per day plus range totals
+app.get("/api/agents/:id/stats", withPortal, (req, res) => {
+  try {
+    res.json({ ok: true, ...queryAgentStats(req.portal, req.params.id, req.query) });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// -------------------- Agent Presence API --------------------
+app.get("/api/agents/presence", withPortal, (req, res) => {
+  const now = Date.now();
+  res.json({
+    ok: true,
+    counts: countPresence(req.portal),
+    agents: Array.from(req.portal.agents.values()).map((a) => ({
+      agentId: a.agentId,
+      name: a.name,
+      ...describePresence(a, now),
+      totals: presenceTotals(a, now)
+    }))
+  });
+});
+
+// Body: { state: "available" | "break" | "offline" | "auto", reason?, by? } — "auto" clears the manual status
+app.post("/api/agents/:id/presence", requireAdmin, withPortal, (req, res) => {
+  const state = String(req.body?.state || "").trim().toLowerCase();
+  if (state !== "auto" && !MANUAL_PRESENCE_STATES.includes(state)) {
+    return res.status(400).json({ ok: false, error: `state must be one of ${MANUAL_PRESENCE_STATES.join(", ")} or auto` });
+  }
+  const agent = ensureAgent(req.portal, String(req.params.id), String(req.body?.name || ""));
+  setManualPresence(req.portal, agent, state, String(req.body?.reason || ""), String(req.body?.by || ""));
+  res.json({ ok: true, agentId: agent.agentId, presence: describePresence(agent, Date.now()) });
+});
+
+// GET /api/agents/:id/today — the drill-down page's data
+app.get("/api/agents/:id/today", withPortal, (req, res) => {
+  const day = buildAgentDay(req.portal, req.params.id);
+  if (!req.portal.agents.has(day.agentId) && !day.calls.length) {
+    return res.status(404).json({ ok: false, error: "Unknown agent" });
+  }
+  res.json({ ok: true, ...day });
+});
+
+// -------------------- HTML Generation --------------------
+// For values from the URL or payloads that end up in server-rendered markup
+function escapeHtml(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+function getWallboardHtml(portal, isYesterdayPage = false) {
+  const pngDateTime = formatLocalDateTime();
+  const currentDate = pngDateTime.date;
+  const currentTime = pngDateTime.time;
+  
+  if (isYesterdayPage) {
+    return getYesterdayStatsHtml(portal, currentDate, currentTime);
+  } else {
+    return getTodayWallboardHtml(portal, currentDate, currentTime);
+  }
+}
+
+function wallboardPath(portal) {
+  return portal.key === defaultPortalKey ? "/wallboard" : `/wallboard/${encodeURIComponent(portal.key)}`;
+}
+
+// Today/Yesterday/History tabs for the portal, plus a portal switcher once more than one portal is known.
+// activeTab is "today", "yesterday", "history" or "" (pages outside the tabs, e.g. an agent drill-down)
+function getNavTabsHtml(portal, activeTab) {
+  const base = wallboardPath(portal);
+  const suffix = activeTab === "yesterday" || activeTab === "history" ? `/${activeTab}` : "";
+  const switcher = portals.size > 1
+    ? `<select class="nav-tab portal-switch" onchange="location.href=this.value">${
+        listPortals().map((p) => {
+          const href = wallboardPath(p) + suffix;
+          return `<option value="${href}"${p.key === portal.key ? " selected" : ""}>${p.key}</option>`;
+        }).join("")
+      }</select>`
+    : "";
+
+  return `<div class="nav-tabs">
+        <a href="${base}" class="nav-tab${activeTab === "today" ? " active" : ""}">Today's Activity</a>
+        <a href="${base}/yesterday" class="nav-tab${activeTab === "yesterday" ? " active" : ""}">Yesterday's Stats</a>
+        <a href="${base}/history" class="nav-tab${activeTab === "history" ? " active" : ""}">History</a>
+        ${switcher}
+      </div>`;
+}
+
+function getTodayWallboardHtml(portal, currentDate, currentTime) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>Fincorp Contact Center Wallboard - Today</title>
+  <style>
+    :root{
+      --vodafone-red:#E60000;
+      --bg:#0b0f14;
+      --panel:#121923;
+      --panel2:#0f151e;
+      --text:#eaf0f7;
+      --muted:#9fb0c3;
+      --good:#2ecc71;
+      --bad:#ff4d4d;
+      --warn:#f6c343;
+      --border:rgba(255,255,255,.08);
+      --shadow: 0 12px 30px rgba(0,0,0,.35);
+      --radius: 16px;
+    }
+    *{box-sizing:border-box}
+    body{
+      margin:0;
+      font-family: ui-sans-serif,system-ui,-apple-system,"Segoe UI",Roboto,Arial;
+      color:var(--text);
+      background: radial-gradient(1200px 600px at 20% 0%, rgba(230,0,0,.12), transparent 60%),
+                  radial-gradient(1000px 500px at 100% 20%, rgba(0,170,255,.12), transparent 55%),
+                  var(--bg);
+    }
+    .topbar{
+      position:sticky; top:0; z-index:5;
+      background: linear-gradient(180deg, rgba(11,15,20,.95), rgba(11,15,20,.78));
+      backdrop-filter: blur(10px);
+      border-bottom:1px solid var(--border);
+      padding:12px 0;
+    }
+    .wrap{max-width:1280px; margin:0 auto; padding:0 18px;}
+    .brand{
+      display:flex; align-items:center; gap:12px; justify-content:space-between;
+    }
+    .brand-left{display:flex; align-items:center; gap:12px;}
+    .dot{
+      width:12px;height:12px;border-radius:50%;
+      background:var(--vodafone-red);
+      box-shadow:0 0 0 6px rgba(230,0,0,.12);
+    }
+    h1{margin:0; font-size:18px; letter-spacing:.2px}
+    .sub{margin:2px 0 0; color:var(--muted); font-size:12px}
+    .date-time{
+      display:flex; align-items:center; gap:20px; font-size:12px; color:var(--muted);
+    }
+    .date, .time{display:flex; align-items:center; gap:6px;}
+    .date:before{content:"📅";}
+    .time:before{content:"🕒";}
+    .status{
+      display:flex; align-items:center; gap:10px; font-size:12px; color:var(--muted);
+      padding:8px 10px; border:1px solid var(--border); border-radius:999px;
+      background: rgba(18,25,35,.55);
+    }
+    .badge{
+      width:10px;height:10px;border-radius:50%;
+      background:var(--warn);
+      box-shadow:0 0 0 6px rgba(246,195,67,.10);
+    }
+    .nav-tabs{
+      display:flex; gap:8px; margin-top:12px;
+    }
+    .nav-tab{
+      padding:8px 16px; border:1px solid var(--border);
+      border-radius:8px; background:rgba(18,25,35,.55);
+      color:var(--muted); text-decoration:none; font-size:12px;
+      transition:all 0.2s;
+    }
+    .nav-tab:hover{
+      background:rgba(30,40,55,.7); color:var(--text);
+    }
+    .nav-tab.active{
+      background:var(--vodafone-red); color:white; border-color:var(--vodafone-red);
+    }
+    .portal-switch{
+      margin-left:auto; cursor:pointer;
+    }
+    .work-hours{
+      padding:8px 12px; background:rgba(46,204,113,.1);
+      border:1px solid rgba(46,204,113,.3); border-radius:8px;
+      font-size:11px; color:#2ecc71; margin-left:auto;
+    }
+    .work-hours.closed{
+      background:rgba(255,77,77,.1); border-color:rgba(255,77,77,.3);
+      color:#ff4d4d;
+    }
+    .timezone{
+      font-size:10px; color:var(--muted); opacity:0.7;
+      margin-left:4px;
+    }
+
+    .grid{
+      display:grid;
+      grid-template-columns: 1fr;
+      gap:14px;
+      padding:18px;
+      max-width:1280px;
+      margin:0 auto;
+    }
+    @media(min-width:900px){
+      .grid{grid-template-columns: 1.1fr .9fr;}
+    }
+
+    .card{
+      background: linear-gradient(180deg, rgba(18,25,35,.92), rgba(15,21,30,.85));
+      border:1px solid var(--border);
+      border-radius: var(--radius);
+      box-shadow: var(--shadow);
+      overflow:hidden;
+    }
+    .card-h{
+      padding:14px 16px;
+      border-bottom:1px solid var(--border);
+      display:flex; justify-content:space-between; align-items:center;
+    }
+    .card-h strong{font-size:13px; letter-spacing:.2px}
+    .pill{
+      font-size:11px; color:var(--muted);
+      border:1px solid var(--border);
+      padding:6px 10px; border-radius:999px;
+      background: rgba(0,0,0,.15);
+    }
+    .content{padding:14px 16px;}
+
+    .kpis{
+      display:grid;
+      grid-template-columns: repeat(2, 1fr);
+      gap:12px;
+    }
+    @media(min-width:600px){
+      .kpis{grid-template-columns: repeat(4, 1fr);}
+    }
+    .kpi{
+      padding:12px;
+      border:1px solid var(--border);
+      border-radius: 14px;
+      background: rgba(0,0,0,.12);
+    }
+    .kpi .label{color:var(--muted); font-size:11px}
+    .kpi .val{font-size:26px; font-weight:700; margin-top:6px}
+    .kpi .meta{color:var(--muted); font-size:11px; margin-top:6px}
+    .kpi.red .val{color:var(--vodafone-red)}
+    .kpi.good .val{color:var(--good)}
+
+    .row{
+      display:grid;
+      grid-template-columns: 1fr;
+      gap:12px;
+      margin-top:12px;
+    }
+    @media(min-width:900px){
+      .row{grid-template-columns: 1fr 1fr;}
+    }
+
+    table{
+      width:100%;
+      border-collapse:collapse;
+      font-size:12px;
+    }
+    th, td{
+      padding:10px 10px;
+      border-bottom:1px solid var(--border);
+      text-align:left;
+      color: var(--text);
+    }
+    th{color:var(--muted); font-weight:600; font-size:11px; letter-spacing:.2px}
+    .small{font-size:11px; color:var(--muted)}
+    .tag{
+      display:inline-flex; align-items:center; gap:6px;
+      padding:6px 10px; border-radius:999px;
+      border:1px solid var(--border);
+      background: rgba(0,0,0,.12);
+      font-size:11px;
+      color: var(--muted);
+    }
+    .tag .b{width:8px;height:8px;border-radius:50%;}
+    .b.good{background:var(--good)}
+    .b.bad{background:var(--bad)}
+    .b.warn{background:var(--warn)}
+    .b.off{background:var(--muted)}
+    .footer{
+      max-width:1280px; margin:0 auto; padding:0 18px 24px;
+      color:var(--muted); font-size:11px;
+    }
+    .muted{color:var(--muted)}
+    .agent-cell{display:flex; align-items:center; gap:10px}
+    .crm-link{color:var(--text); text-decoration:none; border-bottom:1px dotted var(--muted)}
+    .crm-link:hover{border-bottom-color:var(--text)}
+    .avatar{
+      width:30px; height:30px; border-radius:50%; flex:none; object-fit:cover;
+      display:inline-flex; align-items:center; justify-content:center;
+      background:rgba(30,40,55,.9); border:1px solid var(--border);
+      font-size:11px; font-weight:700; color:var(--muted);
+    }
+    .line-filter{cursor:pointer; color:var(--text); font:inherit; font-size:11px}
+    .line-filter option{background:var(--panel); color:var(--text)}
+    tr.selected td{background:rgba(230,0,0,.08)}
+    th[data-sort]{cursor:pointer; user-select:none}
+    th[data-sort]:hover, th.sorted{color:var(--text)}
+    .mono{font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace;}
+  </style>
+</head>
+<body>
+  <div class="topbar">
+    <div class="wrap">
+      <div class="brand">
+        <div class="brand-left">
+          <div class="dot"></div>
+          <div>
+            <h1>Fincorp Contact Center Wallboard</h1>
+            <div class="sub">${portals.size > 1 ? `${portal.key} • ` : ""}Live call activity • Live push • Working Hours: ${describeTodayHours()} (${getTimezoneLabel()})</div>
+          </div>
+        </div>
+        <div class="date-time">
+          <div class="date" id="currentDate">${currentDate}</div>
+          <div class="time" id="currentTime">${currentTime} <span class="timezone">${getTimezoneLabel()}</span></div>
+          <div class="status">
+            <span class="badge" id="badge"></span>
+            <span id="connText">Connecting…</span>
+            <span class="mono" id="lastTs"></span>
+          </div>
+          <div class="work-hours" id="workHoursStatus"></div>
+        </div>
+      </div>
+      
+      ${getNavTabsHtml(portal, "today")}
+    </div>
+  </div>
+
+  <div class="grid">
+    <div class="card">
+      <div class="card-h">
+        <strong id="metricsTitle">Today's Call Metrics</strong>
+        <div style="display:flex; gap:8px; align-items:center;">
+          <select class="pill line-filter" id="lineFilter" title="Show one line only">
+            <option value="">All lines</option>
+          </select>
+          <span class="pill" id="todayDate"></span>
+        </div>
+      </div>
+      <div class="content">
+        <div class="kpis">
+          <div class="kpi">
+            <div class="label">Inbound • In Progress</div>
+            <div class="val" id="inProg">0</div>
+            <div class="meta">Current active inbound calls</div>
+          </div>
+          <div class="kpi good">
+            <div class="label">Inbound • Answered</div>
+            <div class="val" id="inAns">0</div>
+            <div class="meta">Answered inbound calls today</div>
+          </div>
+          <div class="kpi red">
+            <div class="label">Inbound • Missed</div>
+            <div class="val" id="inMiss">0</div>
+            <div class="meta">Missed inbound calls today</div>
+          </div>
+          <div class="kpi red">
+            <div class="label">Missed/Dropped/Abandoned</div>
+            <div class="val" id="mda">0</div>
+            <div class="meta" id="mdaBreakdown">All missed-type totals today</div>
+          </div>
+        </div>
+
+        <div class="row">
+          <div class="kpi">
+            <div class="label">Outbound • In Progress</div>
+            <div class="val" id="outProg">0</div>
+            <div class="meta">Current active outbound calls</div>
+          </div>
+          <div class="kpi">
+            <div class="label">Outbound • Answered</div>
+            <div class="val" id="outAns">0</div>
+            <div class="meta">Answered outbound calls today</div>
+          </div>
+          <div class="kpi">
+            <div class="label">Outbound • Cancelled</div>
+            <div class="val" id="outCan">0</div>
+            <div class="meta">Cancelled outbound calls today</div>
+          </div>
+          <div class="kpi">
+            <div class="label">Portals Stored</div>
+            <div class="val" id="portals">0</div>
+            <div class="meta">Install tokens stored</div>
+          </div>
+        </div>
+
+        <div class="row">
+          <div class="kpi">
+            <div class="label">Avg Speed of Answer</div>
+            <div class="val" id="asa">0m 00s</div>
+            <div class="meta">Inbound ring time before answer</div>
+          </div>
+          <div class="kpi">
+            <div class="label">Avg Handle Time</div>
+            <div class="val" id="aht">0m 00s</div>
+            <div class="meta">Talk + after-call work per call</div>
+          </div>
+          <div class="kpi">
+            <div class="label">Longest Wait</div>
+            <div class="val" id="longestWait">0m 00s</div>
+            <div class="meta">Longest inbound wait today</div>
+          </div>
+          <div class="kpi">
+            <div class="label">Total Talk Time</div>
+            <div class="val" id="talkTime">0m 00s</div>
+            <div class="meta">All answered calls today</div>
+          </div>
+        </div>
+
+        <div class="row">
+          <div class="kpi good">
+            <div class="label" id="slLabel">Service Level</div>
+            <div class="val" id="sl">—</div>
+            <div class="meta" id="slMeta">No inbound calls yet</div>
+          </div>
+          <div class="kpi">
+            <div class="label">Short Abandons</div>
+            <div class="val" id="shortAbandons">0</div>
+            <div class="meta" id="shortAbandonsMeta">Excluded from service level</div>
+          </div>
+          <div class="kpi red">
+            <div class="label">Callbacks Pending</div>
+            <div class="val" id="cbOpen">0</div>
+            <div class="meta" id="cbMeta">Missed callers not yet reached</div>
+          </div>
+          <div class="kpi">
+            <div class="label">After-Hours (Today)</div>
+            <div class="val" id="ahToday">0</div>
+            <div class="meta" id="ahMeta">Calls while closed</div>
+          </div>
+        </div>
+
+        <div class="row">
+          <div class="kpi good">
+            <div class="label">Agents Available</div>
+            <div class="val" id="agentsAvailable">0</div>
+            <div class="meta">Ready for the next call</div>
+          </div>
+          <div class="kpi">
+            <div class="label">Agents On Call</div>
+            <div class="val" id="agentsOnCall">0</div>
+            <div class="meta" id="agentsOnCallMeta">0 ringing • 0 in wrap-up</div>
+          </div>
+          <div class="kpi red">
+            <div class="label">Agents On Break</div>
+            <div class="val" id="agentsOnBreak">0</div>
+            <div class="meta">Paused work day or manual break</div>
+          </div>
+          <div class="kpi">
+            <div class="label">Agents Offline</div>
+            <div class="val" id="agentsOffline">0</div>
+            <div class="meta">Work day closed or not started</div>
+          </div>
+        </div>
+
+        <div style="margin-top:12px" class="small">
+          <span class="tag"><span class="b good"></span>Healthy</span>
+          <span class="tag"><span class="b warn"></span>Connecting</span>
+          <span class="tag"><span class="b bad"></span>Offline</span>
+          <span class="muted"> • Tip: Keep this tab open on a TV/monitor for a live wallboard.</span>
+          <span class="muted" id="restoreInfo"></span>
+        </div>
+      </div>
+    </div>
+
+    <div class="card">
+      <div class="card-h">
+        <strong>Live View</strong>
+        <span class="pill" id="liveCount">0 live calls</span>
+      </div>
+      <div class="content">
+        <div style="display:flex; justify-content:space-between; margin-bottom:8px;">
+          <div class="small">Calls in progress (if you're tracking live calls)</div>
+          <div class="small"><span id="staleInfo"></span> <span class="mono" id="uptime"></span></div>
+        </div>
+        <table>
+          <thead>
+            <tr>
+              <th>Direction</th>
+              <th>Caller / From</th>
+              <th>To</th>
+              <th>Agent</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody id="callsBody">
+            <tr><td colspan="5" class="small muted">No active calls</td></tr>
+          </tbody>
+        </table>
+
+        <div style="height:12px"></div>
+
+        <div class="small" style="margin-bottom:8px;">Agents (if you're tracking agents)</div>
+        <table>
+          <thead>
+            <tr>
+              <th>Agent</th>
+              <th>Status</th>
+              <th>Inbound Missed</th>
+              <th>Outbound Missed</th>
+            </tr>
+          </thead>
+          <tbody id="agentsBody">
+            <tr><td colspan="4" class="small muted">No agent data</td></tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+
+    <div class="card" style="grid-column:1/-1">
+      <div class="card-h">
+        <strong>By Line</strong>
+        <span class="pill" id="linesCount">0 lines</span>
+      </div>
+      <div class="content">
+        <table>
+          <thead>
+            <tr>
+              <th>Line</th>
+              <th>In Progress</th>
+              <th>Answered</th>
+              <th>Missed</th>
+              <th>Outbound</th>
+              <th>ASA</th>
+              <th>Abandon</th>
+              <th>Service Level</th>
+            </tr>
+          </thead>
+          <tbody id="linesBody">
+            <tr><td colspan="8" class="small muted">No calls on any line yet</td></tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+
+    <div class="card" style="grid-column:1/-1">
+      <div class="card-h">
+        <strong>Agent Leaderboard</strong>
+        <span class="pill" id="leaderCount">0 agents</span>
+      </div>
+      <div class="content">
+        <table>
+          <thead>
+            <tr id="leaderHead">
+              <th>#</th>
+              <th data-sort="name">Agent</th>
+              <th data-sort="inboundHandled">Inbound</th>
+              <th data-sort="outboundMade">Outbound Made</th>
+              <th data-sort="outboundAnswered">Outbound Answered</th>
+              <th data-sort="missedCalls">Missed</th>
+              <th data-sort="talkSeconds">Talk Time</th>
+              <th data-sort="ahtSeconds">AHT</th>
+              <th data-sort="longestCallSeconds">Longest Call</th>
+            </tr>
+          </thead>
+          <tbody id="leaderBody">
+            <tr><td colspan="9" class="small muted">No agent activity today</td></tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+
+    <div class="card" style="grid-column:1/-1">
+      <div class="card-h">
+        <strong>Callbacks Pending</strong>
+        <span class="pill" id="cbCount">0 open</span>
+      </div>
+      <div class="content">
+        <table>
+          <thead>
+            <tr>
+              <th>Caller</th>
+              <th>Missed Calls</th>
+              <th>Waiting</th>
+              <th>Attempts</th>
+              <th>Assigned</th>
+            </tr>
+          </thead>
+          <tbody id="cbBody">
+            <tr><td colspan="5" class="small muted">No callbacks pending</td></tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+
+    <div class="card" style="grid-column:1/-1; display:none" id="afterHoursCard">
+      <div class="card-h">
+        <strong>Since Close</strong>
+        <span class="pill" id="afterHoursCount">0 calls</span>
+      </div>
+      <div class="content">
+        <div class="small" style="margin-bottom:8px;" id="afterHoursSince">Calls received while the centre was closed — work these first</div>
+        <table>
+          <thead>
+            <tr>
+              <th>Received</th>
+              <th>Caller / From</th>
+              <th>To</th>
+              <th>Result</th>
+            </tr>
+          </thead>
+          <tbody id="afterHoursBody"></tbody>
+        </table>
+      </div>
+    </div>
+
+    <div class="card" style="grid-column:1/-1">
+      <div class="card-h">
+        <strong>Recent Calls</strong>
+        <span class="pill" id="recentCount">0 calls today</span>
+      </div>
+      <div class="content">
+        <table>
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Direction</th>
+              <th>Caller / From</th>
+              <th>To</th>
+              <th>Agent</th>
+              <th>Outcome</th>
+              <th>Duration</th>
+            </tr>
+          </thead>
+          <tbody id="recentBody">
+            <tr><td colspan="7" class="small muted">No finished calls yet today</td></tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  </div>
+
+  <div class="footer">
+    <div>Backend: <span class="mono">/health</span>, <span class="mono">/debug/state</span>, <span class="mono">/api/calls</span>, <span class="mono">/bitrix/events</span>, <span class="mono">ws:/ws</span></div>
+  </div>
+
+<script>
+  const PORTAL = ${JSON.stringify(portal.key)};
+  const AGENT_PAGE = ${JSON.stringify(wallboardPath(portal) + "/agent/")};
+  const els = {
+    badge: document.getElementById("badge"),
+    connText: document.getElementById("connText"),
+    lastTs: document.getElementById("lastTs"),
+    currentDate: document.getElementById("currentDate"),
+    currentTime: document.getElementById("currentTime"),
+    workHoursStatus: document.getElementById("workHoursStatus"),
+    todayDate: document.getElementById("todayDate"),
+    metricsTitle: document.getElementById("metricsTitle"),
+    lineFilter: document.getElementById("lineFilter"),
+    linesBody: document.getElementById("linesBody"),
+    linesCount: document.getElementById("linesCount"),
+    leaderHead: document.getElementById("leaderHead"),
+    leaderBody: document.getElementById("leaderBody"),
+    leaderCount: document.getElementById("leaderCount"),
+    portals: document.getElementById("portals"),
+    inProg: document.getElementById("inProg"),
+    inAns: document.getElementById("inAns"),
+    inMiss: document.getElementById("inMiss"),
+    outProg: document.getElementById("outProg"),
+    outAns: document.getElementById("outAns"),
+    outCan: document.getElementById("outCan"),
+    mda: document.getElementById("mda"),
+    asa: document.getElementById("asa"),
+    aht: document.getElementById("aht"),
+    longestWait: document.getElementById("longestWait"),
+    talkTime: document.getElementById("talkTime"),
+    mdaBreakdown: document.getElementById("mdaBreakdown"),
+    slLabel: document.getElementById("slLabel"),
+    sl: document.getElementById("sl"),
+    slMeta: document.getElementById("slMeta"),
+    shortAbandons: document.getElementById("shortAbandons"),
+    shortAbandonsMeta: document.getElementById("shortAbandonsMeta"),
+    callsBody: document.getElementById("callsBody"),
+    agentsBody: document.getElementById("agentsBody"),
+    liveCount: document.getElementById("liveCount"),
+    recentBody: document.getElementById("recentBody"),
+    afterHoursCard: document.getElementById("afterHoursCard"),
+    cbOpen: document.getElementById("cbOpen"),
+    cbMeta: document.getElementById("cbMeta"),
+    cbCount: document.getElementById("cbCount"),
+    cbBody: document.getElementById("cbBody"),
+    ahToday: document.getElementById("ahToday"),
+    ahMeta: document.getElementById("ahMeta"),
+    agentsAvailable: document.getElementById("agentsAvailable"),
+    agentsOnCall: document.getElementById("agentsOnCall"),
+    agentsOnCallMeta: document.getElementById("agentsOnCallMeta"),
+    agentsOnBreak: document.getElementById("agentsOnBreak"),
+    agentsOffline: document.getElementById("agentsOffline"),
+    afterHoursCount: document.getElementById("afterHoursCount"),
+    afterHoursSince: document.getElementById("afterHoursSince"),
+    afterHoursBody: document.getElementById("afterHoursBody"),
+    recentCount: document.getElementById("recentCount"),
+    uptime: document.getElementById("uptime"),
+    staleInfo: document.getElementById("staleInfo"),
+    restoreInfo: document.getElementById("restoreInfo")
+  };
+
+  let lastOk = 0;
+  let startedAt = Date.now();
+  let state = {};
+  let clockOffset = 0;
+  let retries = 0;
+  // ?line=<key> pins the board to one line (e.g. a TV in the collections team)
+  let selectedLine = new URLSearchParams(location.search).get("line") || "";
+  let leaderSort = { key: "inboundHandled", desc: true };
+
+  function setStatus(mode, text){
+    els.connText.textContent = text;
+    if(mode === "good"){
+      els.badge.style.background = "var(--good)";
+      els.badge.style.boxShadow = "0 0 0 6px rgba(46,204,113,.10)";
+    } else if(mode === "bad"){
+      els.badge.style.background = "var(--bad)";
+      els.badge.style.boxShadow = "0 0 0 6px rgba(255,77,77,.10)";
+    } else {
+      els.badge.style.background = "var(--warn)";
+      els.badge.style.boxShadow = "0 0 0 6px rgba(246,195,67,.10)";
+    }
+  }
+
+  function fmtUptime(ms){
+    const s = Math.floor(ms/1000);
+    const h = Math.floor(s/3600);
+    const m = Math.floor((s%3600)/60);
+    const ss = s%60;
+    return \`Uptime: \${h}h \${m}m \${ss}s\`;
+  }
+
+  function safeText(v){ return (v === undefined || v === null) ? "" : String(v); }
+  function escapeHtml(v){
+    return safeText(v).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+  }
+
+  // Number plus CRM identity: linked name and company, or a "New caller" tag when the CRM has no match.
+  // phone is the server's describePhone(): national format for local numbers, international otherwise.
+  function callerCell(number, caller, extra, phone){
+    const shown = phone ? phone.display : (number || "Unknown");
+    const num = phone && phone.international
+      ? \`<span title="\${escapeHtml(phone.international)}">\${escapeHtml(shown)}</span>\`
+      : (phone && phone.hidden ? \`<span class="muted">\${escapeHtml(shown)}</span>\` : escapeHtml(shown));
+    if(caller && caller.found){
+      const meta = [caller.company ? escapeHtml(caller.company) : "", num].filter(Boolean).join(" • ");
+      return \`<div><a class="crm-link" href="\${escapeHtml(caller.url)}" target="_blank" rel="noopener">\${escapeHtml(caller.name)}</a>\${extra || ""}</div><div class="small">\${meta}</div>\`;
+    }
+    const tag = caller && caller.found === false ? ' <span class="tag"><span class="b good"></span>New caller</span>' : "";
+    return num + tag + (extra || "");
+  }
+
+  function updateDateTime(){
+    const clock = state.clock || {};
+    if(!clock.timezone) return;
+    const now = new Date(Date.now() + clockOffset);
+    els.currentTime.textContent = now.toLocaleTimeString("en-AU", {
+      timeZone: clock.timezone, hour: "2-digit", minute: "2-digit", second: "2-digit", hour12: false
+    });
+  }
+
+  function renderCalls(liveCalls){
+    const calls = (Array.isArray(liveCalls) ? liveCalls : []).filter(c => !selectedLine || c.line === selectedLine);
+    els.liveCount.textContent = calls.length + " live calls";
+    if(!calls.length){
+      els.callsBody.innerHTML = '<tr><td colspan="5" class="small muted">No active calls</td></tr>';
+      return;
+    }
+    els.callsBody.innerHTML = calls.map(c => {
+      const dir = escapeHtml(c.direction || c.dir || "");
+      const repeat = c.repeatCount ? \` <span class="tag" title="\${c.repeatCount} earlier call(s) in the repeat window"><span class="b warn"></span>Repeat ×\${c.repeatCount + 1}</span>\` : "";
+      const from = callerCell(c.from || c.CALLER, c.caller, repeat, c.fromPhone);
+      const to = escapeHtml(c.lineName || c.to || c.destination || c.TO || "Unknown");
+      const agent = escapeHtml(c.agentName || c.agent || \`Agent \${c.agentId}\` || "No agent");
+      const st = escapeHtml(c.status || c.state || "");
+      return \`<tr>
+        <td>\${dir}</td>
+        <td>\${from}</td>
+        <td>\${to}</td>
+        <td>\${agent}</td>
+        <td>\${st}</td>
+      </tr>\`;
+    }).join("");
+  }
+
+  function fmtClock(iso){
+    if(!iso) return "";
+    const clock = state.clock || {};
+    return new Date(iso).toLocaleTimeString("en-AU", {
+      timeZone: clock.timezone || undefined, hour: "2-digit", minute: "2-digit", hour12: false
+    });
+  }
+
+  function fmtDuration(sec){
+    sec = Math.max(0, Math.round(sec || 0));
+    const m = Math.floor(sec / 60);
+    const ss = sec % 60;
+    return m + "m " + String(ss).padStart(2, "0") + "s";
+  }
+
+  function fmtHours(sec){
+    sec = Math.max(0, Math.round(sec || 0));
+    if(sec < 3600) return fmtDuration(sec);
+    return Math.floor(sec / 3600) + "h " + String(Math.floor((sec % 3600) / 60)).padStart(2, "0") + "m";
+  }
+
+  function renderRecentCalls(result){
+    const calls = (result && result.calls) || [];
+    els.recentCount.textContent = (result && result.total || 0) + " calls today";
+    if(!calls.length){
+      els.recentBody.innerHTML = '<tr><td colspan="7" class="small muted">No finished calls yet today</td></tr>';
+      return;
+    }
+    els.recentBody.innerHTML = calls.map(c => {
+      const talk = c.talkSeconds ?? (c.answeredAt ? (Date.parse(c.endedAt) - Date.parse(c.answeredAt)) / 1000 : 0);
+      const dot = c.outcome === "answered" ? "good" : c.outcome === "unknown" ? "warn" : "bad";
+      return \`<tr>
+        <td class="mono">\${fmtClock(c.startedAt)}</td>
+        <td>\${escapeHtml(c.direction)}</td>
+        <td>\${callerCell(c.from, c.caller, "", c.fromPhone)}</td>
+        <td>\${escapeHtml(c.lineName || c.to || "Unknown")}</td>
+        <td>\${escapeHtml(c.agentName || (c.agentId ? "Agent " + c.agentId : "—"))}</td>
+        <td><span class="tag"><span class="b \${dot}"></span>\${escapeHtml(c.outcome)}</span></td>
+        <td class="mono">\${c.answeredAt && c.talkSeconds !== null ? fmtDuration(talk) : "—"}</td>
+      </tr>\`;
+    }).join("");
+  }
+
+  function fmtAge(iso){
+    const s = Math.max(0, Math.floor((Date.now() + clockOffset - Date.parse(iso)) / 1000));
+    if(s < 3600) return Math.floor(s / 60) + "m";
+    if(s < 86400) return Math.floor(s / 3600) + "h " + Math.floor((s % 3600) / 60) + "m";
+    return Math.floor(s / 86400) + "d " + Math.floor((s % 86400) / 3600) + "h";
+  }
+
+  function renderCallbacks(cb){
+    cb = cb || {};
+    const items = cb.items || [];
+    els.cbOpen.textContent = safeText(cb.open || 0);
+    els.cbMeta.textContent = (cb.closedToday || 0) + " closed today • " + (cb.openedToday || 0) + " new today";
+    els.cbCount.textContent = (cb.open || 0) + " open";
+    if(!items.length){
+      els.cbBody.innerHTML = '<tr><td colspan="5" class="small muted">No callbacks pending</td></tr>';
+      return;
+    }
+    els.cbBody.innerHTML = items.map(c => \`<tr>
+        <td>\${callerCell(c.number, c.caller, "", c.phone)}</td>
+        <td>\${escapeHtml(c.missedCalls || 0)}</td>
+        <td>\${fmtAge(c.createdAt)}</td>
+        <td>\${escapeHtml(c.attempts || 0)}</td>
+        <td>\${escapeHtml(c.assignedTo ? c.assignedTo.name : "—")}</td>
+      </tr>\`).join("");
+  }
+
+  function renderAfterHours(ah){
+    const calls = (ah && ah.calls) || [];
+    els.afterHoursCard.style.display = calls.length ? "" : "none";
+    if(!calls.length) return;
+
+    const total = ah.total || calls.length;
+    els.afterHoursCount.textContent = total + (total === 1 ? " call" : " calls") +
+      (total > calls.length ? " (latest " + calls.length + " shown)" : "");
+    els.afterHoursSince.textContent = ah.since
+      ? "Calls received since the centre closed at " + fmtClock(ah.since) + " on " + new Date(ah.since).toLocaleDateString("en-AU", { timeZone: (state.clock || {}).timezone || undefined, weekday: "short", day: "numeric", month: "short" }) + " — work these first"
+      : "Calls received while the centre was closed — work these first";
+    els.afterHoursBody.innerHTML = calls.map(c => {
+      const result = c.answered ? '<span class="tag"><span class="b good"></span>Answered</span>'
+        : c.ended ? '<span class="tag"><span class="b bad"></span>Unanswered</span>'
+        : '<span class="tag"><span class="b warn"></span>In progress</span>';
+      return \`<tr>
+        <td class="mono">\${fmtClock(c.at)}</td>
+        <td>\${callerCell(c.from, c.caller, "", c.fromPhone)}</td>
+        <td>\${escapeHtml(c.to || "")}</td>
+        <td>\${result}</td>
+      </tr>\`;
+    }).join("");
+  }
+
+  let recentTimer = null;
+  function loadRecentCalls(){
+    // A finished call leaves liveCalls, so refetch on those pushes (debounced)
+    clearTimeout(recentTimer);
+    recentTimer = setTimeout(async () => {
+      try{
+        const line = selectedLine ? "&line=" + encodeURIComponent(selectedLine) : "";
+        const r = await fetch("/api/calls?pageSize=15&portal=" + encodeURIComponent(PORTAL) + line, { cache: "no-store" });
+        if(!r.ok) throw new Error("HTTP " + r.status);
+        renderRecentCalls(await r.json());
+      } catch(e){
+        console.error("Failed to load recent calls:", e);
+      }
+    }, 300);
+  }
+
+  const PRESENCE_DOTS = { available: "good", ringing: "warn", on_call: "bad", wrap_up: "warn", break: "warn", offline: "off" };
+
+  // Time in the current presence state, ticking between pushes
+  function updateSinceTimers(){
+    const now = Date.now() + clockOffset;
+    for(const el of document.querySelectorAll("[data-since]")){
+      el.textContent = fmtHours((now - Number(el.dataset.since)) / 1000);
+    }
+  }
+
+  function renderAgents(agents){
+    const a = Array.isArray(agents) ? agents : [];
+    if(!a.length){
+      els.agentsBody.innerHTML = '<tr><td colspan="4" class="small muted">No agent data</td></tr>';
+      return;
+    }
+    els.agentsBody.innerHTML = a.map(x => {
+      const rawName = safeText(x.name || x.agentName || \`Agent \${x.agentId}\` || x.id || "");
+      const name = escapeHtml(rawName);
+      const initials = escapeHtml(rawName.split(/\\s+/).filter(Boolean).slice(0, 2).map(w => w[0]).join("").toUpperCase());
+      const avatar = x.photo
+        ? \`<img class="avatar" src="\${escapeHtml(x.photo)}" alt="" loading="lazy">\`
+        : \`<span class="avatar">\${initials}</span>\`;
+      const meta = [x.position, x.department].filter(Boolean).map(escapeHtml).join(" • ");
+      const p = x.presence || { state: x.onCallNow ? "on_call" : "available", label: x.onCallNow ? "On Call" : "Available" };
+      const totals = (x.stats && x.stats.presenceSeconds) || {};
+      const dayMeta = ["available", "break"].filter(k => totals[k] >= 60)
+        .map(k => (k === "available" ? "Avail " : "Break ") + fmtHours(totals[k])).join(" • ");
+      const status = \`<span class="tag" title="\${escapeHtml(p.reason || p.source || "")}"><span class="b \${PRESENCE_DOTS[p.state] || "warn"}"></span>\${escapeHtml(p.label)}</span>\` +
+        (p.since ? \` <span class="small mono" data-since="\${escapeHtml(p.since)}"></span>\` : "") +
+        (dayMeta ? \`<div class="small">\${dayMeta}</div>\` : "");
+      const inM = escapeHtml(x.inboundMissed || 0);
+      const outM = escapeHtml(x.outboundMissed || 0);
+      return \`<tr>
+        <td><div class="agent-cell">\${avatar}<div><div><a class="crm-link" href="\${AGENT_PAGE + encodeURIComponent(x.agentId)}">\${name}</a></div>\${meta ? \`<div class="small">\${meta}</div>\` : ""}</div></div></td>
+        <td>\${status}</td>
+        <td>\${inM}</td>
+        <td>\${outM}</td>
+      </tr>\`;
+    }).join("");
+  }
+
+  function fmtPercent(v){ return v === null || v === undefined ? "—" : v + "%"; }
+
+  function renderLines(lines){
+    const options = ['<option value="">All lines</option>'].concat(lines.map(l =>
+      \`<option value="\${escapeHtml(l.key)}">\${escapeHtml(l.name)}</option>\`));
+    if(selectedLine && !lines.some(l => l.key === selectedLine)){
+      options.push(\`<option value="\${escapeHtml(selectedLine)}">\${escapeHtml(selectedLine)}</option>\`);
+    }
+    const html = options.join("");
+    if(els.lineFilter.dataset.html !== html){
+      els.lineFilter.innerHTML = html;
+      els.lineFilter.dataset.html = html;
+    }
+    els.lineFilter.value = selectedLine;
+
+    els.linesCount.textContent = lines.length + (lines.length === 1 ? " line" : " lines");
+    if(!lines.length){
+      els.linesBody.innerHTML = '<tr><td colspan="8" class="small muted">No calls on any line yet</td></tr>';
+      return;
+    }
+    els.linesBody.innerHTML = lines.map(l => {
+      const inc = l.incoming || {};
+      const out = l.outgoing || {};
+      const k = l.kpis || {};
+      const sl = l.serviceLevel || {};
+      return \`<tr class="\${l.key === selectedLine ? "selected" : ""}">
+        <td>\${escapeHtml(l.name)}\${l.name !== l.key ? \` <span class="small mono">\${escapeHtml(l.key)}</span>\` : ""}</td>
+        <td>\${(inc.inProgress || 0) + (out.inProgress || 0)}</td>
+        <td>\${inc.answered || 0}</td>
+        <td>\${inc.missed || 0}</td>
+        <td>\${out.answered || 0} / \${out.cancelled || 0} <span class="small">ans / canc</span></td>
+        <td class="mono">\${fmtDuration(k.asaSeconds)}</td>
+        <td>\${fmtPercent(l.abandonRate)}</td>
+        <td>\${fmtPercent(sl.percent)}</td>
+      </tr>\`;
+    }).join("");
+  }
+
+  function renderLeaderboard(agents){
+    const rows = (Array.isArray(agents) ? agents : [])
+      .map(a => ({ ...(a.stats || {}), name: a.name || ("Agent " + a.agentId) }))
+      .filter(a => a.handledCalls || a.missedCalls || a.outboundMade);
+    const { key, desc } = leaderSort;
+    rows.sort((a, b) => {
+      const cmp = key === "name" ? safeText(a.name).localeCompare(safeText(b.name)) : (a[key] || 0) - (b[key] || 0);
+      return (desc ? -cmp : cmp) || (b.handledCalls || 0) - (a.handledCalls || 0);
+    });
+
+    for(const th of els.leaderHead.querySelectorAll("th[data-sort]")){
+      const sorted = th.dataset.sort === key;
+      th.classList.toggle("sorted", sorted);
+      th.textContent = th.textContent.replace(/ [▲▼]$/, "") + (sorted ? (desc ? " ▼" : " ▲") : "");
+    }
+
+    els.leaderCount.textContent = rows.length + (rows.length === 1 ? " agent" : " agents");
+    if(!rows.length){
+      els.leaderBody.innerHTML = '<tr><td colspan="9" class="small muted">No agent activity today</td></tr>';
+      return;
+    }
+    els.leaderBody.innerHTML = rows.map((a, i) => \`<tr>
+        <td>\${i + 1}</td>
+        <td><a class="crm-link" href="\${AGENT_PAGE + encodeURIComponent(a.agentId)}">\${escapeHtml(a.name)}</a></td>
+        <td>\${a.inboundHandled || 0}</td>
+        <td>\${a.outboundMade || 0}</td>
+        <td>\${a.outboundAnswered || 0}</td>
+        <td>\${a.missedCalls || 0}</td>
+        <td class="mono">\${fmtHours(a.talkSeconds)}</td>
+        <td class="mono">\${fmtDuration(a.ahtSeconds)}</td>
+        <td class="mono">\${fmtDuration(a.longestCallSeconds)}</td>
+      </tr>\`).join("");
+  }
+
+  function render(s){
+    const clock = s.clock || {};
+
+    // Update local date
+    if(clock.date) els.currentDate.textContent = clock.date;
+    updateDateTime();
+
+    // Update work hours status
+    els.workHoursStatus.textContent = clock.workHoursStatus || "";
+    if(clock.workHoursStatus && clock.workHoursStatus.includes("Closed")) {
+      els.workHoursStatus.classList.add("closed");
+      els.workHoursStatus.classList.remove("open");
+    } else {
+      els.workHoursStatus.classList.add("open");
+      els.workHoursStatus.classList.remove("closed");
+    }
+
+    // Update today's date
+    els.todayDate.textContent = "Today: " + (clock.currentDate || "");
+
+    // fill KPIs from daily metrics (or one line's share of them)
+    const lines = (s.metrics && s.metrics.lines) || [];
+    renderLines(lines);
+    const line = selectedLine ? lines.find(l => l.key === selectedLine) : null;
+    els.metricsTitle.textContent = selectedLine ? "Today's Call Metrics • " + (line ? line.name : selectedLine) : "Today's Call Metrics";
+    const m = selectedLine ? (line || {}) : (s.metrics || {});
+    const incoming = m.incoming || {};
+    const outgoing = m.outgoing || {};
+
+    els.portals.textContent = safeText(s.portalsStored ?? 0);
+    els.inProg.textContent = safeText(incoming.inProgress ?? 0);
+    els.inAns.textContent = safeText(incoming.answered ?? 0);
+    els.inMiss.textContent = safeText(incoming.missed ?? 0);
+    els.outProg.textContent = safeText(outgoing.inProgress ?? 0);
+    els.outAns.textContent = safeText(outgoing.answered ?? 0);
+    els.outCan.textContent = safeText(outgoing.cancelled ?? 0);
+    els.mda.textContent = safeText(m.missedDroppedAbandoned ?? 0);
+
+    const k = m.kpis || {};
+    els.asa.textContent = fmtDuration(k.asaSeconds);
+    els.aht.textContent = fmtDuration(k.ahtSeconds);
+    els.longestWait.textContent = fmtDuration(k.longestWaitSeconds);
+    els.talkTime.textContent = fmtHours(k.totalTalkSeconds);
+
+    const u = m.unanswered || {};
+    els.mdaBreakdown.textContent = "Abandoned " + (u.abandoned || 0) +
+      " • Missed ringing " + (u.missedRinging || 0) + " • Short " + (u.shortAbandoned || 0);
+
+    const sl = m.serviceLevel || {};
+    els.slLabel.textContent = "Service Level (" + (sl.thresholdSeconds ?? 20) + "s)";
+    els.sl.textContent = sl.percent === null || sl.percent === undefined ? "—" : sl.percent + "%";
+    els.slMeta.textContent = sl.offered
+      ? (sl.answeredWithin || 0) + " of " + sl.offered + " answered in time"
+      : "No inbound calls yet";
+    els.shortAbandons.textContent = safeText(u.shortAbandoned || 0);
+    els.shortAbandonsMeta.textContent = "Hung up within " + (sl.shortAbandonSeconds ?? 5) + "s • excluded from service level";
+
+    renderCalls(s.liveCalls || []);
+    renderAgents(s.agents || []);
+    renderLeaderboard(s.agents || []);
+    updateSinceTimers();
+
+    const pc = (s.metrics && s.metrics.presence) || {};
+    els.agentsAvailable.textContent = safeText(pc.available || 0);
+    els.agentsOnCall.textContent = safeText(pc.on_call || 0);
+    els.agentsOnCallMeta.textContent = (pc.ringing || 0) + " ringing • " + (pc.wrap_up || 0) + " in wrap-up";
+    els.agentsOnBreak.textContent = safeText(pc.break || 0);
+    els.agentsOffline.textContent = safeText(pc.offline || 0);
+    renderAfterHours(s.afterHours);
+    renderCallbacks(s.callbacks);
+
+    const sc = (s.metrics && s.metrics.staleCalls) || {};
+    els.staleInfo.textContent = sc.reconciled || sc.expired
+      ? "Stale calls closed today: " + (sc.reconciled || 0) + " reconciled • " + (sc.expired || 0) + " expired •"
+      : "";
+
+    // Numbers carried over a restart come from the last snapshot before it
+    const r = s.portal && s.portal.lastRestore;
+    els.restoreInfo.textContent = r
+      ? " • Data restored " + fmtClock(r.at) + " from snapshot taken " + fmtClock(r.savedAt) +
+        (r.rolledOver ? " (" + r.date + " moved to history)" : "")
+      : "";
+
+    const ahDay = m.afterHours || {};
+    els.ahToday.textContent = safeText(ahDay.total || 0);
+    els.ahMeta.textContent = (ahDay.missed || 0) + " unanswered • " + (ahDay.answered || 0) + " answered";
+  }
+
+  // Server pushes a full snapshot on connect ("init") and changed sections afterwards ("update")
+  function connect(){
+    setStatus("warn", retries ? "Reconnecting…" : "Connecting…");
+    const proto = location.protocol === "https:" ? "wss:" : "ws:";
+    const ws = new WebSocket(proto + "//" + location.host + "/ws?portal=" + encodeURIComponent(PORTAL));
+
+    ws.onopen = () => {
+      retries = 0;
+      setStatus("good", "Live");
+    };
+
+    ws.onmessage = (e) => {
+      let msg;
+      try { msg = JSON.parse(e.data); } catch(err){ return; }
+      if(msg.type === "init") state = {};
+      else if(msg.type !== "update") return;
+
+      const { type, serverTime, ...sections } = msg;
+      Object.assign(state, sections);
+      if(serverTime) clockOffset = serverTime - Date.now();
+      render(state);
+      if(type === "init" || sections.liveCalls) loadRecentCalls();
+
+      lastOk = Date.now();
+      els.lastTs.textContent = new Date().toLocaleTimeString();
+      setStatus("good", "Live");
+    };
+
+    ws.onerror = () => ws.close();
+
+    ws.onclose = () => {
+      // Exponential backoff with jitter, capped at 30s
+      const delay = Math.min(30000, 1000 * Math.pow(2, retries)) * (0.5 + Math.random() / 2);
+      retries += 1;
+      const age = Date.now() - lastOk;
+      setStatus("bad", age < 8000 ? "Intermittent…" : "Offline");
+      setTimeout(connect, delay);
+    };
+  }
+
+  // Click a column to sort by it; click again to flip the order
+  els.leaderHead.addEventListener("click", (e) => {
+    const th = e.target.closest("th[data-sort]");
+    if(!th) return;
+    const key = th.dataset.sort;
+    leaderSort = { key, desc: leaderSort.key === key ? !leaderSort.desc : key !== "name" };
+    renderLeaderboard(state.agents || []);
+  });
+
+  els.lineFilter.addEventListener("change", () => {
+    selectedLine = els.lineFilter.value;
+    const url = new URL(location.href);
+    if(selectedLine) url.searchParams.set("line", selectedLine);
+    else url.searchParams.delete("line");
+    history.replaceState(null, "", url);
+    render(state);
+    loadRecentCalls();
+  });
+
+  connect();
+  setInterval(() => {
+    updateDateTime();
+    updateSinceTimers();
+    els.uptime.textContent = fmtUptime(Date.now() - startedAt);
+  }, 1000);
+</script>
+</body>
+</html>`;
+}
+
+function getYesterdayStatsHtml(portal, currentDate, currentTime) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>Fincorp Contact Center - Yesterday's Stats</title>
+  <style>
+    :root{
+      --vodafone-red:#E60000;
+      --bg:#0b0f14;
+      --panel:#121923;
+      --panel2:#0f151e;
+      --text:#eaf0f7;
+      --muted:#9fb0c3;
+      --good:#2ecc71;
+      --bad:#ff4d4d;
+      --warn:#f6c343;
+      --border:rgba(255,255,255,.08);
+      --shadow: 0 12px 30px rgba(0,0,0,.35);
+      --radius: 16px;
+    }
+    *{box-sizing:border-box}
+    body{
+      margin:0;
+      font-family: ui-sans-serif,system-ui,-apple-system,"Segoe UI",Roboto,Arial;
+      color:var(--text);
+      background: radial-gradient(1200px 600px at 20% 0%, rgba(230,0,0,.12), transparent 60%),
+                  radial-gradient(1000px 500px at 100% 20%, rgba(0,170,255,.12), transparent 55%),
+                  var(--bg);
+    }
+    .topbar{
+      position:sticky; top:0; z-index:5;
+      background: linear-gradient(180deg, rgba(11,15,20,.95), rgba(11,15,20,.78));
+      backdrop-filter: blur(10px);
+      border-bottom:1px solid var(--border);
+      padding:12px 0;
+    }
+    .wrap{max-width:1280px; margin:0 auto; padding:0 18px;}
+    .brand{
+      display:flex; align-items:center; gap:12px; justify-content:space-between;
+    }
+    .brand-left{display:flex; align-items:center; gap:12px;}
+    .dot{
+      width:12px;height:12px;border-radius:50%;
+      background:var(--vodafone-red);
+      box-shadow:0 0 0 6px rgba(230,0,0,.12);
+    }
+    h1{margin:0; font-size:18px; letter-spacing:.2px}
+    .sub{margin:2px 0 0; color:var(--muted); font-size:12px}
+    .date-time{
+      display:flex; align-items:center; gap:20px; font-size:12px; color:var(--muted);
+    }
+    .date, .time{display:flex; align-items:center; gap:6px;}
+    .date:before{content:"📅";}
+    .time:before{content:"🕒";}
+    .timezone{
+      font-size:10px; color:var(--muted); opacity:0.7;
+      margin-left:4px;
+    }
+    .nav-tabs{
+      display:flex; gap:8px; margin-top:12px;
+    }
+    .nav-tab{
+      padding:8px 16px; border:1px solid var(--border);
+      border-radius:8px; background:rgba(18,25,35,.55);
+      color:var(--muted); text-decoration:none; font-size:12px;
+      transition:all 0.2s;
+    }
+    .nav-tab:hover{
+      background:rgba(30,40,55,.7); color:var(--text);
+    }
+    .nav-tab.active{
+      background:var(--vodafone-red); color:white; border-color:var(--vodafone-red);
+    }
+    .portal-switch{
+      margin-left:auto; cursor:pointer;
+    }
+
+    .grid{
+      display:grid;
+      grid-template-columns: 1fr;
+      gap:14px;
+      padding:18px;
+      max-width:1280px;
+      margin:0 auto;
+    }
+
+    .card{
+      background: linear-gradient(180deg, rgba(18,25,35,.92), rgba(15,21,30,.85));
+      border:1px solid var(--border);
+      border-radius: var(--radius);
+      box-shadow: var(--shadow);
+      overflow:hidden;
+    }
+    .card-h{
+      padding:14px 16px;
+      border-bottom:1px solid var(--border);
+      display:flex; justify-content:space-between; align-items:center;
+    }
+    .card-h strong{font-size:13px; letter-spacing:.2px}
+    .pill{
+      font-size:11px; color:var(--muted);
+      border:1px solid var(--border);
+      padding:6px 10px; border-radius:999px;
+      background: rgba(0,0,0,.15);
+    }
+    .content{padding:14px 16px;}
+
+    .kpis{
+      display:grid;
+      grid-template-columns: repeat(2, 1fr);
+      gap:12px;
+      margin-bottom:20px;
+    }
+    @media(min-width:600px){
+      .kpis{grid-template-columns: repeat(4, 1fr);}
+    }
+    .kpi{
+      padding:12px;
+      border:1px solid var(--border);
+      border-radius: 14px;
+      background: rgba(0,0,0,.12);
+      text-align:center;
+    }
+    .kpi .label{color:var(--muted); font-size:11px}
+    .kpi .val{font-size:32px; font-weight:700; margin-top:6px}
+    .kpi .meta{color:var(--muted); font-size:11px; margin-top:6px}
+    .kpi.red .val{color:var(--vodafone-red)}
+    .kpi.good .val{color:var(--good)}
+    
+    .summary{
+      background: rgba(0,0,0,.15);
+      border:1px solid var(--border);
+      border-radius: 14px;
+      padding:20px;
+      margin-top:20px;
+    }
+    .summary h3{margin:0 0 15px 0; color:var(--text); font-size:14px;}
+    .summary-grid{
+      display:grid;
+      grid-template-columns: repeat(2, 1fr);
+      gap:15px;
+    }
+    @media(min-width:600px){
+      .summary-grid{grid-template-columns: repeat(4, 1fr);}
     }
-  }
-
-  if (isInitEvent(eventName)) {
-    lc.status = "RINGING";
-    console.log(`📞 ${direction === 'IN' ? 'Inbound' : 'Outbound'} call ${callId}: ${from || 'Unknown'} → ${to || 'Unknown'}`);
-  }
-
-  if (isStartEvent(eventName)) {
-    lc.status = "ANSWERED";
-    lc.wasAnswered = true;
-    
-    // Make sure we have the agent info from this event
-    if (agentId && !lc.agentId) {
-      lc.agentId = String(agentId);
+    .summary-item{
+      text-align:center;
     }
-    if (agentName && !lc.agentName) {
-      lc.agentName = agentName;
+    .summary-item .number{
+      font-size:24px; font-weight:bold; color:var(--text);
+      margin-bottom:5px;
     }
-    
-    console.log(`✅ Call ${callId} answered by ${lc.agentName || `Agent ${lc.agentId}` || 'Unknown'}`);
-    
-    if (lc.direction === "IN") {
-      dailyMetrics.incoming.answered += 1;
-      clampDown(dailyMetrics.incoming, "inProgress");
-    } else {
-      dailyMetrics.outgoing.answered += 1;
-      clampDown(dailyMetrics.outgoing, "inProgress");
+    .summary-item .label{
+      font-size:11px; color:var(--muted);
     }
-  }
-
-  if (isEndEvent(eventName)) {
-    lc.status = "ENDED";
-
-    if (!lc.wasAnswered) {
-      if (lc.direction === "IN") {
-        clampDown(dailyMetrics.incoming, "inProgress");
-        dailyMetrics.incoming.missed += 1;
-        dailyMetrics.missedDroppedAbandoned += 1;
-        if (lc.agentId) {
-          const agent = ensureAgent(lc.agentId, lc.agentName);
-          agent.inboundMissed += 1;
-        }
-      } else {
-        clampDown(dailyMetrics.outgoing, "inProgress");
-        dailyMetrics.outgoing.cancelled += 1;
-        if (lc.agentId) {
-          const agent = ensureAgent(lc.agentId, lc.agentName);
-          agent.outboundMissed += 1;
-        }
-      }
-      console.log(`❌ Call ${callId} ${lc.direction === 'IN' ? 'missed' : 'cancelled'}`);
-    } else {
-      console.log(`📞 Call ${callId} ended`);
+    .summary table{width:100%; border-collapse:collapse; font-size:12px;}
+    .summary th, .summary td{padding:8px 10px; border-bottom:1px solid var(--border); text-align:left;}
+    .summary th{color:var(--muted); font-weight:600; font-size:11px;}
+    
+    .footer{
+      max-width:1280px; margin:0 auto; padding:0 18px 24px;
+      color:var(--muted); font-size:11px;
     }
+    .muted{color:var(--muted)}
+    .mono{font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace;}
+  </style>
+</head>
+<body>
+  <div class="topbar">
+    <div class="wrap">
+      <div class="brand">
+        <div class="brand-left">
+          <div class="dot"></div>
+          <div>
+            <h1>Fincorp Contact Center - Yesterday's Statistics</h1>
+            <div class="sub">${portals.size > 1 ? `${portal.key} • ` : ""}Previous day call metrics and performance (${getTimezoneLabel()})</div>
+          </div>
+        </div>
+        <div class="date-time">
+          <div class="date" id="currentDate">${currentDate}</div>
+          <div class="time" id="currentTime">${currentTime} <span class="timezone">${getTimezoneLabel()}</span></div>
+        </div>
+      </div>
+      
+      ${getNavTabsHtml(portal, "yesterday")}
+    </div>
+  </div>
 
-    if (lc.agentId) ensureAgent(lc.agentId, lc.agentName).onCallNow = false;
-    liveCalls.delete(callId);
-  }
-});
+  <div class="grid">
+    <div class="card">
+      <div class="card-h">
+        <strong id="yesterdayTitle">Yesterday's Performance Summary</strong>
+        <span class="pill" id="yesterdayDate">Loading...</span>
+      </div>
+      <div class="content">
+        <div class="kpis">
+          <div class="kpi good">
+            <div class="label">Inbound Answered</div>
+            <div class="val" id="y-inAns">0</div>
+            <div class="meta">Inbound calls answered</div>
+          </div>
+          <div class="kpi red">
+            <div class="label">Inbound Missed</div>
+            <div class="val" id="y-inMiss">0</div>
+            <div class="meta">Inbound calls missed</div>
+          </div>
+          <div class="kpi good">
+            <div class="label">Outbound Answered</div>
+            <div class="val" id="y-outAns">0</div>
+            <div class="meta">Outbound calls answered</div>
+          </div>
+          <div class="kpi">
+            <div class="label">Outbound Cancelled</div>
+            <div class="val" id="y-outCan">0</div>
+            <div class="meta">Outbound calls cancelled</div>
+          </div>
+        </div>
+        
+        <div class="summary">
+          <h3>Overall Statistics</h3>
+          <div class="summary-grid">
+            <div class="summary-item">
+              <div class="number" id="totalCalls">0</div>
+              <div class="label">Total Calls</div>
+            </div>
+            <div class="summary-item">
+              <div class="number" id="totalAnswered">0</div>
+              <div class="label">Total Answered</div>
+            </div>
+            <div class="summary-item">
+              <div class="number" id="totalMissed">0</div>
+              <div class="label">Total Missed</div>
+            </div>
+            <div class="summary-item">
+              <div class="number" id="answerRate">0%</div>
+              <div class="label">Answer Rate</div>
+            </div>
+          </div>
+        </div>
 
-// -------------------- Wallboard Pages --------------------
-app.get("/wallboard", (req, res) => {
-  res.setHeader("Content-Type", "text/html; charset=utf-8");
-  res.send(getWallboardHtml(false));
-});
+        <div class="summary">
+          <h3>Customer Experience</h3>
+          <div class="summary-grid">
+            <div class="summary-item">
+              <div class="number" id="uniqueCallers">0</div>
+              <div class="label">Unique Callers</div>
+            </div>
+            <div class="summary-item">
+              <div class="number" id="repeatCallers">0</div>
+              <div class="label">Repeat Callers</div>
+            </div>
+            <div class="summary-item">
+              <div class="number" id="repeatRate">—</div>
+              <div class="label" id="repeatRateLabel">Repeat Caller Rate</div>
+            </div>
+            <div class="summary-item">
+              <div class="number" id="fcrRate">—</div>
+              <div class="label" id="fcrLabel">First Contact Resolution</div>
+            </div>
+          </div>
+        </div>
 
-app.get("/wallboard/yesterday", (req, res) => {
-  res.setHeader("Content-Type", "text/html; charset=utf-8");
-  res.send(getWallboardHtml(true));
-});
+        <div class="summary" id="linesSummary" style="display:none">
+          <h3>By Line</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Line</th>
+                <th>Answered</th>
+                <th>Missed</th>
+                <th>Outbound</th>
+                <th>ASA</th>
+                <th>Abandon</th>
+                <th>Service Level</th>
+              </tr>
+            </thead>
+            <tbody id="linesBody"></tbody>
+          </table>
+        </div>
+        
+        <div style="margin-top:20px; padding:15px; background:rgba(0,0,0,.1); border-radius:8px; border:1px solid var(--border);">
+          <div style="font-size:12px; color:var(--muted); margin-bottom:8px;">📊 Note:</div>
+          <div style="font-size:11px; color:var(--muted);">
+            • Statistics are automatically saved at midnight ${TIMEZONE} time (${getTimezoneLabel()})<br>
+            • Working hours today: ${describeTodayHours()} (${getTimezoneLabel()})<br>
+            • Only calls during work hours are counted in the statistics
+          </div>
+        </div>
+      </div>
+    </div>
+  </div>
 
-// -------------------- Debug Endpoints --------------------
-app.get("/debug/last-event", (req, res) => {
-  res.json({ ok: true, lastEvent });
-});
+  <div class="footer">
+    <div>Backend: <span class="mono">/health</span>, <span class="mono">/debug/state</span>, <span class="mono">/api/calls</span>, <span class="mono">/bitrix/events</span>, <span class="mono">ws:/ws</span></div>
+  </div>
 
-app.get("/health", (req, res) => res.json({ ok: true }));
+<script>
+  const PORTAL = ${JSON.stringify(portal.key)};
 
-app.get("/debug/state", (req, res) => {
-  const pngDateTime = formatDateTimePNG();
-  
-  res.json({
-    ok: true,
-    currentDate: dailyMetrics.date,
-    isWithinWorkHours: dailyMetrics.isWithinWorkHours,
-    workHoursStatus: getWorkHoursStatus(),
-    pngDateTime: {
-      date: pngDateTime.date,
-      time: pngDateTime.time
-    },
-    dailyMetrics,
-    previousDayStats,
-    liveCalls: Array.from(liveCalls.entries()).map(([id, v]) => ({ 
-      callId: id, 
-      direction: v.direction,
-      from: v.from,
-      to: v.to,
-      status: v.status,
-      agentId: v.agentId,
-      agentName: v.agentName || `Agent ${v.agentId}`,
-      wasAnswered: v.wasAnswered
-    })),
-    agents: Array.from(agents.values()),
-  });
-});
+  async function loadYesterdayStats(){
+    try {
+      const r = await fetch("/debug/state?portal=" + encodeURIComponent(PORTAL), { cache: "no-store" });
+      if(!r.ok) throw new Error("HTTP " + r.status);
+      const s = await r.json();
+      
+      // Update current date/time in the configured timezone
+      if(s.pngDateTime){
+        document.getElementById('currentDate').textContent = s.pngDateTime.date || "";
+        document.getElementById('currentTime').textContent = (s.pngDateTime.time || "") ;
+      }
+      
+      const stats = s.previousDayStats || {};
+      
+      // Update date: the previous working day, which is not always yesterday (weekends, holidays)
+      const dayBefore = s.currentDate ? new Date(Date.parse(s.currentDate + "T00:00:00Z") - 86400000).toISOString().slice(0, 10) : "";
+      const weekday = stats.date ? new Date(stats.date + "T00:00:00Z").toLocaleDateString("en-AU", { weekday: "long", timeZone: "UTC" }) : "";
+      document.getElementById('yesterdayTitle').textContent = !stats.date || stats.date === dayBefore
+        ? "Yesterday's Performance Summary"
+        : "Previous Working Day Summary";
+      document.getElementById('yesterdayDate').textContent = stats.date
+        ? weekday + " " + stats.date +
+          (stats.noData ? " • No data (wallboard offline)" : "") +
+          (stats.provisional ? " • " + stats.callsInProgress + " call(s) still in progress" : "")
+        : "No data";
+      
+      // Update KPIs
+      document.getElementById('y-inAns').textContent = stats.incoming?.answered || 0;
+      document.getElementById('y-inMiss').textContent = stats.incoming?.missed || 0;
+      document.getElementById('y-outAns').textContent = stats.outgoing?.answered || 0;
+      document.getElementById('y-outCan').textContent = stats.outgoing?.cancelled || 0;
+      
+      // Calculate summary
+      const totalAnswered = (stats.incoming?.answered || 0) + (stats.outgoing?.answered || 0);
+      const totalMissed = (stats.incoming?.missed || 0) + (stats.outgoing?.cancelled || 0);
+      const totalCalls = totalAnswered + totalMissed;
+      const answerRate = totalCalls > 0 ? Math.round((totalAnswered / totalCalls) * 100) : 0;
+      
+      document.getElementById('totalCalls').textContent = totalCalls;
+      document.getElementById('totalAnswered').textContent = totalAnswered;
+      document.getElementById('totalMissed').textContent = totalMissed;
+      document.getElementById('answerRate').textContent = answerRate + '%';
 
-app.get("/debug/daily-stats", (req, res) => {
-  const allStats = loadDailyStats();
-  res.json({ ok: true, allStats });
-});
+      const rc = stats.repeatCallers || {};
+      const pct = (v) => (v === null || v === undefined) ? "—" : v + '%';
+      document.getElementById('uniqueCallers').textContent = rc.uniqueCallers || 0;
+      document.getElementById('repeatCallers').textContent = rc.repeatCallers || 0;
+      document.getElementById('repeatRate').textContent = pct(rc.repeatCallerRate);
+      document.getElementById('repeatRateLabel').textContent = 'Repeat Caller Rate' + (rc.windowHours ? ' (' + rc.windowHours + 'h window)' : '');
+      document.getElementById('fcrRate').textContent = pct(rc.fcrRate);
+      document.getElementById('fcrLabel').textContent = 'First Contact Resolution' + (rc.fcrProvisional ? ' (provisional)' : '');
+      document.getElementById('fcrLabel').title = rc.fcrProvisional && rc.fcrFinalAt
+        ? 'Callers can still call back within the window; final after ' + new Date(rc.fcrFinalAt).toLocaleString()
+        : '';
 
-// -------------------- HTML Generation --------------------
-function getWallboardHtml(isYesterdayPage = false) {
-  const pngDateTime = formatDateTimePNG();
-  const currentDate = pngDateTime.date;
-  const currentTime = pngDateTime.time;
-  
-  if (isYesterdayPage) {
-    return getYesterdayStatsHtml(currentDate, currentTime);
-  } else {
-    return getTodayWallboardHtml(currentDate, currentTime);
+      const lines = stats.lines || [];
+      const esc = (v) => String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+      const asa = (sec) => Math.floor((sec || 0) / 60) + "m " + String((sec || 0) % 60).padStart(2, "0") + "s";
+      document.getElementById('linesSummary').style.display = lines.length ? "" : "none";
+      document.getElementById('linesBody').innerHTML = lines.map(l => \`<tr>
+          <td>\${esc(l.name)}</td>
+          <td>\${l.incoming?.answered || 0}</td>
+          <td>\${l.incoming?.missed || 0}</td>
+          <td>\${l.outgoing?.answered || 0} / \${l.outgoing?.cancelled || 0}</td>
+          <td>\${asa(l.kpis?.asaSeconds)}</td>
+          <td>\${pct(l.abandonRate)}</td>
+          <td>\${pct(l.serviceLevel?.percent)}</td>
+        </tr>\`).join("");
+      
+    } catch(e) {
+      console.error("Failed to load yesterday stats:", e);
+    }
   }
+  
+  // Load stats on page load and every 30 seconds
+  loadYesterdayStats();
+  setInterval(loadYesterdayStats, 30000);
+</script>
+</body>
+</html>`;
 }
 
-function getTodayWallboardHtml(currentDate, currentTime) {
+function getHistoryPageHtml(portal) {
+  const pngDateTime = formatLocalDateTime();
   return `<!doctype html>
 <html lang="en">
 <head>
   <meta charset="utf-8" />
   <meta name="viewport" content="width=device-width,initial-scale=1" />
-  <title>Fincorp Contact Center Wallboard - Today</title>
+  <title>Fincorp Contact Center - History</title>
   <style>
     :root{
       --vodafone-red:#E60000;
       --bg:#0b0f14;
       --panel:#121923;
-      --panel2:#0f151e;
       --text:#eaf0f7;
       --muted:#9fb0c3;
       --good:#2ecc71;
       --bad:#ff4d4d;
       --warn:#f6c343;
+      --info:#38b6ff;
       --border:rgba(255,255,255,.08);
       --shadow: 0 12px 30px rgba(0,0,0,.35);
       --radius: 16px;
@@ -701,9 +6053,7 @@ function getTodayWallboardHtml(currentDate, currentTime) {
       padding:12px 0;
     }
     .wrap{max-width:1280px; margin:0 auto; padding:0 18px;}
-    .brand{
-      display:flex; align-items:center; gap:12px; justify-content:space-between;
-    }
+    .brand{display:flex; align-items:center; gap:12px; justify-content:space-between;}
     .brand-left{display:flex; align-items:center; gap:12px;}
     .dot{
       width:12px;height:12px;border-radius:50%;
@@ -712,63 +6062,30 @@ function getTodayWallboardHtml(currentDate, currentTime) {
     }
     h1{margin:0; font-size:18px; letter-spacing:.2px}
     .sub{margin:2px 0 0; color:var(--muted); font-size:12px}
-    .date-time{
-      display:flex; align-items:center; gap:20px; font-size:12px; color:var(--muted);
-    }
+    .date-time{display:flex; align-items:center; gap:20px; font-size:12px; color:var(--muted);}
     .date, .time{display:flex; align-items:center; gap:6px;}
     .date:before{content:"📅";}
     .time:before{content:"🕒";}
-    .status{
-      display:flex; align-items:center; gap:10px; font-size:12px; color:var(--muted);
-      padding:8px 10px; border:1px solid var(--border); border-radius:999px;
-      background: rgba(18,25,35,.55);
-    }
-    .badge{
-      width:10px;height:10px;border-radius:50%;
-      background:var(--warn);
-      box-shadow:0 0 0 6px rgba(246,195,67,.10);
-    }
-    .nav-tabs{
-      display:flex; gap:8px; margin-top:12px;
-    }
+    .timezone{font-size:10px; color:var(--muted); opacity:0.7; margin-left:4px;}
+    .nav-tabs{display:flex; gap:8px; margin-top:12px;}
     .nav-tab{
-      padding:8px 16px; border:1px solid var(--border);
-      border-radius:8px; background:rgba(18,25,35,.55);
-      color:var(--muted); text-decoration:none; font-size:12px;
-      transition:all 0.2s;
-    }
-    .nav-tab:hover{
-      background:rgba(30,40,55,.7); color:var(--text);
-    }
-    .nav-tab.active{
-      background:var(--vodafone-red); color:white; border-color:var(--vodafone-red);
-    }
-    .work-hours{
-      padding:8px 12px; background:rgba(46,204,113,.1);
-      border:1px solid rgba(46,204,113,.3); border-radius:8px;
-      font-size:11px; color:#2ecc71; margin-left:auto;
-    }
-    .work-hours.closed{
-      background:rgba(255,77,77,.1); border-color:rgba(255,77,77,.3);
-      color:#ff4d4d;
-    }
-    .timezone{
-      font-size:10px; color:var(--muted); opacity:0.7;
-      margin-left:4px;
-    }
-
-    .grid{
-      display:grid;
-      grid-template-columns: 1fr;
-      gap:14px;
-      padding:18px;
-      max-width:1280px;
-      margin:0 auto;
-    }
-    @media(min-width:900px){
-      .grid{grid-template-columns: 1.1fr .9fr;}
+      padding:8px 16px; border:1px solid var(--border);
+      border-radius:8px; background:rgba(18,25,35,.55);
+      color:var(--muted); text-decoration:none; font-size:12px;
+      transition:all 0.2s;
     }
+    .nav-tab:hover{background:rgba(30,40,55,.7); color:var(--text);}
+    .nav-tab.active{background:var(--vodafone-red); color:white; border-color:var(--vodafone-red);}
+    .portal-switch{margin-left:auto; cursor:pointer;}
 
+    .grid{
+      display:grid; grid-template-columns: 1fr; gap:14px;
+      padding:18px; max-width:1280px; margin:0 auto;
+    }
+    @media(min-width:980px){
+      .grid{grid-template-columns: 1fr 1fr;}
+      .span2{grid-column: span 2;}
+    }
     .card{
       background: linear-gradient(180deg, rgba(18,25,35,.92), rgba(15,21,30,.85));
       border:1px solid var(--border);
@@ -779,7 +6096,7 @@ function getTodayWallboardHtml(currentDate, currentTime) {
     .card-h{
       padding:14px 16px;
       border-bottom:1px solid var(--border);
-      display:flex; justify-content:space-between; align-items:center;
+      display:flex; justify-content:space-between; align-items:center; gap:10px; flex-wrap:wrap;
     }
     .card-h strong{font-size:13px; letter-spacing:.2px}
     .pill{
@@ -790,67 +6107,48 @@ function getTodayWallboardHtml(currentDate, currentTime) {
     }
     .content{padding:14px 16px;}
 
-    .kpis{
-      display:grid;
-      grid-template-columns: repeat(2, 1fr);
-      gap:12px;
+    .range{display:flex; gap:8px; align-items:center; flex-wrap:wrap;}
+    .range button, .range input{
+      padding:6px 12px; border:1px solid var(--border); border-radius:8px;
+      background:rgba(18,25,35,.55); color:var(--muted); font-size:12px;
     }
+    .range button{cursor:pointer;}
+    .range button.active{background:var(--vodafone-red); color:white; border-color:var(--vodafone-red);}
+    .range input{color-scheme:dark;}
+    .error{color:var(--bad); font-size:12px;}
+
+    .kpis{display:grid; grid-template-columns: repeat(2, 1fr); gap:12px;}
     @media(min-width:600px){
       .kpis{grid-template-columns: repeat(4, 1fr);}
     }
     .kpi{
-      padding:12px;
-      border:1px solid var(--border);
-      border-radius: 14px;
-      background: rgba(0,0,0,.12);
+      padding:12px; border:1px solid var(--border); border-radius: 14px;
+      background: rgba(0,0,0,.12); text-align:center;
     }
     .kpi .label{color:var(--muted); font-size:11px}
-    .kpi .val{font-size:26px; font-weight:700; margin-top:6px}
+    .kpi .val{font-size:32px; font-weight:700; margin-top:6px}
     .kpi .meta{color:var(--muted); font-size:11px; margin-top:6px}
     .kpi.red .val{color:var(--vodafone-red)}
     .kpi.good .val{color:var(--good)}
 
-    .row{
-      display:grid;
-      grid-template-columns: 1fr;
-      gap:12px;
-      margin-top:12px;
-    }
-    @media(min-width:900px){
-      .row{grid-template-columns: 1fr 1fr;}
-    }
+    .chart svg{width:100%; height:auto; display:block;}
+    .chart .axis{stroke:var(--border);}
+    .chart text{fill:var(--muted); font-size:10px;}
+    .legend{display:flex; gap:14px; font-size:11px; color:var(--muted); margin-top:8px; flex-wrap:wrap;}
+    .legend span:before{content:""; display:inline-block; width:10px; height:10px; border-radius:2px; margin-right:6px; vertical-align:-1px; background:var(--c);}
 
-    table{
-      width:100%;
-      border-collapse:collapse;
-      font-size:12px;
-    }
-    th, td{
-      padding:10px 10px;
-      border-bottom:1px solid var(--border);
-      text-align:left;
-      color: var(--text);
-    }
-    th{color:var(--muted); font-weight:600; font-size:11px; letter-spacing:.2px}
-    .small{font-size:11px; color:var(--muted)}
-    .tag{
-      display:inline-flex; align-items:center; gap:6px;
-      padding:6px 10px; border-radius:999px;
-      border:1px solid var(--border);
-      background: rgba(0,0,0,.12);
-      font-size:11px;
-      color: var(--muted);
-    }
-    .tag .b{width:8px;height:8px;border-radius:50%;}
-    .b.good{background:var(--good)}
-    .b.bad{background:var(--bad)}
-    .b.warn{background:var(--warn)}
+    table{width:100%; border-collapse:collapse; font-size:12px;}
+    th, td{padding:8px 10px; border-bottom:1px solid var(--border); text-align:left;}
+    th{color:var(--muted); font-weight:600; font-size:11px;}
+    .bar{height:6px; border-radius:3px; background:var(--good); min-width:1px;}
+    .up{color:var(--good)}
+    .down{color:var(--bad)}
+    .muted{color:var(--muted)}
+    .mono{font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace;}
     .footer{
       max-width:1280px; margin:0 auto; padding:0 18px 24px;
       color:var(--muted); font-size:11px;
     }
-    .muted{color:var(--muted)}
-    .mono{font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace;}
   </style>
 </head>
 <body>
@@ -860,313 +6158,303 @@ function getTodayWallboardHtml(currentDate, currentTime) {
         <div class="brand-left">
           <div class="dot"></div>
           <div>
-            <h1>Fincorp Contact Center Wallboard</h1>
-            <div class="sub">Live call activity • Auto-refresh • Working Hours: 8:00 AM - 6:00 PM (GMT+10)</div>
+            <h1>Fincorp Contact Center - History</h1>
+            <div class="sub">${portals.size > 1 ? `${portal.key} • ` : ""}Daily trends from saved statistics (${getTimezoneLabel()})</div>
           </div>
         </div>
         <div class="date-time">
-          <div class="date" id="currentDate">${currentDate}</div>
-          <div class="time" id="currentTime">${currentTime} <span class="timezone">GMT+10</span></div>
-          <div class="status">
-            <span class="badge" id="badge"></span>
-            <span id="connText">Connecting…</span>
-            <span class="mono" id="lastTs"></span>
-          </div>
-          <div class="work-hours" id="workHoursStatus"></div>
+          <div class="date">${pngDateTime.date}</div>
+          <div class="time">${pngDateTime.time} <span class="timezone">${getTimezoneLabel()}</span></div>
         </div>
       </div>
-      
-      <div class="nav-tabs">
-        <a href="/wallboard" class="nav-tab active">Today's Activity</a>
-        <a href="/wallboard/yesterday" class="nav-tab">Yesterday's Stats</a>
-      </div>
+
+      ${getNavTabsHtml(portal, "history")}
     </div>
   </div>
 
   <div class="grid">
-    <div class="card">
+    <div class="card span2">
       <div class="card-h">
-        <strong>Today's Call Metrics</strong>
-        <span class="pill" id="todayDate"></span>
+        <div class="range">
+          <button data-days="7">7 days</button>
+          <button data-days="30">30 days</button>
+          <button data-days="90">90 days</button>
+          <input type="date" id="from" max="${getCurrentDate()}" />
+          <input type="date" id="to" max="${getCurrentDate()}" />
+          <button id="applyRange">Apply</button>
+          <span class="error" id="rangeError"></span>
+        </div>
+        <span class="pill" id="rangeLabel">Loading...</span>
       </div>
       <div class="content">
         <div class="kpis">
           <div class="kpi">
-            <div class="label">Inbound • In Progress</div>
-            <div class="val" id="inProg">0</div>
-            <div class="meta">Current active inbound calls</div>
+            <div class="label">Inbound Offered</div>
+            <div class="val" id="h-offered">0</div>
+            <div class="meta" id="h-days">—</div>
           </div>
           <div class="kpi good">
-            <div class="label">Inbound • Answered</div>
-            <div class="val" id="inAns">0</div>
-            <div class="meta">Answered inbound calls today</div>
-          </div>
-          <div class="kpi red">
-            <div class="label">Inbound • Missed</div>
-            <div class="val" id="inMiss">0</div>
-            <div class="meta">Missed inbound calls today</div>
+            <div class="label">Answered</div>
+            <div class="val" id="h-answered">0</div>
+            <div class="meta">Inbound calls answered</div>
           </div>
           <div class="kpi red">
-            <div class="label">Missed/Dropped/Abandoned</div>
-            <div class="val" id="mda">0</div>
-            <div class="meta">All missed-type totals today</div>
-          </div>
-        </div>
-
-        <div class="row">
-          <div class="kpi">
-            <div class="label">Outbound • In Progress</div>
-            <div class="val" id="outProg">0</div>
-            <div class="meta">Current active outbound calls</div>
-          </div>
-          <div class="kpi">
-            <div class="label">Outbound • Answered</div>
-            <div class="val" id="outAns">0</div>
-            <div class="meta">Answered outbound calls today</div>
-          </div>
-          <div class="kpi">
-            <div class="label">Outbound • Cancelled</div>
-            <div class="val" id="outCan">0</div>
-            <div class="meta">Cancelled outbound calls today</div>
+            <div class="label">Missed</div>
+            <div class="val" id="h-missed">0</div>
+            <div class="meta">Inbound calls missed</div>
           </div>
           <div class="kpi">
-            <div class="label">Portals Stored</div>
-            <div class="val" id="portals">0</div>
-            <div class="meta">Install tokens stored</div>
+            <div class="label">Answer Rate</div>
+            <div class="val" id="h-rate">—</div>
+            <div class="meta">Inbound, across the range</div>
           </div>
         </div>
+        <div class="muted" id="h-outbound" style="font-size:11px; margin-top:10px;"></div>
+      </div>
+    </div>
 
-        <div style="margin-top:12px" class="small">
-          <span class="tag"><span class="b good"></span>Healthy</span>
-          <span class="tag"><span class="b warn"></span>Connecting</span>
-          <span class="tag"><span class="b bad"></span>Offline</span>
-          <span class="muted"> • Tip: Keep this tab open on a TV/monitor for a live wallboard.</span>
+    <div class="card span2">
+      <div class="card-h"><strong>Answered &amp; Missed per Day</strong></div>
+      <div class="content chart">
+        <div id="callsChart"></div>
+        <div class="legend">
+          <span style="--c:var(--good)">Answered</span>
+          <span style="--c:var(--vodafone-red)">Missed</span>
+          <span style="--c:rgba(255,255,255,.12)">No data</span>
+          <span style="--c:rgba(255,255,255,.04)">Closed day</span>
         </div>
       </div>
     </div>
 
+    <div class="card span2">
+      <div class="card-h"><strong>Answer Rate per Day</strong></div>
+      <div class="content chart"><div id="rateChart"></div></div>
+    </div>
+
     <div class="card">
-      <div class="card-h">
-        <strong>Live View</strong>
-        <span class="pill" id="liveCount">0 live calls</span>
+      <div class="card-h"><strong>Weekday Averages</strong><span class="pill">Working days with data</span></div>
+      <div class="content">
+        <table>
+          <thead><tr><th>Day</th><th>Days</th><th>Answered</th><th>Missed</th><th>Answer Rate</th><th>Outbound</th><th style="width:25%"></th></tr></thead>
+          <tbody id="weekdayBody"></tbody>
+        </table>
       </div>
+    </div>
+
+    <div class="card">
+      <div class="card-h"><strong>Best &amp; Worst Days</strong><span class="pill">By answer rate</span></div>
       <div class="content">
-        <div style="display:flex; justify-content:space-between; margin-bottom:8px;">
-          <div class="small">Calls in progress (if you're tracking live calls)</div>
-          <div class="small mono" id="uptime"></div>
-        </div>
         <table>
-          <thead>
-            <tr>
-              <th>Direction</th>
-              <th>Caller / From</th>
-              <th>To</th>
-              <th>Agent</th>
-              <th>Status</th>
-            </tr>
-          </thead>
-          <tbody id="callsBody">
-            <tr><td colspan="5" class="small muted">No active calls</td></tr>
-          </tbody>
+          <thead><tr><th></th><th>Date</th><th>Answered</th><th>Missed</th><th>Answer Rate</th></tr></thead>
+          <tbody id="rankBody"></tbody>
         </table>
+      </div>
+    </div>
 
-        <div style="height:12px"></div>
+    <div class="card">
+      <div class="card-h"><strong>Week over Week</strong><span class="pill">Weeks start Monday</span></div>
+      <div class="content">
+        <table>
+          <thead><tr><th>Week</th><th>Answered</th><th>Missed</th><th>Answer Rate</th><th>Outbound</th></tr></thead>
+          <tbody id="weeksBody"></tbody>
+        </table>
+      </div>
+    </div>
 
-        <div class="small" style="margin-bottom:8px;">Agents (if you're tracking agents)</div>
+    <div class="card">
+      <div class="card-h"><strong>Month over Month</strong></div>
+      <div class="content">
         <table>
-          <thead>
-            <tr>
-              <th>Agent</th>
-              <th>Status</th>
-              <th>Inbound Missed</th>
-              <th>Outbound Missed</th>
-            </tr>
-          </thead>
-          <tbody id="agentsBody">
-            <tr><td colspan="4" class="small muted">No agent data</td></tr>
-          </tbody>
+          <thead><tr><th>Month</th><th>Answered</th><th>Missed</th><th>Answer Rate</th><th>Outbound</th></tr></thead>
+          <tbody id="monthsBody"></tbody>
         </table>
       </div>
     </div>
   </div>
 
   <div class="footer">
-    <div>Backend: <span class="mono">/health</span>, <span class="mono">/debug/state</span>, <span class="mono">/bitrix/events</span></div>
+    <div>Backend: <span class="mono">/api/history</span>, <span class="mono">/api/agents/:id/stats</span>, <span class="mono">/api/calls</span></div>
   </div>
 
 <script>
-  const els = {
-    badge: document.getElementById("badge"),
-    connText: document.getElementById("connText"),
-    lastTs: document.getElementById("lastTs"),
-    currentDate: document.getElementById("currentDate"),
-    currentTime: document.getElementById("currentTime"),
-    workHoursStatus: document.getElementById("workHoursStatus"),
-    todayDate: document.getElementById("todayDate"),
-    portals: document.getElementById("portals"),
-    inProg: document.getElementById("inProg"),
-    inAns: document.getElementById("inAns"),
-    inMiss: document.getElementById("inMiss"),
-    outProg: document.getElementById("outProg"),
-    outAns: document.getElementById("outAns"),
-    outCan: document.getElementById("outCan"),
-    mda: document.getElementById("mda"),
-    callsBody: document.getElementById("callsBody"),
-    agentsBody: document.getElementById("agentsBody"),
-    liveCount: document.getElementById("liveCount"),
-    uptime: document.getElementById("uptime")
-  };
+  const PORTAL = ${JSON.stringify(portal.key)};
+  const esc = (v) => String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+  const pct = (v) => (v === null || v === undefined) ? "—" : v + "%";
+  const dayName = (wd) => wd ? wd[0].toUpperCase() + wd.slice(1) : "";
+  const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
 
-  let lastOk = 0;
-  let startedAt = Date.now();
+  // Range lives in the URL (?days=30 or ?from=&to=) so a board can be bookmarked
+  let range = (() => {
+    const q = new URLSearchParams(location.search);
+    if (q.get("from") || q.get("to")) return { from: q.get("from") || q.get("to"), to: q.get("to") || q.get("from") };
+    return { days: q.get("days") || "30" };
+  })();
 
-  function setStatus(mode, text){
-    els.connText.textContent = text;
-    if(mode === "good"){
-      els.badge.style.background = "var(--good)";
-      els.badge.style.boxShadow = "0 0 0 6px rgba(46,204,113,.10)";
-    } else if(mode === "bad"){
-      els.badge.style.background = "var(--bad)";
-      els.badge.style.boxShadow = "0 0 0 6px rgba(255,77,77,.10)";
-    } else {
-      els.badge.style.background = "var(--warn)";
-      els.badge.style.boxShadow = "0 0 0 6px rgba(246,195,67,.10)";
-    }
+  function setRange(next){
+    range = next;
+    const q = new URLSearchParams(next);
+    history.replaceState(null, "", location.pathname + "?" + q.toString());
+    loadHistory();
   }
 
-  function fmtUptime(ms){
-    const s = Math.floor(ms/1000);
-    const h = Math.floor(s/3600);
-    const m = Math.floor((s%3600)/60);
-    const ss = s%60;
-    return \`Uptime: \${h}h \${m}m \${ss}s\`;
-  }
+  document.querySelectorAll("[data-days]").forEach((b) => b.addEventListener("click", () => setRange({ days: b.dataset.days })));
+  document.getElementById("applyRange").addEventListener("click", () => {
+    const from = document.getElementById("from").value;
+    const to = document.getElementById("to").value;
+    if (from && to) setRange({ from, to });
+  });
 
-  function safeText(v){ return (v === undefined || v === null) ? "" : String(v); }
+  function change(v, suffix, goodWhenUp){
+    if (v === null || v === undefined) return "";
+    if (v === 0) return ' <span class="muted">±0' + suffix + '</span>';
+    const cls = (v > 0) === goodWhenUp ? "up" : "down";
+    return ' <span class="' + cls + '">' + (v > 0 ? "▲" : "▼") + Math.abs(v) + suffix + '</span>';
+  }
 
-  function updateDateTime(){
-    // Time will be updated from server response
-    // We'll update it when we get fresh data from server
+  // Stacked inbound answered/missed bars; no-data days get a grey placeholder, closed days a faint band
+  function renderCallsChart(days){
+    const W = 1000, H = 220, top = 10, bottom = 24, left = 34;
+    const plotH = H - top - bottom, slot = (W - left) / Math.max(days.length, 1);
+    const max = Math.max(1, ...days.map((d) => d.offered));
+    const y = (v) => top + plotH - (v / max) * plotH;
+    const labelEvery = Math.ceil(days.length / 15);
+    let svg = '<svg viewBox="0 0 ' + W + ' ' + H + '">';
+    [0, 0.5, 1].forEach((f) => {
+      const v = Math.round(max * f);
+      svg += '<line class="axis" x1="' + left + '" x2="' + W + '" y1="' + y(v) + '" y2="' + y(v) + '"/>' +
+        '<text x="' + (left - 6) + '" y="' + (y(v) + 3) + '" text-anchor="end">' + v + '</text>';
+    });
+    days.forEach((d, i) => {
+      const x = left + i * slot, w = Math.max(1, slot * 0.7), bx = x + (slot - w) / 2;
+      const tip = d.date + " (" + dayName(d.weekday) + ")" +
+        (d.noData ? " • No data" : " • " + d.answered + " answered, " + d.missed + " missed, " + pct(d.answerRate) + " • " + d.outbound.made + " outbound") +
+        (d.nonWorkingDay ? " • " + (d.closureReason || "Closed") : "") + (d.live ? " • today so far" : "");
+      svg += '<g><title>' + esc(tip) + '</title>';
+      if (d.nonWorkingDay) svg += '<rect x="' + x + '" y="' + top + '" width="' + slot + '" height="' + plotH + '" fill="rgba(255,255,255,.04)"/>';
+      if (d.noData) {
+        svg += '<rect x="' + bx + '" y="' + (top + plotH - 4) + '" width="' + w + '" height="4" fill="rgba(255,255,255,.12)"/>';
+      } else {
+        svg += '<rect x="' + bx + '" y="' + y(d.answered) + '" width="' + w + '" height="' + (top + plotH - y(d.answered)) + '" fill="var(--good)"' + (d.live ? ' opacity=".5"' : '') + '/>' +
+          '<rect x="' + bx + '" y="' + y(d.offered) + '" width="' + w + '" height="' + (y(d.answered) - y(d.offered)) + '" fill="var(--vodafone-red)"' + (d.live ? ' opacity=".5"' : '') + '/>';
+      }
+      svg += '</g>';
+      if (i % labelEvery === 0) svg += '<text x="' + (x + slot / 2) + '" y="' + (H - 8) + '" text-anchor="middle">' + d.date.slice(5) + '</text>';
+    });
+    document.getElementById("callsChart").innerHTML = svg + '</svg>';
   }
 
-  function renderCalls(liveCalls){
-    const calls = Array.isArray(liveCalls) ? liveCalls : [];
-    els.liveCount.textContent = calls.length + " live calls";
-    if(!calls.length){
-      els.callsBody.innerHTML = '<tr><td colspan="5" class="small muted">No active calls</td></tr>';
-      return;
-    }
-    els.callsBody.innerHTML = calls.map(c => {
-      const dir = safeText(c.direction || c.dir || "");
-      const from = safeText(c.from || c.caller || c.CALLER || "Unknown");
-      const to = safeText(c.to || c.destination || c.TO || "Unknown");
-      const agent = safeText(c.agentName || c.agent || \`Agent \${c.agentId}\` || "No agent");
-      const st = safeText(c.status || c.state || "");
-      return \`<tr>
-        <td>\${dir}</td>
-        <td>\${from}</td>
-        <td>\${to}</td>
-        <td>\${agent}</td>
-        <td>\${st}</td>
-      </tr>\`;
-    }).join("");
+  // Answer rate line, broken across days without calls
+  function renderRateChart(days){
+    const W = 1000, H = 160, top = 10, bottom = 24, left = 34;
+    const plotH = H - top - bottom, slot = (W - left) / Math.max(days.length, 1);
+    const y = (v) => top + plotH - (v / 100) * plotH;
+    const labelEvery = Math.ceil(days.length / 15);
+    let svg = '<svg viewBox="0 0 ' + W + ' ' + H + '">';
+    [0, 50, 100].forEach((v) => {
+      svg += '<line class="axis" x1="' + left + '" x2="' + W + '" y1="' + y(v) + '" y2="' + y(v) + '"/>' +
+        '<text x="' + (left - 6) + '" y="' + (y(v) + 3) + '" text-anchor="end">' + v + '%</text>';
+    });
+    let path = "", pen = false;
+    days.forEach((d, i) => {
+      const x = left + i * slot + slot / 2;
+      if (d.answerRate === null || d.noData) { pen = false; return; }
+      path += (pen ? " L" : " M") + x + " " + y(d.answerRate);
+      pen = true;
+      svg += '<circle cx="' + x + '" cy="' + y(d.answerRate) + '" r="3" fill="var(--info)"><title>' + esc(d.date + " • " + pct(d.answerRate)) + '</title></circle>';
+    });
+    svg += '<path d="' + path.trim() + '" fill="none" stroke="var(--info)" stroke-width="2"/>';
+    days.forEach((d, i) => {
+      if (i % labelEvery === 0) svg += '<text x="' + (left + i * slot + slot / 2) + '" y="' + (H - 8) + '" text-anchor="middle">' + d.date.slice(5) + '</text>';
+    });
+    document.getElementById("rateChart").innerHTML = svg + '</svg>';
   }
 
-  function renderAgents(agents){
-    const a = Array.isArray(agents) ? agents : [];
-    if(!a.length){
-      els.agentsBody.innerHTML = '<tr><td colspan="4" class="small muted">No agent data</td></tr>';
-      return;
-    }
-    els.agentsBody.innerHTML = a.map(x => {
-      const name = safeText(x.name || x.agentName || \`Agent \${x.agentId}\` || x.id || "");
-      const onCall = !!(x.onCallNow || x.onCall);
-      const status = onCall ? '<span class="tag"><span class="b good"></span>On Call</span>' : '<span class="tag"><span class="b warn"></span>Idle</span>';
-      const inM = safeText(x.inboundMissed || 0);
-      const outM = safeText(x.outboundMissed || 0);
-      return \`<tr>
-        <td>\${name}</td>
-        <td>\${status}</td>
-        <td>\${inM}</td>
-        <td>\${outM}</td>
+  function periodRow(label, p){
+    const c = p.change || {};
+    return \`<tr title="\${c.comparedTo ? "Compared with " + c.comparedTo.from + " – " + c.comparedTo.to : ""}">
+        <td>\${label}\${p.complete ? "" : ' <span class="muted">(so far)</span>'}</td>
+        <td>\${p.answered}\${change(c.answered, "%", true)}</td>
+        <td>\${p.missed}\${change(c.missed, "%", false)}</td>
+        <td>\${pct(p.answerRate)}\${change(c.answerRatePoints, " pts", true)}</td>
+        <td>\${p.outbound.made}\${change(c.outbound, "%", true)}</td>
       </tr>\`;
-    }).join("");
   }
 
-  async function poll(){
-    try{
-      setStatus("warn", "Connecting…");
-      const r = await fetch("/debug/state", { cache: "no-store" });
-      if(!r.ok) throw new Error("HTTP " + r.status);
-      const s = await r.json();
-
-      // Update PNG date and time
-      if(s.pngDateTime){
-        els.currentDate.textContent = s.pngDateTime.date || "";
-        els.currentTime.textContent = (s.pngDateTime.time || "");
-      }
-
-      // Update work hours status
-      els.workHoursStatus.textContent = s.workHoursStatus || "";
-      if(s.workHoursStatus && s.workHoursStatus.includes("Closed")) {
-        els.workHoursStatus.classList.add("closed");
-        els.workHoursStatus.classList.remove("open");
-      } else {
-        els.workHoursStatus.classList.add("open");
-        els.workHoursStatus.classList.remove("closed");
-      }
+  async function loadHistory(){
+    document.querySelectorAll("[data-days]").forEach((b) => b.classList.toggle("active", range.days === b.dataset.days));
+    try {
+      const r = await fetch("/api/history?" + new URLSearchParams({ portal: PORTAL, ...range }), { cache: "no-store" });
+      const h = await r.json();
+      if (!h.ok) throw new Error(h.error || "HTTP " + r.status);
+      document.getElementById("rangeError").textContent = "";
+      document.getElementById("from").value = h.from;
+      document.getElementById("to").value = h.to;
+      document.getElementById("rangeLabel").textContent = h.from + " → " + h.to + " (" + h.days.length + " days)";
 
-      // Update today's date
-      els.todayDate.textContent = "Today: " + (s.currentDate || "");
+      document.getElementById("h-offered").textContent = h.totals.offered;
+      document.getElementById("h-answered").textContent = h.totals.answered;
+      document.getElementById("h-missed").textContent = h.totals.missed;
+      document.getElementById("h-rate").textContent = pct(h.totals.answerRate);
+      document.getElementById("h-days").textContent = h.totals.daysWithData + " of " + h.days.length + " days with data";
+      const ob = h.totals.outbound;
+      document.getElementById("h-outbound").textContent = "Outbound: " + ob.made + " made • " + ob.answered + " answered • " +
+        ob.cancelled + " not answered (not counted as missed)";
 
-      // fill KPIs from daily metrics
-      const m = s.dailyMetrics || {};
-      const incoming = m.incoming || {};
-      const outgoing = m.outgoing || {};
+      renderCallsChart(h.days);
+      renderRateChart(h.days);
 
-      els.portals.textContent = safeText(s.portalsStored ?? 0);
-      els.inProg.textContent = safeText(incoming.inProgress ?? 0);
-      els.inAns.textContent = safeText(incoming.answered ?? 0);
-      els.inMiss.textContent = safeText(incoming.missed ?? 0);
-      els.outProg.textContent = safeText(outgoing.inProgress ?? 0);
-      els.outAns.textContent = safeText(outgoing.answered ?? 0);
-      els.outCan.textContent = safeText(outgoing.cancelled ?? 0);
-      els.mda.textContent = safeText(m.missedDroppedAbandoned ?? 0);
+      const maxAvg = Math.max(1, ...h.weekdays.map((w) => w.offered || 0));
+      document.getElementById("weekdayBody").innerHTML = h.weekdays.map((w) => \`<tr>
+          <td>\${dayName(w.weekday)}</td>
+          <td>\${w.days}</td>
+          <td>\${w.answered ?? "—"}</td>
+          <td>\${w.missed ?? "—"}</td>
+          <td>\${pct(w.answerRate)}</td>
+          <td>\${w.outbound ?? "—"}</td>
+          <td><div class="bar" style="width:\${Math.round(((w.offered || 0) / maxAvg) * 100)}%"></div></td>
+        </tr>\`).join("");
 
-      renderCalls(s.liveCalls || []);
-      renderAgents(s.agents || []);
+      const rank = (label, list) => list.map((d, i) => \`<tr>
+          <td>\${i === 0 ? label : ""}</td>
+          <td>\${dayName(d.weekday)} \${d.date}</td>
+          <td>\${d.answered}</td>
+          <td>\${d.missed}</td>
+          <td>\${pct(d.answerRate)}</td>
+        </tr>\`).join("");
+      document.getElementById("rankBody").innerHTML = (rank("🏆 Best", h.best) + rank("⚠️ Worst", h.worst)) ||
+        '<tr><td colspan="5" class="muted">No working days with calls in this range</td></tr>';
 
-      lastOk = Date.now();
-      els.lastTs.textContent = new Date().toLocaleTimeString();
-      setStatus("good", "Live");
-    } catch(e){
-      const age = Date.now() - lastOk;
-      setStatus("bad", age < 8000 ? "Intermittent…" : "Offline");
-    } finally {
-      els.uptime.textContent = fmtUptime(Date.now() - startedAt);
+      document.getElementById("weeksBody").innerHTML = h.weeks.slice().reverse()
+        .map((w) => periodRow(w.from.slice(5) + " – " + w.to.slice(5), w)).join("");
+      document.getElementById("monthsBody").innerHTML = h.months.slice().reverse()
+        .map((m) => periodRow(MONTHS[parseInt(m.from.slice(5, 7), 10) - 1] + " " + m.from.slice(0, 4), m)).join("");
+    } catch(e) {
+      console.error("Failed to load history:", e);
+      document.getElementById("rangeError").textContent = e.message;
     }
   }
 
-  poll();
-  setInterval(poll, 1000);
+  // Saved days only change at midnight; refresh now and then for today's row and wallboards left open
+  loadHistory();
+  setInterval(loadHistory, 5 * 60 * 1000);
 </script>
 </body>
 </html>`;
 }
 
-function getYesterdayStatsHtml(currentDate, currentTime) {
+function getAgentPageHtml(portal, agentId) {
+  const pngDateTime = formatLocalDateTime();
   return `<!doctype html>
 <html lang="en">
 <head>
   <meta charset="utf-8" />
   <meta name="viewport" content="width=device-width,initial-scale=1" />
-  <title>Fincorp Contact Center - Yesterday's Stats</title>
+  <title>Fincorp Contact Center - Agent ${escapeHtml(agentId)}</title>
   <style>
     :root{
       --vodafone-red:#E60000;
       --bg:#0b0f14;
       --panel:#121923;
-      --panel2:#0f151e;
       --text:#eaf0f7;
       --muted:#9fb0c3;
       --good:#2ecc71;
@@ -1193,52 +6481,22 @@ function getYesterdayStatsHtml(currentDate, currentTime) {
       padding:12px 0;
     }
     .wrap{max-width:1280px; margin:0 auto; padding:0 18px;}
-    .brand{
-      display:flex; align-items:center; gap:12px; justify-content:space-between;
-    }
+    .brand{display:flex; align-items:center; gap:12px; justify-content:space-between;}
     .brand-left{display:flex; align-items:center; gap:12px;}
-    .dot{
-      width:12px;height:12px;border-radius:50%;
-      background:var(--vodafone-red);
-      box-shadow:0 0 0 6px rgba(230,0,0,.12);
-    }
     h1{margin:0; font-size:18px; letter-spacing:.2px}
     .sub{margin:2px 0 0; color:var(--muted); font-size:12px}
-    .date-time{
-      display:flex; align-items:center; gap:20px; font-size:12px; color:var(--muted);
-    }
-    .date, .time{display:flex; align-items:center; gap:6px;}
-    .date:before{content:"📅";}
-    .time:before{content:"🕒";}
-    .timezone{
-      font-size:10px; color:var(--muted); opacity:0.7;
-      margin-left:4px;
-    }
-    .nav-tabs{
-      display:flex; gap:8px; margin-top:12px;
-    }
+    .date-time{display:flex; align-items:center; gap:20px; font-size:12px; color:var(--muted);}
+    .nav-tabs{display:flex; gap:8px; margin-top:12px;}
     .nav-tab{
       padding:8px 16px; border:1px solid var(--border);
       border-radius:8px; background:rgba(18,25,35,.55);
       color:var(--muted); text-decoration:none; font-size:12px;
-      transition:all 0.2s;
-    }
-    .nav-tab:hover{
-      background:rgba(30,40,55,.7); color:var(--text);
-    }
-    .nav-tab.active{
-      background:var(--vodafone-red); color:white; border-color:var(--vodafone-red);
-    }
-
-    .grid{
-      display:grid;
-      grid-template-columns: 1fr;
-      gap:14px;
-      padding:18px;
-      max-width:1280px;
-      margin:0 auto;
     }
+    .nav-tab:hover{background:rgba(30,40,55,.7); color:var(--text);}
+    .nav-tab.active{background:var(--vodafone-red); color:white; border-color:var(--vodafone-red);}
+    .portal-switch{margin-left:auto; cursor:pointer;}
 
+    .grid{display:grid; grid-template-columns:1fr; gap:14px; padding:18px; max-width:1280px; margin:0 auto;}
     .card{
       background: linear-gradient(180deg, rgba(18,25,35,.92), rgba(15,21,30,.85));
       border:1px solid var(--border);
@@ -1247,73 +6505,61 @@ function getYesterdayStatsHtml(currentDate, currentTime) {
       overflow:hidden;
     }
     .card-h{
-      padding:14px 16px;
-      border-bottom:1px solid var(--border);
+      padding:14px 16px; border-bottom:1px solid var(--border);
       display:flex; justify-content:space-between; align-items:center;
     }
     .card-h strong{font-size:13px; letter-spacing:.2px}
     .pill{
-      font-size:11px; color:var(--muted);
-      border:1px solid var(--border);
-      padding:6px 10px; border-radius:999px;
-      background: rgba(0,0,0,.15);
+      font-size:11px; color:var(--muted); border:1px solid var(--border);
+      padding:6px 10px; border-radius:999px; background: rgba(0,0,0,.15);
     }
     .content{padding:14px 16px;}
-
-    .kpis{
-      display:grid;
-      grid-template-columns: repeat(2, 1fr);
-      gap:12px;
-      margin-bottom:20px;
-    }
-    @media(min-width:600px){
-      .kpis{grid-template-columns: repeat(4, 1fr);}
-    }
-    .kpi{
-      padding:12px;
-      border:1px solid var(--border);
-      border-radius: 14px;
-      background: rgba(0,0,0,.12);
-      text-align:center;
-    }
+    .kpis{display:grid; grid-template-columns: repeat(2, 1fr); gap:12px;}
+    @media(min-width:600px){ .kpis{grid-template-columns: repeat(5, 1fr);} }
+    .kpi{padding:12px; border:1px solid var(--border); border-radius:14px; background: rgba(0,0,0,.12);}
     .kpi .label{color:var(--muted); font-size:11px}
-    .kpi .val{font-size:32px; font-weight:700; margin-top:6px}
+    .kpi .val{font-size:26px; font-weight:700; margin-top:6px}
     .kpi .meta{color:var(--muted); font-size:11px; margin-top:6px}
-    .kpi.red .val{color:var(--vodafone-red)}
     .kpi.good .val{color:var(--good)}
-    
-    .summary{
-      background: rgba(0,0,0,.15);
-      border:1px solid var(--border);
-      border-radius: 14px;
-      padding:20px;
-      margin-top:20px;
-    }
-    .summary h3{margin:0 0 15px 0; color:var(--text); font-size:14px;}
-    .summary-grid{
-      display:grid;
-      grid-template-columns: repeat(2, 1fr);
-      gap:15px;
-    }
-    @media(min-width:600px){
-      .summary-grid{grid-template-columns: repeat(4, 1fr);}
-    }
-    .summary-item{
-      text-align:center;
-    }
-    .summary-item .number{
-      font-size:24px; font-weight:bold; color:var(--text);
-      margin-bottom:5px;
-    }
-    .summary-item .label{
-      font-size:11px; color:var(--muted);
+    .kpi.red .val{color:var(--vodafone-red)}
+
+    .agent-head{display:flex; align-items:center; gap:14px;}
+    .avatar{
+      width:56px; height:56px; border-radius:50%; flex:none; object-fit:cover;
+      display:inline-flex; align-items:center; justify-content:center;
+      background:rgba(30,40,55,.9); border:1px solid var(--border);
+      font-size:18px; font-weight:700; color:var(--muted);
     }
-    
-    .footer{
-      max-width:1280px; margin:0 auto; padding:0 18px 24px;
-      color:var(--muted); font-size:11px;
+    .agent-name{font-size:18px; font-weight:700}
+    .tag{
+      display:inline-flex; align-items:center; gap:6px;
+      padding:6px 10px; border-radius:999px; border:1px solid var(--border);
+      background: rgba(0,0,0,.12); font-size:11px; color: var(--muted);
     }
+    .tag .b{width:8px;height:8px;border-radius:50%;}
+    .b.good{background:var(--good)}
+    .b.bad{background:var(--bad)}
+    .b.warn{background:var(--warn)}
+    .b.idle{background:var(--muted)}
+
+    .timeline{position:relative; height:34px; border-radius:8px; overflow:hidden; background:rgba(0,0,0,.2); border:1px solid var(--border);}
+    .seg{position:absolute; top:0; bottom:0;}
+    .seg.busy{background:var(--vodafone-red);}
+    .seg.idle{background:rgba(46,204,113,.35);}
+    .seg.closed{background:rgba(255,255,255,.04);}
+    .seg.future{background:transparent;}
+    .now-mark{position:absolute; top:-3px; bottom:-3px; width:2px; background:var(--warn);}
+    .ticks{position:relative; height:16px; margin-top:4px; font-size:10px; color:var(--muted);}
+    .ticks span{position:absolute; transform:translateX(-50%);}
+    .legend{display:flex; gap:8px; margin-top:10px; flex-wrap:wrap;}
+
+    table{width:100%; border-collapse:collapse; font-size:12px;}
+    th, td{padding:10px 10px; border-bottom:1px solid var(--border); text-align:left; color: var(--text);}
+    th{color:var(--muted); font-weight:600; font-size:11px; letter-spacing:.2px}
+    .small{font-size:11px; color:var(--muted)}
     .muted{color:var(--muted)}
+    .crm-link{color:var(--text); text-decoration:none; border-bottom:1px dotted var(--muted)}
+    .footer{max-width:1280px; margin:0 auto; padding:0 18px 24px; color:var(--muted); font-size:11px;}
     .mono{font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace;}
   </style>
 </head>
@@ -1322,155 +6568,282 @@ function getYesterdayStatsHtml(currentDate, currentTime) {
     <div class="wrap">
       <div class="brand">
         <div class="brand-left">
-          <div class="dot"></div>
           <div>
-            <h1>Fincorp Contact Center - Yesterday's Statistics</h1>
-            <div class="sub">Previous day call metrics and performance (GMT+10)</div>
+            <h1>Fincorp Contact Center - Agent Drill-down</h1>
+            <div class="sub">${portals.size > 1 ? `${portal.key} • ` : ""}Today's calls, busy/idle timeline and occupancy (${getTimezoneLabel()})</div>
           </div>
         </div>
         <div class="date-time">
-          <div class="date" id="currentDate">${currentDate}</div>
-          <div class="time" id="currentTime">${currentTime} <span class="timezone">GMT+10</span></div>
+          <div id="currentDate">${pngDateTime.date}</div>
+          <div class="mono" id="lastTs"></div>
         </div>
       </div>
-      
-      <div class="nav-tabs">
-        <a href="/wallboard" class="nav-tab">Today's Activity</a>
-        <a href="/wallboard/yesterday" class="nav-tab active">Yesterday's Stats</a>
-      </div>
+
+      ${getNavTabsHtml(portal, "")}
     </div>
   </div>
 
   <div class="grid">
     <div class="card">
       <div class="card-h">
-        <strong>Yesterday's Performance Summary</strong>
-        <span class="pill" id="yesterdayDate">Loading...</span>
+        <div class="agent-head">
+          <span class="avatar" id="avatar"></span>
+          <div>
+            <div class="agent-name" id="agentName">Agent ${escapeHtml(agentId)}</div>
+            <div class="small" id="agentMeta"></div>
+          </div>
+        </div>
+        <span id="status" class="tag"><span class="b idle"></span>Loading…</span>
       </div>
       <div class="content">
         <div class="kpis">
           <div class="kpi good">
-            <div class="label">Inbound Answered</div>
-            <div class="val" id="y-inAns">0</div>
-            <div class="meta">Inbound calls answered</div>
+            <div class="label">Occupancy</div>
+            <div class="val" id="occupancy">—</div>
+            <div class="meta" id="occupancyMeta">Busy share of scheduled time so far</div>
           </div>
-          <div class="kpi red">
-            <div class="label">Inbound Missed</div>
-            <div class="val" id="y-inMiss">0</div>
-            <div class="meta">Inbound calls missed</div>
+          <div class="kpi">
+            <div class="label">Calls Handled</div>
+            <div class="val" id="handled">0</div>
+            <div class="meta" id="handledMeta">Inbound • outbound answered</div>
           </div>
-          <div class="kpi good">
-            <div class="label">Outbound Answered</div>
-            <div class="val" id="y-outAns">0</div>
-            <div class="meta">Outbound calls answered</div>
+          <div class="kpi red">
+            <div class="label">Missed</div>
+            <div class="val" id="missed">0</div>
+            <div class="meta" id="missedMeta">Inbound • outbound</div>
           </div>
           <div class="kpi">
-            <div class="label">Outbound Cancelled</div>
-            <div class="val" id="y-outCan">0</div>
-            <div class="meta">Outbound calls cancelled</div>
+            <div class="label">Talk Time</div>
+            <div class="val" id="talk">0m 00s</div>
+            <div class="meta" id="ahtMeta">AHT 0m 00s</div>
           </div>
-        </div>
-        
-        <div class="summary">
-          <h3>Overall Statistics</h3>
-          <div class="summary-grid">
-            <div class="summary-item">
-              <div class="number" id="totalCalls">0</div>
-              <div class="label">Total Calls</div>
-            </div>
-            <div class="summary-item">
-              <div class="number" id="totalAnswered">0</div>
-              <div class="label">Total Answered</div>
-            </div>
-            <div class="summary-item">
-              <div class="number" id="totalMissed">0</div>
-              <div class="label">Total Missed</div>
-            </div>
-            <div class="summary-item">
-              <div class="number" id="answerRate">0%</div>
-              <div class="label">Answer Rate</div>
-            </div>
+          <div class="kpi">
+            <div class="label">Longest Call</div>
+            <div class="val" id="longest">0m 00s</div>
+            <div class="meta">Single call talk time</div>
           </div>
         </div>
-        
-        <div style="margin-top:20px; padding:15px; background:rgba(0,0,0,.1); border-radius:8px; border:1px solid var(--border);">
-          <div style="font-size:12px; color:var(--muted); margin-bottom:8px;">📊 Note:</div>
-          <div style="font-size:11px; color:var(--muted);">
-            • Statistics are automatically saved at midnight PNG time (GMT+10)<br>
-            • Working hours: 8:00 AM - 6:00 PM (GMT+10)<br>
-            • Only calls during work hours are counted in the statistics
-          </div>
+      </div>
+    </div>
+
+    <div class="card">
+      <div class="card-h">
+        <strong>Work Day Timeline</strong>
+        <span class="pill" id="timelineRange"></span>
+      </div>
+      <div class="content">
+        <div class="timeline" id="timeline"></div>
+        <div class="ticks" id="ticks"></div>
+        <div class="small" style="margin-top:14px;">Time in state today</div>
+        <div class="legend small" id="stateTotals"></div>
+        <div class="small" style="margin-top:14px;">Timeline</div>
+        <div class="legend small">
+          <span class="tag"><span class="b bad"></span>Busy (talk + wrap-up)</span>
+          <span class="tag"><span class="b good"></span>Idle</span>
+          <span class="tag"><span class="b idle"></span>Outside working hours</span>
         </div>
       </div>
     </div>
+
+    <div class="card">
+      <div class="card-h">
+        <strong>Today's Calls</strong>
+        <span class="pill" id="callCount">0 calls</span>
+      </div>
+      <div class="content">
+        <table>
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Direction</th>
+              <th>Number</th>
+              <th>Line</th>
+              <th>Wait</th>
+              <th>Talk</th>
+              <th>Wrap-up</th>
+              <th>Outcome</th>
+            </tr>
+          </thead>
+          <tbody id="callsBody">
+            <tr><td colspan="8" class="small muted">Loading…</td></tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
   </div>
 
   <div class="footer">
-    <div>Backend: <span class="mono">/health</span>, <span class="mono">/debug/state</span>, <span class="mono">/bitrix/events</span></div>
+    <div>Backend: <span class="mono">/api/agents/:id/today</span>, <span class="mono">/api/agents/:id/stats</span></div>
   </div>
 
 <script>
-  async function loadYesterdayStats(){
+  const PORTAL = ${JSON.stringify(portal.key)};
+  const AGENT_ID = ${JSON.stringify(String(agentId)).replace(/</g, "\\u003c")};
+  let timezone = ${JSON.stringify(TIMEZONE)};
+
+  function safeText(v){ return (v === undefined || v === null) ? "" : String(v); }
+  function escapeHtml(v){
+    return safeText(v).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+  }
+  function fmtDuration(sec){
+    sec = Math.max(0, Math.round(sec || 0));
+    return Math.floor(sec / 60) + "m " + String(sec % 60).padStart(2, "0") + "s";
+  }
+  function fmtHours(sec){
+    sec = Math.max(0, Math.round(sec || 0));
+    if(sec < 3600) return fmtDuration(sec);
+    return Math.floor(sec / 3600) + "h " + String(Math.floor((sec % 3600) / 60)).padStart(2, "0") + "m";
+  }
+  function fmtClock(t){
+    if(!t) return "";
+    return new Date(t).toLocaleTimeString("en-AU", { timeZone: timezone, hour: "2-digit", minute: "2-digit", hour12: false });
+  }
+  function fmtMinutes(m){
+    m = Math.round(m);
+    return String(Math.floor(m / 60) % 24).padStart(2, "0") + ":" + String(m % 60).padStart(2, "0");
+  }
+
+  function numberCell(c){
+    const phone = c.fromPhone || {};
+    const shown = escapeHtml(phone.display || c.from || "Unknown");
+    const num = phone.international ? \`<span title="\${escapeHtml(phone.international)}">\${shown}</span>\` : shown;
+    if(c.caller && c.caller.found){
+      return \`<div><a class="crm-link" href="\${escapeHtml(c.caller.url)}" target="_blank" rel="noopener">\${escapeHtml(c.caller.name)}</a></div><div class="small">\${num}</div>\`;
+    }
+    return num;
+  }
+
+  const PRESENCE_ORDER = [
+    ["available", "Available", "good"], ["ringing", "Ringing", "warn"], ["on_call", "On Call", "bad"],
+    ["wrap_up", "Wrap-up", "warn"], ["break", "Break", "warn"], ["offline", "Offline", "idle"]
+  ];
+
+  function renderTimeline(t){
+    const span = Math.max(1, t.end - t.start);
+    const pct = (m) => ((m - t.start) / span * 100).toFixed(3) + "%";
+    document.getElementById("timeline").innerHTML = (t.segments || []).map(s =>
+      \`<div class="seg \${s.state}" style="left:\${pct(s.start)}; width:\${((s.end - s.start) / span * 100).toFixed(3)}%" title="\${s.state} \${fmtMinutes(s.start)}–\${fmtMinutes(s.end)}"></div>\`
+    ).join("") + (t.now >= t.start && t.now <= t.end ? \`<div class="now-mark" style="left:\${pct(t.now)}" title="Now"></div>\` : "");
+
+    const ticks = [];
+    for(let h = Math.ceil(t.start / 60); h * 60 <= t.end; h += 1){
+      if(span > 12 * 60 && h % 2) continue;
+      ticks.push(\`<span style="left:\${pct(h * 60)}">\${String(h % 24).padStart(2, "0")}:00</span>\`);
+    }
+    document.getElementById("ticks").innerHTML = ticks.join("");
+    document.getElementById("timelineRange").textContent = fmtMinutes(t.start) + " – " + fmtMinutes(t.end);
+  }
+
+  function renderCalls(calls){
+    document.getElementById("callCount").textContent = calls.length + (calls.length === 1 ? " call" : " calls");
+    if(!calls.length){
+      document.getElementById("callsBody").innerHTML = '<tr><td colspan="8" class="small muted">No calls today</td></tr>';
+      return;
+    }
+    document.getElementById("callsBody").innerHTML = calls.map(c => {
+      const dot = c.live || c.outcome === "unknown" ? "warn" : c.outcome === "answered" ? "good" : "bad";
+      return \`<tr>
+        <td class="mono">\${fmtClock(c.startedAt)}</td>
+        <td>\${escapeHtml(c.direction)}</td>
+        <td>\${numberCell(c)}</td>
+        <td>\${escapeHtml(c.lineName || "")}</td>
+        <td class="mono">\${fmtDuration(c.waitSeconds)}</td>
+        <td class="mono">\${c.answeredAt ? fmtDuration(c.talkSeconds) : "—"}</td>
+        <td class="mono">\${c.afterCallSeconds === null || c.afterCallSeconds === undefined ? "—" : fmtDuration(c.afterCallSeconds)}</td>
+        <td><span class="tag"><span class="b \${dot}"></span>\${escapeHtml(c.outcome)}</span></td>
+      </tr>\`;
+    }).join("");
+  }
+
+  function render(d){
+    timezone = d.timezone || timezone;
+    const a = d.agent || {};
+    const name = a.name || ("Agent " + AGENT_ID);
+    document.title = "Fincorp Contact Center - " + name;
+    document.getElementById("agentName").textContent = name;
+    document.getElementById("agentMeta").textContent = [a.position, a.department].filter(Boolean).join(" • ");
+    const initials = name.split(/\\s+/).filter(Boolean).slice(0, 2).map(w => w[0]).join("").toUpperCase();
+    document.getElementById("avatar").innerHTML = a.photo
+      ? \`<img class="avatar" src="\${escapeHtml(a.photo)}" alt="">\`
+      : escapeHtml(initials);
+
+    const s = d.stats || {};
+    const st = d.status || {};
+    const dot = { available: "good", ringing: "warn", on_call: "bad", wrap_up: "warn", break: "warn" }[st.state] || "idle";
+    const inState = st.secondsInState !== undefined ? " for " + fmtHours(st.secondsInState) : "";
+    document.getElementById("status").innerHTML = \`<span class="b \${dot}"></span>\${escapeHtml(st.label || "")}\${st.since ? " since " + fmtClock(st.since) + inState : ""}\${st.reason ? " • " + escapeHtml(st.reason) : ""}\`;
+
+    const totals = s.presenceSeconds || {};
+    document.getElementById("stateTotals").innerHTML = PRESENCE_ORDER.map(([key, label, b]) =>
+      \`<span class="tag"><span class="b \${b}"></span>\${label} \${fmtHours(totals[key])}</span>\`).join("");
+
+    const o = d.occupancy || {};
+    document.getElementById("occupancy").textContent = o.percent === null || o.percent === undefined ? "—" : o.percent + "%";
+    document.getElementById("occupancyMeta").textContent = fmtHours((o.busyMinutes || 0) * 60) + " busy of " + fmtHours((o.scheduledMinutesElapsed || 0) * 60) + " scheduled so far";
+
+    document.getElementById("handled").textContent = s.handledCalls || 0;
+    document.getElementById("handledMeta").textContent = (s.inboundHandled || 0) + " inbound • " + (s.outboundAnswered || 0) + " of " + (s.outboundMade || 0) + " outbound answered";
+    document.getElementById("missed").textContent = s.missedCalls || 0;
+    document.getElementById("missedMeta").textContent = (s.inboundMissed || 0) + " inbound • " + (s.outboundMissed || 0) + " outbound";
+    document.getElementById("talk").textContent = fmtHours(s.talkSeconds);
+    document.getElementById("ahtMeta").textContent = "AHT " + fmtDuration(s.ahtSeconds);
+    document.getElementById("longest").textContent = fmtDuration(s.longestCallSeconds);
+
+    renderTimeline(d.timeline || {});
+    renderCalls(d.calls || []);
+  }
+
+  async function load(){
     try {
-      const r = await fetch("/debug/state", { cache: "no-store" });
-      if(!r.ok) throw new Error("HTTP " + r.status);
-      const s = await r.json();
-      
-      // Update current date/time from PNG timezone
-      if(s.pngDateTime){
-        document.getElementById('currentDate').textContent = s.pngDateTime.date || "";
-        document.getElementById('currentTime').textContent = (s.pngDateTime.time || "") ;
+      const r = await fetch("/api/agents/" + encodeURIComponent(AGENT_ID) + "/today?portal=" + encodeURIComponent(PORTAL), { cache: "no-store" });
+      if(r.status === 404){
+        document.getElementById("status").innerHTML = '<span class="b idle"></span>No activity today';
+        renderCalls([]);
+        return;
       }
-      
-      const stats = s.previousDayStats || {};
-      
-      // Update date
-      document.getElementById('yesterdayDate').textContent = stats.date || "No data";
-      
-      // Update KPIs
-      document.getElementById('y-inAns').textContent = stats.incoming?.answered || 0;
-      document.getElementById('y-inMiss').textContent = stats.incoming?.missed || 0;
-      document.getElementById('y-outAns').textContent = stats.outgoing?.answered || 0;
-      document.getElementById('y-outCan').textContent = stats.outgoing?.cancelled || 0;
-      
-      // Calculate summary
-      const totalAnswered = (stats.incoming?.answered || 0) + (stats.outgoing?.answered || 0);
-      const totalMissed = (stats.incoming?.missed || 0) + (stats.outgoing?.cancelled || 0);
-      const totalCalls = totalAnswered + totalMissed;
-      const answerRate = totalCalls > 0 ? Math.round((totalAnswered / totalCalls) * 100) : 0;
-      
-      document.getElementById('totalCalls').textContent = totalCalls;
-      document.getElementById('totalAnswered').textContent = totalAnswered;
-      document.getElementById('totalMissed').textContent = totalMissed;
-      document.getElementById('answerRate').textContent = answerRate + '%';
-      
+      if(!r.ok) throw new Error("HTTP " + r.status);
+      render(await r.json());
+      document.getElementById("lastTs").textContent = "Updated " + new Date().toLocaleTimeString();
     } catch(e) {
-      console.error("Failed to load yesterday stats:", e);
+      console.error("Failed to load agent day:", e);
     }
   }
-  
-  // Load stats on page load and every 30 seconds
-  loadYesterdayStats();
-  setInterval(loadYesterdayStats, 30000);
+
+  load();
+  setInterval(load, 10000);
 </script>
 </body>
 </html>`;
 }
 
 // -------------------- Listen --------------------
-app.listen(PORT, "0.0.0.0", () => {
+const server = http.createServer(app);
+attachWebSocketServer(server);
+
+// Railway sends SIGTERM before stopping the container: snapshot first so the next instance restores it
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.on(signal, () => {
+    console.log(`🛑 ${signal} received, saving live state`);
+    if (SNAPSHOT_INTERVAL_SECONDS > 0) saveAllLiveState();
+    for (const portal of portals.values()) {
+      if (portal.afterHoursSaveTimer) saveAfterHoursLog(portal);
+    }
+    process.exit(0);
+  });
+}
+
+server.listen(PORT, "0.0.0.0", () => {
   console.log(`🚀 Server running on ${PORT}`);
-  console.log(`🌐 Configured for Papua New Guinea timezone (GMT+10)`);
-  console.log(`🕒 Working hours: ${WORK_START_HOUR}:00 - ${WORK_END_HOUR}:00 (GMT+10)`);
+  console.log(`🌐 Configured for timezone ${TIMEZONE} (${getTimezoneLabel()})`);
+  console.log(`🕒 Work schedule (${workSchedule.source}):`);
+  WEEKDAYS.forEach((day, idx) => console.log(`   ${day}: ${describeHours(workSchedule.days[idx])}`));
   
-  // Log current PNG time and status
-  const pngTime = getPNGTime();
-  const pngHour = pngTime.getUTCHours();
-  const pngMinute = pngTime.getUTCMinutes();
+  // Log current local time and status
   const isWorkHours = checkIfWithinWorkHours();
   const status = getWorkHoursStatus();
   
-  console.log(`⏰ Current PNG time: ${pngHour.toString().padStart(2, '0')}:${pngMinute.toString().padStart(2, '0')} (GMT+10)`);
+  console.log(`⏰ Current local time: ${getCurrentDateTime()} (${getTimezoneLabel()})`);
   console.log(`🏢 Contact Center status: ${status}`);
   console.log(`📞 Calls will ${isWorkHours ? 'be processed' : 'NOT be processed (outside work hours)'}`);
+  if (!ADMIN_TOKEN) console.warn("⚠️ ADMIN_TOKEN is not set: admin APIs are disabled");
 });
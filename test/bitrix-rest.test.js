@@ -0,0 +1,175 @@
+/**
+ * test/bitrix-rest.test.js — the wallboard's Bitrix24 REST client against scripts/bitrix-stub.js
+ * ------------------------------------------------
+ * Starts the stub and server.js on free ports with a scratch DATA_DIR, installs the stub portal and
+ * drives callBitrix (app.info), token refresh, QUERY_LIMIT_EXCEEDED backoff and callBitrixBatch
+ * (agent and CRM caller lookups) through the server's own endpoints.
+ *
+ *   npm test
+ */
+
+"use strict";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("node:child_process");
+const fs = require("node:fs");
+const net = require("node:net");
+const os = require("node:os");
+const path = require("node:path");
+
+const ROOT = path.join(__dirname, "..");
+const ADMIN_TOKEN = "test-admin";
+
+const children = [];
+let dataDir;
+let stubUrl;
+let serverUrl;
+let portal;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+function start(script, env) {
+  const child = spawn(process.execPath, [path.join(ROOT, script)], {
+    cwd: ROOT,
+    env: { ...process.env, ...env },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  child.log = "";
+  child.stdout.on("data", (d) => { child.log += d; });
+  child.stderr.on("data", (d) => { child.log += d; });
+  children.push(child);
+  return child;
+}
+
+async function waitFor(check, what, timeoutMs = 15000) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      const value = await check();
+      if (value) return value;
+    } catch (e) {
+      // not up yet
+    }
+    if (Date.now() > until) {
+      throw new Error(`Timed out waiting for ${what}\n${children.map((c) => c.log).join("\n")}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+}
+
+async function getJson(url, headers = {}) {
+  const res = await fetch(url, { headers });
+  return { status: res.status, body: await res.json() };
+}
+
+async function postJson(url, body, headers = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+const stubStats = async () => (await getJson(`${stubUrl}/stub/stats`)).body;
+const bitrixStatus = () => getJson(`${serverUrl}/api/admin/bitrix/status?portal=${portal}`, { "x-admin-token": ADMIN_TOKEN });
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "wallboard-test-"));
+  const stubPort = await freePort();
+  const serverPort = await freePort();
+  stubUrl = `http://localhost:${stubPort}`;
+  serverUrl = `http://localhost:${serverPort}`;
+  portal = `localhost-${stubPort}`;
+
+  start("scripts/bitrix-stub.js", { STUB_PORT: String(stubPort), STUB_LIMIT_EVERY: "0" });
+  start("server.js", {
+    PORT: String(serverPort),
+    DATA_DIR: dataDir,
+    ADMIN_TOKEN,
+    BITRIX_OAUTH_URL: `${stubUrl}/oauth/token/`,
+    BITRIX_CLIENT_ID: "stub",
+    BITRIX_CLIENT_SECRET: "stub",
+    BITRIX_REST_MIN_INTERVAL_MS: "0",
+    WORK_SCHEDULE: JSON.stringify({ default: "00:00-23:59" }),
+    TIMEMAN_POLL_SECONDS: "0",
+    STALE_CALL_MINUTES: "0",
+    SNAPSHOT_INTERVAL_SECONDS: "0"
+  });
+  await waitFor(() => stubStats(), "the stub");
+  await waitFor(async () => (await getJson(`${serverUrl}/health`)).body.ok, "the wallboard");
+
+  const install = await getJson(`${stubUrl}/stub/install`);
+  const res = await postJson(`${serverUrl}/bitrix/install`, install.body, { "x-admin-token": ADMIN_TOKEN });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+});
+
+after(() => {
+  for (const child of children) child.kill();
+  if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("callBitrix reaches the portal with the installed token", async () => {
+  const { status, body } = await bitrixStatus();
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.app.CODE, "stub.wallboard");
+  assert.ok((await stubStats()).rest["app.info"] >= 1);
+});
+
+test("an expired access token is refreshed once and the call retried", async () => {
+  const before = await stubStats();
+  await postJson(`${stubUrl}/stub/expire`, {});
+
+  const { status, body } = await bitrixStatus();
+  assert.equal(status, 200, JSON.stringify(body));
+
+  const afterRefresh = await stubStats();
+  assert.equal(afterRefresh.refreshes, before.refreshes + 1);
+  assert.notEqual(afterRefresh.token, before.token);
+
+  const stored = JSON.parse(fs.readFileSync(path.join(dataDir, "portalTokens.json"), "utf8"));
+  const entry = Object.values(stored).find((t) => t.domain === `localhost:${new URL(stubUrl).port}`);
+  assert.equal(entry.accessToken, afterRefresh.token);
+});
+
+test("QUERY_LIMIT_EXCEEDED is retried with backoff", async () => {
+  const before = await stubStats();
+  await postJson(`${stubUrl}/stub/limit`, { count: 2 });
+
+  const { status, body } = await bitrixStatus();
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal((await stubStats()).limited, before.limited + 2);
+});
+
+test("callBitrixBatch resolves agent names and CRM callers", async () => {
+  const install = (await getJson(`${stubUrl}/stub/install`)).body.auth;
+  const event = await postJson(`${serverUrl}/bitrix/events`, {
+    event: "ONVOXIMPLANTCALLINIT",
+    data: { CALL_ID: "test-call-1", CALL_TYPE: "2", PHONE_NUMBER: "+67570000001", PORTAL_USER_ID: "1" },
+    auth: { domain: install.domain, member_id: install.member_id, application_token: install.application_token }
+  });
+  assert.equal(event.status, 200, JSON.stringify(event.body));
+
+  const state = await waitFor(async () => {
+    const { body } = await getJson(`${serverUrl}/debug/state?portal=${portal}`);
+    const agent = body.agents.find((a) => a.agentId === "1");
+    const call = body.liveCalls.find((c) => c.callId === "test-call-1");
+    return agent && agent.name === "Ava Kila" && call && call.caller && call.caller.found ? body : null;
+  }, "agent and caller lookups");
+
+  assert.equal(state.liveCalls.find((c) => c.callId === "test-call-1").caller.name, "Grace Moi");
+  const stats = await stubStats();
+  assert.ok(stats.rest.batch >= 2);
+  assert.ok(stats.rest["user.get"] >= 1);
+  assert.ok(stats.rest["crm.duplicate.findbycomm"] >= 1);
+});